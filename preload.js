@@ -6,15 +6,107 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getAccounts: () => ipcRenderer.invoke('get-all-accounts'),
   addAccount: (accountData) => ipcRenderer.invoke('add-account', accountData),
   removeAccount: (accountId) => ipcRenderer.invoke('remove-account', accountId),
+  loginMicrosoft: () => ipcRenderer.invoke('login-microsoft'),
+  cancelMicrosoftLogin: () => ipcRenderer.invoke('cancel-microsoft-login'),
+  onMicrosoftDeviceCode: (callback) => ipcRenderer.on('microsoft-device-code', callback),
+  loginYggdrasil: (credentials) => ipcRenderer.invoke('login-yggdrasil', credentials),
+  selectYggdrasilProfile: (accountId, profileId) => ipcRenderer.invoke('select-yggdrasil-profile', accountId, profileId),
+  getCurrentAccount: () => ipcRenderer.invoke('get-current-account'),
+  setCurrentAccount: (accountId) => ipcRenderer.invoke('set-current-account', accountId),
+  getAccountAvatar: (accountId, forceRefresh) => ipcRenderer.invoke('get-account-avatar', accountId, forceRefresh),
+  onAccountAdded: (callback) => ipcRenderer.on('account-added', callback),
+  onAccountRemoved: (callback) => ipcRenderer.on('account-removed', callback),
+  onCurrentAccountChanged: (callback) => ipcRenderer.on('current-account-changed', callback),
+  onAccountTokenRefreshed: (callback) => ipcRenderer.on('account-token-refreshed', callback),
+  onAccountReloginRequired: (callback) => ipcRenderer.on('account-relogin-required', callback),
   
   // 下载相关
   downloadVersion: (versionId) => ipcRenderer.invoke('download-version', versionId),
+  getVersionList: () => ipcRenderer.invoke('get-version-list'),
+  getMirrorStatus: () => ipcRenderer.invoke('get-mirror-status'),
   getDownloadProgress: (callback) => ipcRenderer.on('download-progress', callback),
+  getLoaderVersions: (type, gameVersion) => ipcRenderer.invoke('get-loader-versions', type, gameVersion),
+  installLoader: (type, gameVersion, loaderVersion) => ipcRenderer.invoke('install-loader', type, gameVersion, loaderVersion),
+  getInstallJobs: () => ipcRenderer.invoke('get-install-jobs'),
+  pauseInstall: (jobId) => ipcRenderer.invoke('pause-install', jobId),
+  resumeInstall: (jobId) => ipcRenderer.invoke('resume-install', jobId),
+  cancelInstall: (jobId) => ipcRenderer.invoke('cancel-install', jobId),
+  onInstallJobUpdate: (callback) => ipcRenderer.on('install-job-updated', callback),
+  
+  // Java 相关
+  detectJava: (force) => ipcRenderer.invoke('detect-java', force),
+  addJava: (javaPath) => ipcRenderer.invoke('add-java', javaPath),
+  removeJava: (javaPath) => ipcRenderer.invoke('remove-java', javaPath),
   
   // 设置相关
   getConfig: () => ipcRenderer.invoke('get-config'),
   saveConfig: (config) => ipcRenderer.invoke('save-config', config),
   
+  // 实例相关
+  getInstances: () => ipcRenderer.invoke('get-instances'),
+  createInstance: (options) => ipcRenderer.invoke('create-instance', options),
+  updateInstance: (instanceId, updates) => ipcRenderer.invoke('update-instance', instanceId, updates),
+  renameInstance: (instanceId, name) => ipcRenderer.invoke('rename-instance', instanceId, name),
+  cloneInstance: (instanceId, name) => ipcRenderer.invoke('clone-instance', instanceId, name),
+  deleteInstance: (instanceId) => ipcRenderer.invoke('delete-instance', instanceId),
+  onInstanceCreated: (callback) => ipcRenderer.on('instance-created', callback),
+  onInstanceUpdated: (callback) => ipcRenderer.on('instance-updated', callback),
+  onInstanceDeleted: (callback) => ipcRenderer.on('instance-deleted', callback),
+  
+  // 模组相关
+  getMods: (instanceId) => ipcRenderer.invoke('get-mods', instanceId),
+  toggleMod: (fileName, instanceId, enable) => ipcRenderer.invoke('toggle-mod', fileName, instanceId, enable),
+  checkMods: (instanceId) => ipcRenderer.invoke('check-mods', instanceId),
+  disableDuplicateMods: (instanceId) => ipcRenderer.invoke('disable-duplicate-mods', instanceId),
+  fetchModDependency: (instanceId, dependencyId) => ipcRenderer.invoke('fetch-mod-dependency', instanceId, dependencyId),
+  searchMods: (options) => ipcRenderer.invoke('search-mods', options),
+  getModProject: (projectId, instanceId) => ipcRenderer.invoke('get-mod-project', projectId, instanceId),
+  installModProject: (instanceId, projectId, options) => ipcRenderer.invoke('install-mod-project', instanceId, projectId, options),
+  checkModUpdates: (instanceId) => ipcRenderer.invoke('check-mod-updates', instanceId),
+  updateMods: (instanceId, fileNames) => ipcRenderer.invoke('update-mods', instanceId, fileNames),
+  getModRollbacks: (instanceId) => ipcRenderer.invoke('get-mod-rollbacks', instanceId),
+  rollbackModUpdate: (instanceId, rollbackId) => ipcRenderer.invoke('rollback-mod-update', instanceId, rollbackId),
+  getModIcon: (modPath, iconPath) => ipcRenderer.invoke('get-mod-icon', modPath, iconPath),
+  
+  // 资源包、光影包与数据包
+  getResourcePacks: (instanceId) => ipcRenderer.invoke('get-resource-packs', instanceId),
+  setResourcePackEnabled: (instanceId, fileName, enabled) => ipcRenderer.invoke('set-resource-pack-enabled', instanceId, fileName, enabled),
+  setResourcePackOrder: (instanceId, fileNames) => ipcRenderer.invoke('set-resource-pack-order', instanceId, fileNames),
+  getResourcePackIcon: (instanceId, fileName) => ipcRenderer.invoke('get-resource-pack-icon', instanceId, fileName),
+  getShaderPacks: (instanceId) => ipcRenderer.invoke('get-shader-packs', instanceId),
+  setActiveShader: (instanceId, fileName) => ipcRenderer.invoke('set-active-shader', instanceId, fileName),
+  getDataPacks: (instanceId, worldName) => ipcRenderer.invoke('get-data-packs', instanceId, worldName),
+  setDataPackEnabled: (instanceId, worldName, fileName, enabled) => ipcRenderer.invoke('set-data-pack-enabled', instanceId, worldName, fileName, enabled),
+  getDataPackIcon: (instanceId, worldName, fileName) => ipcRenderer.invoke('get-data-pack-icon', instanceId, worldName, fileName),
+  
+  // 存档相关
+  getWorlds: (instanceId) => ipcRenderer.invoke('get-worlds', instanceId),
+  getWorldIcon: (instanceId, worldName) => ipcRenderer.invoke('get-world-icon', instanceId, worldName),
+  backupWorld: (instanceId, worldName) => ipcRenderer.invoke('backup-world', instanceId, worldName),
+  getWorldBackups: (instanceId, worldName) => ipcRenderer.invoke('get-world-backups', instanceId, worldName),
+  restoreWorldBackup: (instanceId, worldName, backupFileName) => ipcRenderer.invoke('restore-world-backup', instanceId, worldName, backupFileName),
+  duplicateWorld: (instanceId, worldName, newName) => ipcRenderer.invoke('duplicate-world', instanceId, worldName, newName),
+  importWorld: (instanceId, zipPath) => ipcRenderer.invoke('import-world', instanceId, zipPath),
+  exportWorld: (instanceId, worldName) => ipcRenderer.invoke('export-world', instanceId, worldName),
+  
+  // 整合包相关
+  importModpack: (packPath, options) => ipcRenderer.invoke('import-modpack', packPath, options),
+  onModpackImportStep: (callback) => ipcRenderer.on('modpack-import-step', callback),
+  exportModpack: (instanceId, options) => ipcRenderer.invoke('export-modpack', instanceId, options),
+  onModpackExportStep: (callback) => ipcRenderer.on('modpack-export-step', callback),
+  
   // 游戏启动
-  launchGame: (config) => ipcRenderer.invoke('launch-game', config)
+  launchGame: (config) => ipcRenderer.invoke('launch-game', config),
+  
+  // 游戏会话
+  getGameSessions: () => ipcRenderer.invoke('get-game-sessions'),
+  getGameOutput: (sessionId, limit) => ipcRenderer.invoke('get-game-output', sessionId, limit),
+  stopGame: (sessionId) => ipcRenderer.invoke('stop-game', sessionId),
+  killGame: (sessionId) => ipcRenderer.invoke('kill-game', sessionId),
+  sendGameCommand: (sessionId, command) => ipcRenderer.invoke('send-game-command', sessionId, command),
+  removeGameSession: (sessionId) => ipcRenderer.invoke('remove-game-session', sessionId),
+  onGameSessionStarted: (callback) => ipcRenderer.on('game-session-started', callback),
+  onGameSessionOutput: (callback) => ipcRenderer.on('game-session-output', callback),
+  onGameSessionStopping: (callback) => ipcRenderer.on('game-session-stopping', callback),
+  onGameSessionExited: (callback) => ipcRenderer.on('game-session-exited', callback)
 });
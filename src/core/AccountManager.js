@@ -1,44 +1,319 @@
 // src/core/AccountManager.js
-class HCLAccountManager {
-  constructor() {
-    this.dataManager = new HCLDataManager();
-    this.avatarManager = new HCLAvatarManager();
-    this.accounts = new Map();
-  }
-  
-  const AccountManager = require('./core/AccountManager');
-
-// 创建账户管理器实例
-const accountManager = new AccountManager();
-
-// 监听事件
-accountManager.on('userLoggedIn', ({ username }) => {
-  console.log(`用户 ${username} 已登录`);
-});
-
-// 创建账户
-const result = await accountManager.createAccount(
-  'testuser',
-  'Password123',
-  { displayName: '测试用户', email: 'test@example.com' }
-);
-
-// 用户登录
-const loginResult = await accountManager.login(
-  'testuser',
-  'Password123',
-  { ip: '127.0.0.1', userAgent: 'Chrome' }
-);
-
-// 验证会话
-const sessionCheck = accountManager.validateSession(loginResult.sessionId);
-
-// 更新资料
-await accountManager.updateProfile('testuser', {
-  profile: { displayName: '新用户名' },
-  settings: { theme: 'dark' }
-});
+/**
+ * HCL 账户管理器
+ * 统一管理离线、Microsoft 与第三方认证服务器账户：登录、保存、切换当前账户与头像
+ */
+const crypto = require('crypto');
+const EventEmitter = require('events');
 
+// Minecraft 用户名规则：3-16 位字母、数字或下划线
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+
+// 不发送给渲染进程的敏感字段
+const PRIVATE_FIELDS = ['accessToken', 'refreshToken', 'clientToken', 'metadata'];
+
+class HCLAccountManager extends EventEmitter {
+    /**
+     * @param {Object} dataManager - 数据管理器（账户持久化）
+     * @param {Object} authenticators - 按账户类型索引的认证器（microsoft、yggdrasil）
+     * @param {Object} sessionValidator - 会话验证器（转发令牌刷新事件）
+     * @param {Object} avatarFetcher - 头像获取器（可选，见 AvatarFetcher）
+     */
+    constructor(dataManager, authenticators = {}, sessionValidator = null, avatarFetcher = null) {
+        super();
+        this.dataManager = dataManager;
+        this.authenticators = authenticators;
+        this.sessionValidator = sessionValidator;
+        this.avatarFetcher = avatarFetcher;
+        this.accounts = new Map();
+        this.currentAccountId = null;
+    }
+
+    async initialize() {
+        await this.reload();
+
+        const preferences = await this.dataManager.getUserPreferences();
+        const savedId = preferences.currentAccountId;
+
+        if (savedId && this.accounts.has(savedId)) {
+            this.currentAccountId = savedId;
+        } else {
+            // 回退到最近使用的账户
+            const [latest] = this.getAccountList()
+                .sort((a, b) => new Date(b.lastUsed || 0) - new Date(a.lastUsed || 0));
+            this.currentAccountId = latest ? latest.id : null;
+        }
+
+        if (this.sessionValidator) {
+            this.sessionValidator.on('token-refreshed', async (info) => {
+                try {
+                    await this.reload();
+                    this.emit('token-refreshed', info);
+                } catch (error) {
+                    console.warn('刷新令牌后重新加载账户失败:', error.message);
+                }
+            });
+
+            this.sessionValidator.on('relogin-required', () => {
+                this.reload().catch(error => console.warn('重新加载账户失败:', error.message));
+            });
+        }
+
+        console.log(`已加载 ${this.accounts.size} 个账户`);
+    }
+
+    /**
+     * 从数据管理器重新加载账户
+     */
+    async reload() {
+        const accounts = await this.dataManager.getAccounts();
+        this.accounts = new Map(accounts.map(account => [account.id, account]));
+    }
+
+    registerAuthenticator(type, authenticator) {
+        this.authenticators[type] = authenticator;
+    }
+
+    getAccountList() {
+        return Array.from(this.accounts.values());
+    }
+
+    /**
+     * 获取账户列表（不含令牌）
+     */
+    getAccounts() {
+        return this.getAccountList().map(account => this.toPublicAccount(account));
+    }
+
+    /**
+     * 获取完整账户数据（含令牌，仅供主进程使用）
+     */
+    getAccount(accountId) {
+        return this.accounts.get(accountId) || null;
+    }
+
+    getCurrentAccount() {
+        return this.currentAccountId ? this.getAccount(this.currentAccountId) : null;
+    }
+
+    /**
+     * 生成渲染进程可见的账户信息
+     */
+    toPublicAccount(account) {
+        const result = { ...account };
+        for (const field of PRIVATE_FIELDS) {
+            delete result[field];
+        }
+
+        result.isCurrent = account.id === this.currentAccountId;
+        result.status = this.getAccountStatus(account);
+        return result;
+    }
+
+    /**
+     * 账户状态：ok / needs-relogin / needs-profile
+     */
+    getAccountStatus(account) {
+        if (account.needsRelogin) return 'needs-relogin';
+        if (account.needsProfileSelection) return 'needs-profile';
+        return 'ok';
+    }
+
+    /**
+     * 验证离线用户名
+     */
+    validateOfflineUsername(username) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new Error('用户名需为 3-16 位字母、数字或下划线');
+        }
+    }
+
+    /**
+     * 生成离线 UUID（与服务端离线模式一致：OfflinePlayer:<用户名> 的 UUID v3）
+     */
+    getOfflineUUID(username) {
+        const hash = crypto.createHash('md5').update(`OfflinePlayer:${username}`).digest();
+        hash[6] = (hash[6] & 0x0f) | 0x30;
+        hash[8] = (hash[8] & 0x3f) | 0x80;
+
+        const hex = hash.toString('hex');
+        return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+    }
+
+    createOfflineAccount(username) {
+        const name = typeof username === 'string' ? username.trim() : username;
+        this.validateOfflineUsername(name);
+
+        return {
+            type: 'offline',
+            username: name,
+            uuid: this.getOfflineUUID(name)
+        };
+    }
+
+    /**
+     * 按账户类型登录并保存
+     * @param {string} type - offline / microsoft / yggdrasil
+     * @param {Object} credentials - 登录信息（离线: username；第三方: serverUrl、username、password）
+     */
+    async login(type, credentials = {}) {
+        let accountData;
+
+        switch (type) {
+            case 'offline':
+                accountData = this.createOfflineAccount(credentials.username);
+                break;
+            case 'microsoft':
+                accountData = await this.getAuthenticator(type).login();
+                break;
+            case 'yggdrasil':
+                accountData = await this.getAuthenticator(type).authenticate(
+                    credentials.serverUrl,
+                    credentials.username,
+                    credentials.password
+                );
+                break;
+            default:
+                throw new Error(`不支持的账户类型: ${type}`);
+        }
+
+        return await this.addAccount(accountData);
+    }
+
+    getAuthenticator(type) {
+        const authenticator = this.authenticators[type];
+        if (!authenticator) {
+            throw new Error(`未配置 ${type} 账户认证器`);
+        }
+        return authenticator;
+    }
+
+    /**
+     * 查找同一身份的已有账户
+     */
+    findExistingAccount(accountData) {
+        return this.getAccountList().find(account => {
+            if (account.type !== accountData.type) return false;
+
+            switch (accountData.type) {
+                case 'offline':
+                    return account.username.toLowerCase() === accountData.username.toLowerCase();
+                case 'yggdrasil':
+                    return account.authServer === accountData.authServer && account.loginName === accountData.loginName;
+                default:
+                    return !!accountData.uuid && account.uuid === accountData.uuid;
+            }
+        }) || null;
+    }
+
+    /**
+     * 添加账户；已存在的账户更新令牌并清除重新登录标记
+     * @returns {Promise<Object>} 账户信息（不含令牌）
+     */
+    async addAccount(accountData) {
+        if (!accountData || !accountData.type) {
+            throw new Error('账户信息不完整');
+        }
+
+        const data = accountData.type === 'offline' ?
+            this.createOfflineAccount(accountData.username) :
+            accountData;
+
+        const existing = this.findExistingAccount(data);
+        let account;
+
+        if (existing) {
+            account = await this.dataManager.updateAccount(existing.id, { ...data, needsRelogin: false });
+            this.accounts.set(account.id, account);
+            this.emit('token-refreshed', { accountId: account.id, username: account.username });
+        } else {
+            const accountId = await this.dataManager.addAccount({ ...data });
+            await this.reload();
+            account = this.accounts.get(accountId);
+            this.emit('account-added', this.toPublicAccount(account));
+        }
+
+        if (!this.currentAccountId) {
+            await this.setCurrentAccount(account.id);
+        }
+
+        return this.toPublicAccount(account);
+    }
+
+    /**
+     * 为第三方认证服务器账户选择角色
+     */
+    async selectProfile(accountId, profileId) {
+        const account = this.getAccount(accountId);
+        if (!account || account.type !== 'yggdrasil') {
+            throw new Error(`认证服务器账户不存在: ${accountId}`);
+        }
+
+        const updates = await this.getAuthenticator('yggdrasil').selectProfile(account, profileId);
+        const updated = await this.dataManager.updateAccount(accountId, updates);
+        this.accounts.set(accountId, updated);
+
+        this.emit('token-refreshed', { accountId, username: updated.username });
+        return this.toPublicAccount(updated);
+    }
+
+    async removeAccount(accountId) {
+        const account = this.getAccount(accountId);
+        if (!account) {
+            throw new Error('账户不存在');
+        }
+
+        await this.dataManager.removeAccount(accountId);
+        this.accounts.delete(accountId);
+        this.emit('account-removed', { accountId, username: account.username });
+
+        if (this.currentAccountId === accountId) {
+            const [next] = this.getAccountList();
+            await this.applyCurrentAccount(next ? next.id : null);
+        }
+
+        return true;
+    }
+
+    /**
+     * 切换当前账户
+     */
+    async setCurrentAccount(accountId) {
+        if (!this.accounts.has(accountId)) {
+            throw new Error('账户不存在');
+        }
+
+        await this.dataManager.setCurrentAccount(accountId);
+        await this.reload();
+        await this.applyCurrentAccount(accountId);
+
+        return this.toPublicAccount(this.getAccount(accountId));
+    }
+
+    async applyCurrentAccount(accountId) {
+        this.currentAccountId = accountId;
+        await this.dataManager.updateUserPreferences({ currentAccountId: accountId });
+
+        const account = accountId ? this.getAccount(accountId) : null;
+        this.emit('current-changed', account ? this.toPublicAccount(account) : null);
+    }
+
+    /**
+     * 获取账户头像（需提供头像获取器）
+     */
+    async getAvatar(accountId, forceRefresh = false) {
+        const account = this.getAccount(accountId);
+        if (!account || !this.avatarFetcher) {
+            return null;
+        }
+
+        try {
+            return await this.avatarFetcher.getAvatar(account, forceRefresh);
+        } catch (error) {
+            console.warn('获取头像失败:', error.message);
+            return null;
+        }
+    }
 }
 
 module.exports = HCLAccountManager;
@@ -0,0 +1,121 @@
+// src/core/ArgumentResolver.js
+/**
+ * HCL 启动参数解析器
+ * 负责将版本 JSON 中的 arguments / minecraftArguments 解析为最终的命令行参数
+ */
+const HCLRuleEvaluator = require('./RuleEvaluator');
+
+// 1.13 之前的版本 JSON 不包含 JVM 参数，使用与官方启动器一致的默认值
+const LEGACY_JVM_ARGUMENTS = [
+    {
+        rules: [{ action: 'allow', os: { name: 'osx' } }],
+        value: ['-XstartOnFirstThread']
+    },
+    {
+        rules: [{ action: 'allow', os: { name: 'windows' } }],
+        value: '-XX:HeapDumpPath=MojangTricksIntelDriversForPerformance_javaw.exe_minecraft.exe.heapdump'
+    },
+    {
+        rules: [{ action: 'allow', os: { arch: 'x86' } }],
+        value: '-Xss1M'
+    },
+    '-Djava.library.path=${natives_directory}',
+    '-Dminecraft.launcher.brand=${launcher_name}',
+    '-Dminecraft.launcher.version=${launcher_version}',
+    '-cp',
+    '${classpath}'
+];
+
+// 旧版本通过追加参数实现自定义分辨率
+const LEGACY_RESOLUTION_ARGUMENTS = [
+    {
+        rules: [{ action: 'allow', features: { has_custom_resolution: true } }],
+        value: ['--width', '${resolution_width}', '--height', '${resolution_height}']
+    }
+];
+
+class HCLArgumentResolver {
+    constructor(ruleEvaluator = new HCLRuleEvaluator()) {
+        this.ruleEvaluator = ruleEvaluator;
+    }
+
+    /**
+     * 解析版本的启动参数
+     * @param {Object} versionInfo - 版本 JSON
+     * @param {Object} context - 占位符上下文（键为占位符名称）
+     * @param {Object} features - 特性开关 (is_demo_user, has_custom_resolution, ...)
+     * @returns {{jvmArguments: string[], gameArguments: string[], mainClass: string}}
+     */
+    resolve(versionInfo, context = {}, features = {}) {
+        const { jvm, game } = this.getArgumentTemplates(versionInfo);
+
+        return {
+            jvmArguments: this.resolveArgumentList(jvm, context, features),
+            gameArguments: this.resolveArgumentList(game, context, features),
+            mainClass: versionInfo.mainClass || 'net.minecraft.client.main.Main'
+        };
+    }
+
+    /**
+     * 获取参数模板（统一新旧两种格式）
+     */
+    getArgumentTemplates(versionInfo) {
+        if (versionInfo.arguments) {
+            return {
+                jvm: versionInfo.arguments.jvm || LEGACY_JVM_ARGUMENTS,
+                game: versionInfo.arguments.game || []
+            };
+        }
+
+        const legacyGame = (versionInfo.minecraftArguments || '')
+            .split(' ')
+            .filter(arg => arg.length > 0);
+
+        return {
+            jvm: LEGACY_JVM_ARGUMENTS,
+            game: [...legacyGame, ...LEGACY_RESOLUTION_ARGUMENTS]
+        };
+    }
+
+    /**
+     * 解析参数列表：评估规则并替换占位符
+     */
+    resolveArgumentList(list, context = {}, features = {}) {
+        const result = [];
+
+        for (const entry of list || []) {
+            if (typeof entry === 'string') {
+                result.push(this.substitute(entry, context));
+                continue;
+            }
+
+            if (!entry || !this.ruleEvaluator.isAllowed(entry.rules, features)) {
+                continue;
+            }
+
+            const values = Array.isArray(entry.value) ? entry.value : [entry.value];
+            for (const value of values) {
+                if (typeof value === 'string') {
+                    result.push(this.substitute(value, context));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 替换 ${...} 占位符，未知的占位符保持原样
+     */
+    substitute(value, context = {}) {
+        return value.replace(/\$\{([^}]+)\}/g, (match, key) => {
+            if (Object.prototype.hasOwnProperty.call(context, key) &&
+                context[key] !== undefined && context[key] !== null) {
+                return String(context[key]);
+            }
+            return match;
+        });
+    }
+}
+
+module.exports = HCLArgumentResolver;
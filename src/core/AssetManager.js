@@ -0,0 +1,172 @@
+// src/core/AssetManager.js
+/**
+ * HCL 资源文件管理器
+ * 负责下载资源索引与资源对象，并为旧版本重建 virtual / resources 目录结构
+ */
+const path = require('path');
+const fs = require('fs').promises;
+
+const RESOURCES_URL = 'https://resources.download.minecraft.net';
+
+class HCLAssetManager {
+    constructor(configManager, downloadManager = null) {
+        this.configManager = configManager;
+        this.downloadManager = downloadManager;
+    }
+
+    getAssetsDir() {
+        return path.join(this.configManager.getGameDirectory(), 'assets');
+    }
+
+    /**
+     * 获取版本使用的资源索引 ID
+     */
+    getAssetIndexId(versionJson) {
+        return (versionJson.assetIndex && versionJson.assetIndex.id) || versionJson.assets || 'legacy';
+    }
+
+    getIndexPath(indexId) {
+        return path.join(this.getAssetsDir(), 'indexes', `${indexId}.json`);
+    }
+
+    getObjectPath(hash) {
+        return path.join(this.getAssetsDir(), 'objects', hash.substring(0, 2), hash);
+    }
+
+    /**
+     * 读取资源索引
+     */
+    async readAssetIndex(indexId) {
+        try {
+            return JSON.parse(await fs.readFile(this.getIndexPath(indexId), 'utf8'));
+        } catch (error) {
+            throw new Error(`资源索引不存在或已损坏: ${indexId}`);
+        }
+    }
+
+    /**
+     * 下载资源索引与资源对象
+     * 资源对象按哈希存储，不同版本共用；已存在且大小一致的对象直接跳过
+     * @param {Object} versionJson - 版本 JSON
+     * @param {Object} options - 传递给下载管理器的选项（jobId、signal）
+     */
+    async installAssets(versionJson, options = {}) {
+        const assetIndex = versionJson.assetIndex;
+        if (!assetIndex) {
+            return { total: 0, downloaded: 0 };
+        }
+
+        await this.downloadManager.downloadFile({
+            url: assetIndex.url,
+            path: this.getIndexPath(assetIndex.id),
+            sha1: assetIndex.sha1,
+            size: assetIndex.size
+        }, null, options);
+
+        const index = await this.readAssetIndex(assetIndex.id);
+        const seen = new Set();
+        const tasks = [];
+
+        for (const object of Object.values(index.objects || {})) {
+            if (seen.has(object.hash)) continue;
+            seen.add(object.hash);
+
+            const objectPath = this.getObjectPath(object.hash);
+            if (await this.hasObject(objectPath, object.size)) {
+                continue;
+            }
+
+            tasks.push({
+                url: `${RESOURCES_URL}/${object.hash.substring(0, 2)}/${object.hash}`,
+                path: objectPath,
+                sha1: object.hash,
+                size: object.size
+            });
+        }
+
+        await this.downloadManager.downloadFiles(tasks, {
+            ...options,
+            name: `资源文件 (${assetIndex.id})`
+        });
+
+        await this.reconstructAssets(versionJson, index);
+
+        return { total: seen.size, downloaded: tasks.length };
+    }
+
+    /**
+     * 检查资源对象是否已存在
+     */
+    async hasObject(objectPath, size) {
+        try {
+            const stats = await fs.stat(objectPath);
+            return !size || stats.size === size;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 获取 ${game_assets} 对应的目录
+     * virtual 索引使用 assets/virtual/<id>，map_to_resources 索引使用 <游戏目录>/resources
+     * @param {string} gameDirectory - 本次启动的游戏目录（实例目录），默认为主游戏目录
+     */
+    getGameAssetsDirectory(versionJson, index, gameDirectory = null) {
+        if (index && index.map_to_resources) {
+            return path.join(gameDirectory || this.configManager.getGameDirectory(), 'resources');
+        }
+
+        if (index && index.virtual) {
+            return path.join(this.getAssetsDir(), 'virtual', this.getAssetIndexId(versionJson));
+        }
+
+        return this.getAssetsDir();
+    }
+
+    /**
+     * 为旧版本重建资源目录（按文件名复制资源对象）
+     * @returns {Promise<string>} ${game_assets} 目录
+     */
+    async reconstructAssets(versionJson, index = null, gameDirectory = null) {
+        let assetIndex = index;
+        if (!assetIndex) {
+            try {
+                assetIndex = await this.readAssetIndex(this.getAssetIndexId(versionJson));
+            } catch (error) {
+                // 没有索引时使用资源根目录
+                return this.getAssetsDir();
+            }
+        }
+
+        const targetDir = this.getGameAssetsDirectory(versionJson, assetIndex, gameDirectory);
+        if (!assetIndex.virtual && !assetIndex.map_to_resources) {
+            return targetDir;
+        }
+
+        const resolvedTarget = path.resolve(targetDir);
+
+        for (const [name, object] of Object.entries(assetIndex.objects || {})) {
+            const targetPath = path.resolve(targetDir, name);
+
+            // 防止路径穿越
+            if (!targetPath.startsWith(resolvedTarget + path.sep)) {
+                continue;
+            }
+
+            if (await this.hasObject(targetPath, object.size)) {
+                continue;
+            }
+
+            try {
+                await fs.mkdir(path.dirname(targetPath), { recursive: true });
+                await fs.copyFile(this.getObjectPath(object.hash), targetPath);
+            } catch (error) {
+                console.warn(`重建资源文件失败 ${name}:`, error.message);
+            }
+        }
+
+        return targetDir;
+    }
+}
+
+module.exports = HCLAssetManager;
@@ -0,0 +1,38 @@
+// src/core/AuthError.js
+/**
+ * HCL 认证错误
+ * 带错误代码的认证异常，便于界面根据代码给出对应提示
+ */
+class HCLAuthError extends Error {
+    /**
+     * @param {string} code - 错误代码
+     * @param {string} message - 错误描述
+     * @param {Object} details - 附加信息（如服务器响应）
+     */
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'HCLAuthError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// 错误代码
+HCLAuthError.CODES = {
+    CLIENT_ID_MISSING: 'CLIENT_ID_MISSING',
+    CANCELLED: 'CANCELLED',
+    DEVICE_CODE_EXPIRED: 'DEVICE_CODE_EXPIRED',
+    AUTHORIZATION_DECLINED: 'AUTHORIZATION_DECLINED',
+    NO_XBOX_PROFILE: 'NO_XBOX_PROFILE',
+    CHILD_ACCOUNT: 'CHILD_ACCOUNT',
+    XBOX_REGION_UNAVAILABLE: 'XBOX_REGION_UNAVAILABLE',
+    XBOX_VERIFICATION_REQUIRED: 'XBOX_VERIFICATION_REQUIRED',
+    NO_GAME_OWNERSHIP: 'NO_GAME_OWNERSHIP',
+    NO_MINECRAFT_PROFILE: 'NO_MINECRAFT_PROFILE',
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+    SERVER_ERROR: 'SERVER_ERROR'
+};
+
+module.exports = HCLAuthError;
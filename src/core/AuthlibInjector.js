@@ -0,0 +1,88 @@
+// src/core/AuthlibInjector.js
+/**
+ * HCL authlib-injector 管理器
+ * 负责下载并校验 authlib-injector，并为 Yggdrasil 账户生成 -javaagent 启动参数
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const HCLDownloadManager = require('./DownloadManager');
+
+const LATEST_URL = 'https://authlib-injector.yushi.moe/artifact/latest.json';
+
+class HCLAuthlibInjector {
+    constructor(configManager, downloadManager = null) {
+        this.configManager = configManager;
+        this.downloadManager = downloadManager || new HCLDownloadManager(configManager);
+    }
+
+    getDirectory() {
+        return path.join(this.configManager.getPaths().appDataPath, 'authlib-injector');
+    }
+
+    getCachedInfoPath() {
+        return path.join(this.getDirectory(), 'latest.json');
+    }
+
+    /**
+     * 确保本地存在已校验的 authlib-injector
+     * 无法获取最新版本信息时回退到上次下载的版本
+     * @returns {Promise<string>} jar 路径
+     */
+    async ensureInstalled() {
+        let info;
+        try {
+            info = await this.downloadManager.fetchJson(LATEST_URL);
+        } catch (error) {
+            info = await this.readCachedInfo();
+            if (!info) {
+                throw new Error(`获取 authlib-injector 版本信息失败: ${error.message}`);
+            }
+            console.warn('无法获取 authlib-injector 最新版本，使用本地版本:', info.version);
+        }
+
+        if (!info.download_url || !info.checksums || !info.checksums.sha256) {
+            throw new Error('authlib-injector 版本信息无效');
+        }
+
+        const jarPath = path.join(this.getDirectory(), `authlib-injector-${info.version}.jar`);
+
+        await this.downloadManager.downloadFile({
+            url: info.download_url,
+            path: jarPath,
+            sha256: info.checksums.sha256
+        });
+
+        await fs.writeFile(this.getCachedInfoPath(), JSON.stringify(info, null, 2), 'utf8');
+        return jarPath;
+    }
+
+    async readCachedInfo() {
+        try {
+            return JSON.parse(await fs.readFile(this.getCachedInfoPath(), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 生成 authlib-injector 的 JVM 参数
+     * @param {Object} account - Yggdrasil 账户
+     * @param {Object} authenticator - Yggdrasil 认证器（用于预取元数据）
+     * @returns {Promise<string[]>}
+     */
+    async getJvmArguments(account, authenticator) {
+        if (account.type !== 'yggdrasil') {
+            return [];
+        }
+
+        const jarPath = await this.ensureInstalled();
+        const metadata = await authenticator.getPrefetchedMetadata(account);
+
+        return [
+            `-javaagent:${jarPath}=${account.authServer}`,
+            `-Dauthlibinjector.yggdrasil.prefetched=${metadata}`
+        ];
+    }
+}
+
+module.exports = HCLAuthlibInjector;
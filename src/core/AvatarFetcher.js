@@ -0,0 +1,158 @@
+// src/core/AvatarFetcher.js
+/**
+ * HCL 头像获取器（主进程）
+ * 从会话服务器读取账户皮肤，裁剪出头部（含帽子层）并缓存到 hcl-data/avatars；
+ * 渲染进程通过 get-account-avatar 获取 Data URL
+ */
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+const { nativeImage } = require('electron');
+
+// Mojang 会话服务器（Microsoft 账户）
+const MOJANG_SESSION_SERVER = 'https://sessionserver.mojang.com';
+
+// 缓存有效期
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+
+// 输出头像边长（像素，按最近邻放大）
+const AVATAR_SIZE = 64;
+
+class HCLAvatarFetcher {
+    constructor(configManager) {
+        this.configManager = configManager;
+    }
+
+    /**
+     * 账户对应的会话服务器，离线账户没有皮肤时返回 null
+     */
+    getSessionServer(account) {
+        if (account.type === 'microsoft') {
+            return MOJANG_SESSION_SERVER;
+        }
+        if (account.type === 'yggdrasil' && account.authServer) {
+            return `${account.authServer.replace(/\/+$/, '')}/sessionserver`;
+        }
+        return null;
+    }
+
+    getCachePath(sessionServer, uuid) {
+        const key = crypto.createHash('sha1').update(`${sessionServer}/${uuid}`).digest('hex');
+        return path.join(this.configManager.getPaths().avatarDir, `${key}.png`);
+    }
+
+    /**
+     * 获取账户头像
+     * @param {Object} account - 账户
+     * @param {boolean} forceRefresh - 忽略缓存
+     * @returns {Promise<string|null>} PNG Data URL，账户没有皮肤时为 null
+     */
+    async getAvatar(account, forceRefresh = false) {
+        const sessionServer = this.getSessionServer(account);
+        if (!sessionServer || !account.uuid) {
+            return null;
+        }
+
+        const uuid = account.uuid.replace(/-/g, '');
+        const cachePath = this.getCachePath(sessionServer, uuid);
+
+        if (!forceRefresh) {
+            const cached = await this.readCache(cachePath, CACHE_TTL);
+            if (cached) return cached;
+        }
+
+        try {
+            const skin = await this.fetchSkin(sessionServer, uuid);
+            if (!skin) return null;
+
+            const head = this.cropHead(skin);
+            await fs.mkdir(path.dirname(cachePath), { recursive: true });
+            await fs.writeFile(cachePath, head);
+            return this.toDataUrl(head);
+        } catch (error) {
+            // 网络不可用时使用过期的缓存
+            const stale = await this.readCache(cachePath, Infinity);
+            if (stale) return stale;
+            throw error;
+        }
+    }
+
+    async readCache(cachePath, maxAge) {
+        try {
+            const stats = await fs.stat(cachePath);
+            if (Date.now() - stats.mtimeMs > maxAge) return null;
+            return this.toDataUrl(await fs.readFile(cachePath));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 读取角色档案中的皮肤地址并下载皮肤
+     * @returns {Promise<Buffer|null>} 皮肤 PNG，角色未设置皮肤时为 null
+     */
+    async fetchSkin(sessionServer, uuid) {
+        const timeout = this.configManager.getConfig().downloadTimeout || 30000;
+        const headers = { 'User-Agent': 'HCL-Launcher' };
+
+        const { data: profile } = await axios.get(`${sessionServer}/session/minecraft/profile/${uuid}`, {
+            headers,
+            timeout
+        });
+        const property = profile && (profile.properties || []).find(item => item.name === 'textures');
+        if (!property) return null;
+
+        const textures = JSON.parse(Buffer.from(property.value, 'base64').toString('utf8')).textures || {};
+        if (!textures.SKIN || !textures.SKIN.url) return null;
+
+        const response = await axios.get(textures.SKIN.url, {
+            headers,
+            timeout,
+            responseType: 'arraybuffer'
+        });
+        return Buffer.from(response.data);
+    }
+
+    /**
+     * 裁剪皮肤头部：脸部 (8, 8) 叠加帽子层 (40, 8)，支持 64x32 旧格式与高清皮肤
+     * @returns {Buffer} PNG
+     */
+    cropHead(skin) {
+        const image = nativeImage.createFromBuffer(skin);
+        const { width, height } = image.getSize();
+        if (image.isEmpty() || width < 64 || height < width / 2) {
+            throw new Error('无效的皮肤文件');
+        }
+
+        const scale = width / 64;
+        const faceSize = 8 * scale;
+        const bitmap = image.toBitmap();
+        const output = Buffer.alloc(AVATAR_SIZE * AVATAR_SIZE * 4);
+
+        for (let y = 0; y < AVATAR_SIZE; y++) {
+            for (let x = 0; x < AVATAR_SIZE; x++) {
+                const sx = Math.floor(x * faceSize / AVATAR_SIZE);
+                const sy = Math.floor(y * faceSize / AVATAR_SIZE);
+                const face = ((faceSize + sy) * width + faceSize + sx) * 4;
+                const hat = ((faceSize + sy) * width + 5 * faceSize + sx) * 4;
+                const alpha = bitmap[hat + 3] / 255;
+                const target = (y * AVATAR_SIZE + x) * 4;
+
+                // 位图通道顺序因平台而异，但透明度总在最后
+                for (let channel = 0; channel < 3; channel++) {
+                    output[target + channel] = Math.round(bitmap[hat + channel] * alpha + bitmap[face + channel] * (1 - alpha));
+                }
+                output[target + 3] = 255;
+            }
+        }
+
+        return nativeImage.createFromBitmap(output, { width: AVATAR_SIZE, height: AVATAR_SIZE }).toPNG();
+    }
+
+    toDataUrl(buffer) {
+        return `data:image/png;base64,${buffer.toString('base64')}`;
+    }
+}
+
+module.exports = HCLAvatarFetcher;
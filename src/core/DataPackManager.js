@@ -0,0 +1,110 @@
+// src/core/DataPackManager.js
+/**
+ * HCL 数据包管理器
+ * 管理存档 datapacks 中的数据包；禁用的数据包移到存档的 datapacks-disabled 目录，
+ * 游戏不会加载其中的内容
+ */
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+const HCLPackReader = require('./PackReader');
+
+// 已禁用数据包的目录（相对存档目录）
+const DISABLED_DIR = 'datapacks-disabled';
+
+class HCLDataPackManager extends EventEmitter {
+    constructor(configManager, instanceManager = null) {
+        super();
+        this.configManager = configManager;
+        this.instanceManager = instanceManager;
+        this.packReader = new HCLPackReader();
+    }
+
+    getGameDirectory(instanceId = null) {
+        if (instanceId && this.instanceManager) {
+            this.instanceManager.requireInstance(instanceId);
+            return this.instanceManager.getInstanceDirectory(instanceId);
+        }
+        return this.configManager.getGameDirectory();
+    }
+
+    /**
+     * 解析存档目录并防止路径穿越
+     */
+    getWorldDirectory(instanceId, worldName) {
+        const savesDir = path.resolve(this.getGameDirectory(instanceId), 'saves');
+        const worldDir = path.resolve(savesDir, worldName || '');
+        if (path.dirname(worldDir) !== savesDir) {
+            throw new Error(`非法的存档名称: ${worldName}`);
+        }
+        return worldDir;
+    }
+
+    /**
+     * 获取存档的数据包列表
+     * @returns {Promise<Array>} 数据包信息（含 enabled 与兼容性）
+     */
+    async getPacks(instanceId, worldName) {
+        const worldDir = this.getWorldDirectory(instanceId, worldName);
+        try {
+            await fs.access(path.join(worldDir, 'level.dat'));
+        } catch (error) {
+            throw new Error(`存档不存在: ${worldName}`);
+        }
+
+        const gameVersion = instanceId && this.instanceManager ? this.instanceManager.getGameVersion(instanceId) : null;
+        const packs = [];
+
+        for (const [dir, enabled] of [['datapacks', true], [DISABLED_DIR, false]]) {
+            let names;
+            try {
+                names = await fs.readdir(path.join(worldDir, dir));
+            } catch (error) {
+                continue;
+            }
+
+            for (const name of names) {
+                const pack = await this.packReader.readPack(path.join(worldDir, dir, name));
+                if (!pack) continue;
+                packs.push({ ...pack, ...this.packReader.checkCompatibility(pack, gameVersion, 'data'), enabled });
+            }
+        }
+
+        return packs.sort((a, b) => a.fileName.localeCompare(b.fileName));
+    }
+
+    /**
+     * 启用或禁用数据包（在 datapacks 与 datapacks-disabled 之间移动）
+     */
+    async setPackEnabled(instanceId, worldName, fileName, enabled) {
+        const worldDir = this.getWorldDirectory(instanceId, worldName);
+        const name = path.basename(fileName);
+        const source = path.join(worldDir, enabled ? DISABLED_DIR : 'datapacks', name);
+        const target = path.join(worldDir, enabled ? 'datapacks' : DISABLED_DIR, name);
+
+        try {
+            await fs.access(source);
+        } catch (error) {
+            throw new Error(`数据包不存在: ${fileName}`);
+        }
+
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.rename(source, target);
+
+        this.emit('datapack-toggled', { instanceId, worldName, fileName: name, enabled });
+        return { success: true };
+    }
+
+    async getPackIcon(instanceId, worldName, fileName) {
+        const worldDir = this.getWorldDirectory(instanceId, worldName);
+        const name = path.basename(fileName);
+
+        for (const dir of ['datapacks', DISABLED_DIR]) {
+            const icon = await this.packReader.readIcon(path.join(worldDir, dir, name));
+            if (icon) return icon;
+        }
+        return null;
+    }
+}
+
+module.exports = HCLDataPackManager;
@@ -1,52 +1,557 @@
-<!-- 下载设置部分 -->
-<div class="settings-section">
-    <h3>⚡ 下载设置</h3>
-    
-    <div class="setting-item">
-        <label>下载源:</label>
-        <select id="download-source">
-            <option value="official">官方源 (国际)</option>
-            <option value="bmclapi">BMCLAPI (国内镜像)</option>
-        </select>
-    </div>
-    
-    <div class="setting-item">
-        <label>下载线程数:</label>
-        <select id="download-threads">
-            <option value="1">1 线程</option>
-            <option value="2" selected>2 线程</option>
-            <option value="4">4 线程</option>
-        </select>
-    </div>
-    
-    <div class="setting-item">
-        <label>最大重试次数:</label>
-        <input type="number" id="download-retries" min="1" max="10" value="3">
-    </div>
-    
-    <button onclick="testDownloadSpeed()">测试下载速度</button>
-    <button onclick="clearDownloadCache()">清理下载缓存</button>
-</div>
-
-<!-- 下载进度显示 -->
-<div class="download-progress" id="download-progress" style="display: none;">
-    <div class="progress-header">
-        <span>正在下载</span>
-        <span id="download-filename"></span>
-    </div>
-    
-    <div class="progress-bar">
-        <div class="progress-fill" id="progress-fill"></div>
-    </div>
-    
-    <div class="progress-info">
-        <span id="progress-percent">0%</span>
-        <span id="progress-size">0/0 MB</span>
-        <span id="progress-speed">0 KB/s</span>
-    </div>
-    
-    <div class="progress-actions">
-        <button onclick="pauseDownload()">暂停</button>
-        <button onclick="cancelDownload()">取消</button>
-    </div>
-</div>
+// src/core/DownloadManager.js
+/**
+ * HCL 下载管理器
+ * 负责并发下载、断点续传、SHA-1 校验以及下载进度汇总
+ */
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const HCLLibraryResolver = require('./LibraryResolver');
+const HCLMirrorManager = require('./MirrorManager');
+const HCLAssetManager = require('./AssetManager');
+
+const VERSION_MANIFEST_URL = 'https://piston-meta.mojang.com/mc/game/version_manifest_v2.json';
+
+class HCLDownloadManager extends EventEmitter {
+    constructor(configManager) {
+        super();
+        this.configManager = configManager;
+        this.libraryResolver = new HCLLibraryResolver();
+        this.mirrorManager = new HCLMirrorManager(configManager);
+        this.assetManager = new HCLAssetManager(configManager, this);
+        this.queue = [];
+        this.activeCount = 0;
+        this.batchCounter = 0;
+        this.versionManifest = null;
+        this.progressInterval = 500; // 进度事件最小间隔 (ms)
+    }
+
+    /**
+     * 获取下载设置
+     */
+    getSettings() {
+        const config = this.configManager.getConfig();
+
+        return {
+            maxThreads: Math.max(1, parseInt(config.maxThreads) || 2),
+            maxRetries: Math.max(0, parseInt(config.maxRetries) || 3),
+            timeout: parseInt(config.downloadTimeout) || 30000
+        };
+    }
+
+    /**
+     * 获取游戏目录
+     */
+    getGameDirectory() {
+        return this.configManager.getGameDirectory();
+    }
+
+    /**
+     * 加入任务队列
+     * @param {Function} job - 返回 Promise 的任务函数
+     */
+    enqueue(job) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ job, resolve, reject });
+            this.processQueue();
+        });
+    }
+
+    /**
+     * 按最大线程数执行队列中的任务
+     */
+    processQueue() {
+        const { maxThreads } = this.getSettings();
+
+        while (this.activeCount < maxThreads && this.queue.length > 0) {
+            const { job, resolve, reject } = this.queue.shift();
+            this.activeCount++;
+
+            Promise.resolve()
+                .then(job)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.activeCount--;
+                    this.processQueue();
+                });
+        }
+    }
+
+    /**
+     * 创建下载批次（用于汇总进度）
+     */
+    createBatch(tasks, options = {}) {
+        const now = Date.now();
+
+        return {
+            id: ++this.batchCounter,
+            name: options.name || '',
+            jobId: options.jobId || null,
+            signal: options.signal || null,
+            totalFiles: tasks.length,
+            completedFiles: 0,
+            failedFiles: 0,
+            totalBytes: tasks.reduce((sum, task) => sum + (task.size || 0), 0),
+            downloadedBytes: 0,
+            currentFile: null,
+            startTime: now,
+            lastEmit: 0,
+            speedSample: { time: now, bytes: 0 },
+            speed: 0
+        };
+    }
+
+    /**
+     * 批量下载文件
+     * @param {Array<{url: string, path: string, sha1?: string, sha256?: string, size?: number}>} tasks - 下载任务
+     * @param {Object} options - 选项
+     * @param {string} options.name - 批次名称（显示在进度中）
+     * @param {string} options.jobId - 所属安装任务 ID
+     * @param {AbortSignal} options.signal - 中止信号（暂停/取消）
+     * @returns {Promise<{total: number, completed: number}>}
+     */
+    async downloadFiles(tasks, options = {}) {
+        const batch = this.createBatch(tasks, options);
+        this.emitProgress(batch, true);
+
+        const results = await Promise.allSettled(
+            tasks.map(task => this.enqueue(() => this.downloadFile(task, batch)))
+        );
+
+        this.emitProgress(batch, true);
+
+        // 被中止时直接抛出中止错误，不视为下载失败
+        this.throwIfAborted(batch.signal);
+
+        const failures = results
+            .map((result, index) => ({ result, task: tasks[index] }))
+            .filter(({ result }) => result.status === 'rejected')
+            .map(({ result, task }) => ({ url: task.url, path: task.path, error: result.reason.message }));
+
+        if (failures.length > 0) {
+            const error = new Error(`${failures.length} 个文件下载失败`);
+            error.failures = failures;
+            throw error;
+        }
+
+        return { total: tasks.length, completed: batch.completedFiles };
+    }
+
+    /**
+     * 下载单个文件（带重试、校验与镜像切换）
+     * @param {Object} task - 下载任务（url 使用官方地址，由镜像管理器改写）
+     * @param {Object} batch - 所属批次
+     */
+    async downloadFile(task, batch = null, options = {}) {
+        const signal = options.signal || (batch && batch.signal);
+        this.throwIfAborted(signal);
+
+        // 已存在且校验通过则跳过
+        if (await this.verifyFile(task.path, task.sha1, task.size, task.sha256)) {
+            this.completeTask(task, batch);
+            return { path: task.path, skipped: true };
+        }
+
+        const { maxRetries } = this.getSettings();
+        const candidates = this.mirrorManager.getCandidates(task.url);
+        const attempts = Math.max(maxRetries + 1, candidates.length);
+        let lastError = null;
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const candidate = candidates[attempt % candidates.length];
+
+            try {
+                await this.fetchToFile(task, candidate.url, batch, signal);
+
+                const partPath = `${task.path}.part`;
+                if (!(await this.verifyFile(partPath, task.sha1, task.size, task.sha256))) {
+                    await fs.rm(partPath, { force: true });
+                    this.setTaskBytes(task, batch, 0);
+                    throw new Error(`文件校验失败: ${path.basename(task.path)}`);
+                }
+
+                await fs.rename(partPath, task.path);
+                this.mirrorManager.reportSuccess(candidate.mirrorId);
+                this.completeTask(task, batch);
+                return { path: task.path, skipped: false };
+            } catch (error) {
+                // 中止时保留 .part 文件，不再重试
+                this.throwIfAborted(signal);
+                this.mirrorManager.reportFailure(candidate.mirrorId, error);
+                lastError = error;
+
+                // 所有候选源都尝试过一轮后再等待
+                if (attempt < attempts - 1 && (attempt + 1) % candidates.length === 0) {
+                    await this.delay(Math.min(1000 * (attempt + 1), 5000));
+                }
+            }
+        }
+
+        if (batch) {
+            batch.failedFiles++;
+            this.emitProgress(batch, true);
+        }
+
+        throw new Error(`下载失败 ${task.url}: ${lastError.message}`);
+    }
+
+    /**
+     * 下载到 .part 文件，已有部分内容时使用 Range 续传
+     * @param {Object} task - 下载任务
+     * @param {string} url - 实际请求的地址（可能为镜像地址）
+     */
+    async fetchToFile(task, url, batch = null, signal = null) {
+        const { timeout } = this.getSettings();
+        const partPath = `${task.path}.part`;
+
+        await fs.mkdir(path.dirname(task.path), { recursive: true });
+
+        let start = 0;
+        try {
+            start = (await fs.stat(partPath)).size;
+        } catch (error) {
+            // 没有未完成的文件
+        }
+
+        if (task.size && start === task.size) {
+            // 上次已下载完整但尚未重命名，交给校验处理
+            return;
+        } else if (task.size && start > task.size) {
+            await fs.rm(partPath, { force: true });
+            start = 0;
+        }
+
+        let response;
+        try {
+            response = await axios({
+                method: 'GET',
+                url,
+                responseType: 'stream',
+                timeout,
+                headers: start > 0 ? { Range: `bytes=${start}-` } : {},
+                signal: signal || undefined,
+                validateStatus: status => status === 200 || status === 206
+            });
+        } catch (error) {
+            // 续传范围无效，删除未完成文件以便下次重试从头开始
+            if (error.response && error.response.status === 416) {
+                await fs.rm(partPath, { force: true });
+                this.setTaskBytes(task, batch, 0);
+            }
+            throw error;
+        }
+
+        // 服务器不支持续传时从头开始
+        if (response.status === 200) {
+            start = 0;
+        }
+
+        // 未提供大小的任务按响应长度计入总量（只计一次）
+        if (!task.size && !task.countedBytes && response.headers['content-length'] && batch) {
+            task.countedBytes = start + parseInt(response.headers['content-length']);
+            batch.totalBytes += task.countedBytes;
+        }
+
+        let received = start;
+        this.setTaskBytes(task, batch, received);
+        if (batch) batch.currentFile = path.basename(task.path);
+
+        // 数据流空闲超时
+        let idleTimer = null;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                response.data.destroy(new Error('下载超时'));
+            }, timeout);
+        };
+
+        const onAbort = () => response.data.destroy(this.createAbortError());
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        response.data.on('data', (chunk) => {
+            resetIdleTimer();
+            received += chunk.length;
+            this.setTaskBytes(task, batch, received);
+            this.emitProgress(batch);
+        });
+
+        resetIdleTimer();
+
+        try {
+            await pipeline(
+                response.data,
+                fsSync.createWriteStream(partPath, { flags: start > 0 ? 'a' : 'w' })
+            );
+        } finally {
+            clearTimeout(idleTimer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * 更新任务已下载字节数并同步到批次
+     */
+    setTaskBytes(task, batch, bytes) {
+        const previous = task.receivedBytes || 0;
+        task.receivedBytes = bytes;
+
+        if (batch) {
+            batch.downloadedBytes += bytes - previous;
+        }
+    }
+
+    /**
+     * 标记任务完成
+     */
+    completeTask(task, batch) {
+        if (!batch) return;
+
+        if (task.size) {
+            this.setTaskBytes(task, batch, task.size);
+        }
+
+        batch.completedFiles++;
+        this.emitProgress(batch);
+    }
+
+    /**
+     * 发送汇总进度事件
+     * @param {Object} batch - 下载批次
+     * @param {boolean} force - 忽略节流
+     */
+    emitProgress(batch, force = false) {
+        if (!batch) return;
+
+        const now = Date.now();
+        if (!force && now - batch.lastEmit < this.progressInterval) {
+            return;
+        }
+
+        // 计算瞬时速度
+        const elapsed = (now - batch.speedSample.time) / 1000;
+        if (elapsed >= 0.5) {
+            batch.speed = Math.max(0, (batch.downloadedBytes - batch.speedSample.bytes) / elapsed);
+            batch.speedSample = { time: now, bytes: batch.downloadedBytes };
+        }
+
+        const remainingBytes = Math.max(0, batch.totalBytes - batch.downloadedBytes);
+        const percent = batch.totalBytes > 0 ?
+            Math.min(100, (batch.downloadedBytes / batch.totalBytes) * 100) :
+            (batch.totalFiles > 0 ? (batch.completedFiles / batch.totalFiles) * 100 : 100);
+
+        batch.lastEmit = now;
+
+        this.emit('download-progress', {
+            batchId: batch.id,
+            jobId: batch.jobId,
+            name: batch.name,
+            totalFiles: batch.totalFiles,
+            completedFiles: batch.completedFiles,
+            failedFiles: batch.failedFiles,
+            totalBytes: batch.totalBytes,
+            downloadedBytes: batch.downloadedBytes,
+            currentFile: batch.currentFile,
+            speed: Math.round(batch.speed),
+            eta: batch.speed > 0 ? Math.round(remainingBytes / batch.speed) : null,
+            percent: Math.round(percent * 10) / 10
+        });
+    }
+
+    /**
+     * 校验文件（大小、SHA-1 与可选的 SHA-256）
+     */
+    async verifyFile(filePath, sha1 = null, size = null, sha256 = null) {
+        try {
+            const stats = await fs.stat(filePath);
+
+            if (size && stats.size !== size) {
+                return false;
+            }
+
+            if (sha1 && (await this.calculateSHA1(filePath)) !== sha1.toLowerCase()) {
+                return false;
+            }
+
+            if (sha256 && (await this.calculateHash(filePath, 'sha256')) !== sha256.toLowerCase()) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 计算文件 SHA-1
+     */
+    calculateSHA1(filePath) {
+        return this.calculateHash(filePath, 'sha1');
+    }
+
+    /**
+     * 计算文件哈希
+     */
+    calculateHash(filePath, algorithm) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash(algorithm);
+            fsSync.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * 获取 JSON（带重试）
+     */
+    async fetchJson(url, options = {}) {
+        return await this.fetchData(url, 'json', options);
+    }
+
+    /**
+     * 获取文本（如 Maven 元数据）
+     */
+    async fetchText(url, options = {}) {
+        return await this.fetchData(url, 'text', options);
+    }
+
+    /**
+     * 获取远程数据（带重试与镜像切换）
+     */
+    async fetchData(url, responseType, options = {}) {
+        const { maxRetries, timeout } = this.getSettings();
+        const candidates = this.mirrorManager.getCandidates(url);
+        const attempts = Math.max(maxRetries + 1, candidates.length);
+        let lastError = null;
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            this.throwIfAborted(options.signal);
+            const candidate = candidates[attempt % candidates.length];
+
+            try {
+                const response = await axios.get(candidate.url, {
+                    timeout,
+                    responseType,
+                    signal: options.signal || undefined
+                });
+                this.mirrorManager.reportSuccess(candidate.mirrorId);
+                return response.data;
+            } catch (error) {
+                this.throwIfAborted(options.signal);
+                this.mirrorManager.reportFailure(candidate.mirrorId, error);
+                lastError = error;
+
+                if (attempt < attempts - 1 && (attempt + 1) % candidates.length === 0) {
+                    await this.delay(Math.min(1000 * (attempt + 1), 5000));
+                }
+            }
+        }
+
+        throw new Error(`请求失败 ${url}: ${lastError.message}`);
+    }
+
+    /**
+     * 获取版本列表
+     */
+    async getVersionList(forceRefresh = false) {
+        if (!this.versionManifest || forceRefresh) {
+            this.versionManifest = await this.fetchJson(VERSION_MANIFEST_URL);
+        }
+        return this.versionManifest;
+    }
+
+    /**
+     * 下载版本 JSON
+     */
+    async downloadVersionJson(versionId, options = {}) {
+        const manifest = await this.getVersionList();
+        const version = manifest.versions.find(v => v.id === versionId);
+
+        if (!version) {
+            throw new Error(`未找到版本: ${versionId}`);
+        }
+
+        return await this.fetchJson(version.url, options);
+    }
+
+    /**
+     * 下载客户端 JAR
+     */
+    async downloadClient(versionJson, versionDir, options = {}) {
+        const client = versionJson.downloads && versionJson.downloads.client;
+        if (!client) {
+            throw new Error(`版本 ${versionJson.id} 缺少客户端下载信息`);
+        }
+
+        return await this.downloadFiles([{
+            url: client.url,
+            path: path.join(versionDir, `${versionJson.id}.jar`),
+            sha1: client.sha1,
+            size: client.size
+        }], { ...options, name: `${versionJson.id}.jar` });
+    }
+
+    /**
+     * 下载资源索引与资源文件
+     */
+    async downloadAssets(versionJson, options = {}) {
+        return await this.assetManager.installAssets(versionJson, options);
+    }
+
+    /**
+     * 下载库文件（包括当前系统的原生库）
+     */
+    async downloadLibraries(versionJson, options = {}) {
+        const libraryDir = path.join(this.getGameDirectory(), 'libraries');
+        const { classpath, natives } = this.libraryResolver.resolveLibraries(versionJson, libraryDir);
+
+        const tasks = [...classpath, ...natives]
+            .filter(lib => lib.url)
+            .map(lib => ({ url: lib.url, path: lib.path, sha1: lib.sha1, size: lib.size }));
+
+        return await this.downloadFiles(tasks, { ...options, name: '库文件' });
+    }
+
+    /**
+     * 下载版本所需的全部游戏文件
+     */
+    async downloadGameFiles(versionJson, versionDir = null, options = {}) {
+        const targetDir = versionDir || path.join(this.getGameDirectory(), 'versions', versionJson.id);
+
+        await this.downloadClient(versionJson, targetDir, options);
+        await this.downloadLibraries(versionJson, options);
+        await this.downloadAssets(versionJson, options);
+    }
+
+    /**
+     * 创建中止错误
+     */
+    createAbortError() {
+        const error = new Error('下载已中止');
+        error.code = 'ABORTED';
+        return error;
+    }
+
+    /**
+     * 信号已中止时抛出中止错误
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+    }
+
+    /**
+     * 延迟
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = HCLDownloadManager;
@@ -0,0 +1,483 @@
+// src/core/ForgeInstaller.js
+/**
+ * HCL Forge / NeoForge 安装器
+ * 读取官方安装器中的 install_profile.json，下载所需库文件并在后台执行客户端处理器
+ * 同时支持 1.13+ 的处理器格式与旧版 universal jar 格式
+ */
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+const HCLLibraryResolver = require('./LibraryResolver');
+
+const FORGE_MAVEN = 'https://maven.minecraftforge.net';
+const NEOFORGE_MAVEN = 'https://maven.neoforged.net/releases';
+
+// 旧版安装器中的 Maven 地址已迁移
+const LEGACY_FORGE_MAVEN = /^https?:\/\/files\.minecraftforge\.net\/maven\/?/;
+
+class HCLForgeInstaller {
+    constructor(configManager, downloadManager, javaDetector = null) {
+        this.configManager = configManager;
+        this.downloadManager = downloadManager;
+        this.javaDetector = javaDetector;
+        this.libraryResolver = new HCLLibraryResolver();
+    }
+
+    supports(type) {
+        return type === 'forge' || type === 'neoforge';
+    }
+
+    getLibraryDir() {
+        return path.join(this.configManager.getGameDirectory(), 'libraries');
+    }
+
+    getLibraryPath(name) {
+        return path.join(this.getLibraryDir(), this.libraryResolver.getArtifactPath(name));
+    }
+
+    /**
+     * 获取安装器所在的 Maven 仓库与构件
+     * NeoForge 1.20.1 沿用 net.neoforged:forge，之后改为 net.neoforged:neoforge
+     */
+    getArtifact(type, gameVersion) {
+        if (type === 'forge') {
+            return { maven: FORGE_MAVEN, group: 'net/minecraftforge', artifact: 'forge', prefix: `${gameVersion}-` };
+        }
+
+        if (gameVersion === '1.20.1') {
+            return { maven: NEOFORGE_MAVEN, group: 'net/neoforged', artifact: 'forge', prefix: '1.20.1-' };
+        }
+
+        // 1.20.4 -> 20.4.x，1.21 -> 21.0.x
+        const [, minor, patch = '0'] = gameVersion.split('.');
+        return { maven: NEOFORGE_MAVEN, group: 'net/neoforged', artifact: 'neoforge', prefix: `${minor}.${patch}.` };
+    }
+
+    /**
+     * 获取游戏版本可用的 Forge / NeoForge 版本
+     * @returns {Promise<Array<{version: string, stable: boolean}>>} 按新到旧排列
+     */
+    async getVersions(type, gameVersion) {
+        const { maven, group, artifact, prefix } = this.getArtifact(type, gameVersion);
+        const metadata = await this.downloadManager.fetchText(`${maven}/${group}/${artifact}/maven-metadata.xml`);
+
+        const versions = [];
+        const pattern = /<version>([^<]+)<\/version>/g;
+        let match;
+        while ((match = pattern.exec(metadata)) !== null) {
+            if (match[1].startsWith(prefix)) {
+                versions.push({ version: match[1], stable: !/-(alpha|beta|rc)/i.test(match[1]) });
+            }
+        }
+
+        return versions.reverse();
+    }
+
+    /**
+     * 生成安装后的版本 ID
+     */
+    getVersionId(type, gameVersion, version) {
+        if (type === 'forge') {
+            return `${gameVersion}-forge-${version.substring(gameVersion.length + 1)}`;
+        }
+        return `neoforge-${version}`;
+    }
+
+    getInstallerUrl(type, gameVersion, version) {
+        const { maven, group, artifact } = this.getArtifact(type, gameVersion);
+        return `${maven}/${group}/${artifact}/${version}/${artifact}-${version}-installer.jar`;
+    }
+
+    /**
+     * 下载安装器并读取安装配置
+     * @param {Object} loader - { type, version, gameVersion }
+     * @param {string} versionId - 安装后的版本 ID
+     * @param {Object} options - 下载选项（jobId、signal）
+     * @returns {Promise<Object>} 安装上下文，versionJson 为需要写入的版本 JSON
+     */
+    async prepare(loader, versionId, options = {}) {
+        const { type, version, gameVersion } = loader;
+        const installerPath = path.join(
+            this.configManager.getPaths().appDataPath, 'cache', type, `${type}-${version}-installer.jar`
+        );
+
+        await this.downloadManager.downloadFile({
+            url: this.getInstallerUrl(type, gameVersion, version),
+            path: installerPath
+        }, null, options);
+
+        const zip = new AdmZip(installerPath);
+        const profile = this.readZipJson(zip, 'install_profile.json');
+
+        // 旧版安装器：install + versionInfo
+        if (profile.install && profile.versionInfo) {
+            return {
+                legacy: true,
+                loader,
+                installerPath,
+                profile,
+                versionJson: this.createLegacyVersionJson(profile, versionId)
+            };
+        }
+
+        const versionJson = this.readZipJson(zip, (profile.json || 'version.json').replace(/^\//, ''));
+
+        return {
+            legacy: false,
+            loader,
+            installerPath,
+            profile,
+            versionJson: {
+                ...versionJson,
+                id: versionId,
+                inheritsFrom: versionJson.inheritsFrom || profile.minecraft || gameVersion
+            }
+        };
+    }
+
+    readZipJson(zip, entryName) {
+        const entry = zip.getEntry(entryName);
+        if (!entry) {
+            throw new Error(`安装器缺少 ${entryName}`);
+        }
+        return JSON.parse(zip.readAsText(entry));
+    }
+
+    /**
+     * 旧版安装器的 versionInfo 转换为版本 JSON
+     */
+    createLegacyVersionJson(profile, versionId) {
+        const { install, versionInfo } = profile;
+
+        const libraries = (versionInfo.libraries || [])
+            .filter(lib => lib.clientreq !== false)
+            .map(lib => {
+                const { checksums, clientreq, serverreq, ...rest } = lib;
+                if (rest.url) {
+                    rest.url = rest.url.replace(LEGACY_FORGE_MAVEN, `${FORGE_MAVEN}/`);
+                }
+                return rest;
+            });
+
+        return {
+            ...versionInfo,
+            id: versionId,
+            inheritsFrom: versionInfo.inheritsFrom || install.minecraft,
+            jar: versionInfo.jar || install.minecraft,
+            libraries
+        };
+    }
+
+    /**
+     * 安装库文件：先释放安装器内置的 Maven 文件，再下载其余库文件
+     */
+    async installLibraries(context, options = {}) {
+        const zip = new AdmZip(context.installerPath);
+        const libraryDir = this.getLibraryDir();
+
+        await this.extractMavenEntries(zip, libraryDir);
+
+        if (context.legacy) {
+            // 旧版 universal jar 位于安装器内
+            const { path: name, filePath } = context.profile.install;
+            await this.extractEntry(zip, filePath, this.getLibraryPath(name));
+        }
+
+        // 安装器工具与游戏运行库可能依赖同一构件的不同版本，需分别解析
+        const entries = [];
+        for (const libraries of [context.profile.libraries || [], context.versionJson.libraries || []]) {
+            const { classpath, natives } = this.libraryResolver.resolveLibraries({ libraries }, libraryDir);
+            entries.push(...classpath, ...natives);
+        }
+
+        // 下载地址为空的库只能来自安装器
+        const bundled = new Set([...(context.profile.libraries || []), ...(context.versionJson.libraries || [])]
+            .filter(lib => lib.downloads && lib.downloads.artifact && lib.downloads.artifact.url === '')
+            .map(lib => lib.name));
+        if (context.legacy) {
+            bundled.add(context.profile.install.path);
+        }
+
+        const seenPaths = new Set();
+        const tasks = [];
+
+        for (const lib of entries) {
+            if (seenPaths.has(lib.path)) continue;
+            seenPaths.add(lib.path);
+
+            if (bundled.has(lib.name)) {
+                if (!(await this.fileExists(lib.path))) {
+                    throw new Error(`安装器中缺少库文件: ${lib.name}`);
+                }
+                continue;
+            }
+            tasks.push({ url: lib.url, path: lib.path, sha1: lib.sha1, size: lib.size });
+        }
+
+        await this.downloadManager.downloadFiles(tasks, {
+            ...options,
+            name: `${context.loader.type === 'forge' ? 'Forge' : 'NeoForge'} 库文件`
+        });
+    }
+
+    /**
+     * 释放安装器 maven/ 目录中的文件到 libraries
+     */
+    async extractMavenEntries(zip, libraryDir) {
+        for (const entry of zip.getEntries()) {
+            if (entry.isDirectory || !entry.entryName.startsWith('maven/')) {
+                continue;
+            }
+            await this.extractEntry(zip, entry.entryName, path.join(libraryDir, entry.entryName.substring('maven/'.length)));
+        }
+    }
+
+    async extractEntry(zip, entryName, targetPath) {
+        const entry = zip.getEntry(entryName.replace(/^\//, ''));
+        if (!entry) {
+            throw new Error(`安装器缺少文件: ${entryName}`);
+        }
+
+        const root = path.resolve(this.configManager.getGameDirectory());
+        const tempRoot = path.resolve(this.configManager.getPaths().appDataPath);
+        const resolved = path.resolve(targetPath);
+        if (!resolved.startsWith(root + path.sep) && !resolved.startsWith(tempRoot + path.sep)) {
+            throw new Error(`非法的文件路径: ${entryName}`);
+        }
+
+        const data = entry.getData();
+        try {
+            const stats = await fs.stat(resolved);
+            if (stats.size === data.length) {
+                return resolved;
+            }
+        } catch (error) {
+            // 文件不存在
+        }
+
+        await fs.mkdir(path.dirname(resolved), { recursive: true });
+        await fs.writeFile(resolved, data);
+        return resolved;
+    }
+
+    /**
+     * 执行客户端处理器（旧版安装器没有处理器）
+     * @param {Object} context - prepare() 返回的安装上下文
+     * @param {Object} options - 选项（signal、javaPath）
+     */
+    async runProcessors(context, options = {}) {
+        if (context.legacy) return;
+
+        const processors = (context.profile.processors || [])
+            .filter(processor => !processor.sides || processor.sides.includes('client'));
+        if (processors.length === 0) return;
+
+        const tempDir = path.join(
+            this.configManager.getPaths().appDataPath, 'temp', `forge-${crypto.randomBytes(4).toString('hex')}`
+        );
+
+        try {
+            const zip = new AdmZip(context.installerPath);
+            const data = await this.buildProcessorData(context, zip, tempDir);
+            const javaPath = options.javaPath || await this.getProcessorJava(context, options);
+
+            for (let i = 0; i < processors.length; i++) {
+                this.throwIfAborted(options.signal);
+                console.log(`执行处理器 ${i + 1}/${processors.length}: ${processors[i].jar}`);
+                await this.runProcessor(processors[i], data, javaPath, options.signal);
+            }
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * 处理器使用的 Java：按原版版本 JSON 的 javaVersion 选择
+     * 1.17+ 的处理器需要 Java 16/17，1.13-1.16 的安装器在 Java 17+ 上无法运行
+     */
+    async getProcessorJava(context, options = {}) {
+        if (!this.javaDetector) {
+            return this.configManager.getConfig().javaPath || 'java';
+        }
+
+        const baseVersionJson = await this.readBaseVersionJson(context.loader.gameVersion, options);
+        const java = await this.javaDetector.findJava(baseVersionJson, options);
+        return java.path;
+    }
+
+    /**
+     * 读取原版版本 JSON，本地不存在时从版本清单获取
+     */
+    async readBaseVersionJson(gameVersion, options = {}) {
+        const jsonPath = path.join(this.configManager.getGameDirectory(), 'versions', gameVersion, `${gameVersion}.json`);
+        try {
+            return JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+        } catch (error) {
+            return await this.downloadManager.downloadVersionJson(gameVersion, options);
+        }
+    }
+
+    /**
+     * 构建 {DATA} 替换表
+     */
+    async buildProcessorData(context, zip, tempDir) {
+        const { gameVersion } = context.loader;
+        const gameDir = this.configManager.getGameDirectory();
+
+        const data = {
+            SIDE: 'client',
+            MINECRAFT_VERSION: gameVersion,
+            MINECRAFT_JAR: path.join(gameDir, 'versions', gameVersion, `${gameVersion}.jar`),
+            ROOT: gameDir,
+            INSTALLER: context.installerPath,
+            LIBRARY_DIR: this.getLibraryDir()
+        };
+
+        for (const [key, value] of Object.entries(context.profile.data || {})) {
+            const clientValue = value.client;
+            if (clientValue.startsWith('[') && clientValue.endsWith(']')) {
+                data[key] = this.getLibraryPath(clientValue.slice(1, -1));
+            } else if (clientValue.startsWith("'") && clientValue.endsWith("'")) {
+                data[key] = clientValue.slice(1, -1);
+            } else if (clientValue.startsWith('/')) {
+                // 安装器内的文件，释放到临时目录
+                data[key] = await this.extractEntry(zip, clientValue, path.join(tempDir, clientValue));
+            } else {
+                data[key] = clientValue;
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * 替换处理器参数：[坐标] 转为库路径，{KEY} 替换为数据值
+     */
+    resolveArgument(value, data) {
+        if (value.startsWith('[') && value.endsWith(']')) {
+            return this.getLibraryPath(value.slice(1, -1));
+        }
+
+        const replaced = value.replace(/\{([A-Za-z0-9_]+)\}/g, (match, key) => (
+            Object.prototype.hasOwnProperty.call(data, key) ? data[key] : match
+        ));
+
+        if (replaced.startsWith("'") && replaced.endsWith("'")) {
+            return replaced.slice(1, -1);
+        }
+        return replaced;
+    }
+
+    /**
+     * 执行单个处理器，输出文件已存在且哈希一致时跳过
+     */
+    async runProcessor(processor, data, javaPath, signal) {
+        const outputs = Object.entries(processor.outputs || {}).map(([file, sha1]) => ({
+            path: this.resolveArgument(file, data),
+            sha1: this.resolveArgument(sha1, data)
+        }));
+
+        if (outputs.length > 0 && await this.verifyOutputs(outputs)) {
+            return;
+        }
+
+        const jarPath = this.getLibraryPath(processor.jar);
+        const mainClass = this.getMainClass(jarPath);
+        const classpath = [jarPath, ...(processor.classpath || []).map(name => this.getLibraryPath(name))];
+        const args = (processor.args || []).map(arg => this.resolveArgument(arg, data));
+
+        await this.spawnProcessor(javaPath, ['-cp', classpath.join(path.delimiter), mainClass, ...args], signal);
+
+        for (const output of outputs) {
+            if (!(await this.downloadManager.verifyFile(output.path, output.sha1))) {
+                await fs.rm(output.path, { force: true });
+                throw new Error(`处理器输出校验失败: ${path.basename(output.path)}`);
+            }
+        }
+    }
+
+    async verifyOutputs(outputs) {
+        for (const output of outputs) {
+            if (!(await this.downloadManager.verifyFile(output.path, output.sha1))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 读取 jar 清单中的 Main-Class
+     */
+    getMainClass(jarPath) {
+        let manifest;
+        try {
+            manifest = new AdmZip(jarPath).readAsText('META-INF/MANIFEST.MF');
+        } catch (error) {
+            throw new Error(`无法读取处理器: ${path.basename(jarPath)}`);
+        }
+
+        // 清单中超过 72 字节的行会以空格续行
+        const match = manifest.replace(/\r?\n /g, '').match(/^Main-Class:\s*(.+?)\s*$/m);
+        if (!match) {
+            throw new Error(`处理器缺少 Main-Class: ${path.basename(jarPath)}`);
+        }
+        return match[1];
+    }
+
+    spawnProcessor(javaPath, args, signal) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(javaPath, args, {
+                cwd: this.configManager.getGameDirectory(),
+                stdio: ['ignore', 'pipe', 'pipe'],
+                windowsHide: true
+            });
+
+            // 只保留最后的输出用于报错
+            let output = '';
+            const collect = (chunk) => {
+                output = (output + chunk.toString()).slice(-4000);
+            };
+            child.stdout.on('data', collect);
+            child.stderr.on('data', collect);
+
+            const onAbort = () => child.kill();
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            child.on('error', (error) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                reject(new Error(`无法启动处理器: ${error.message}`));
+            });
+
+            child.on('close', (code) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+
+                if (signal && signal.aborted) {
+                    reject(this.downloadManager.createAbortError());
+                } else if (code !== 0) {
+                    reject(new Error(`处理器执行失败 (退出码 ${code}):\n${output.trim()}`));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    throwIfAborted(signal) {
+        this.downloadManager.throwIfAborted(signal);
+    }
+
+    async fileExists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+module.exports = HCLForgeInstaller;
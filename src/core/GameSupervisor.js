@@ -0,0 +1,239 @@
+// src/core/GameSupervisor.js
+/**
+ * HCL 游戏进程监管器
+ * 同时跟踪多个游戏会话（不同版本或账户），提供停止、强制终止、发送命令与输出查询
+ */
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+
+// 每个会话保留的输出条数
+const MAX_OUTPUT_ENTRIES = 5000;
+
+class HCLGameSupervisor extends EventEmitter {
+    constructor() {
+        super();
+        this.sessions = new Map();
+    }
+
+    /**
+     * 开始跟踪游戏进程
+     * @param {ChildProcess} gameProcess - 已启动的游戏进程
+     * @param {Object} info - 会话信息
+     * @param {Object} info.account - 启动账户
+     * @param {string} info.version - 版本 ID
+     * @param {string} info.instanceId - 实例 ID（可选）
+     * @param {Function} info.onExit - 进程退出后的清理回调（可选）
+     * @returns {Object} 会话信息
+     */
+    track(gameProcess, info = {}) {
+        const account = info.account || {};
+        const session = {
+            id: crypto.randomBytes(8).toString('hex'),
+            pid: gameProcess.pid,
+            account: { id: account.id || null, username: account.username, type: account.type },
+            version: info.version,
+            instanceId: info.instanceId || null,
+            startTime: new Date().toISOString(),
+            endTime: null,
+            state: 'running',
+            exitCode: null,
+            signal: null,
+            output: [],
+            process: gameProcess,
+            onExit: info.onExit || null
+        };
+
+        this.sessions.set(session.id, session);
+
+        gameProcess.stdout.on('data', (data) => this.appendOutput(session, 'stdout', data.toString()));
+        gameProcess.stderr.on('data', (data) => this.appendOutput(session, 'stderr', data.toString()));
+
+        // 游戏关闭标准输入或退出后写入会触发 EPIPE，未监听时会导致主进程崩溃
+        if (gameProcess.stdin) {
+            gameProcess.stdin.on('error', (error) => {
+                console.warn('写入游戏标准输入失败:', error.message);
+            });
+        }
+
+        gameProcess.on('close', (code, signal) => {
+            this.finishSession(session, { exitCode: code, signal });
+        });
+
+        gameProcess.on('error', (error) => {
+            this.appendOutput(session, 'stderr', error.message);
+            this.finishSession(session, { error: error.message });
+        });
+
+        const publicSession = this.toPublicSession(session);
+        this.emit('session-started', publicSession);
+        return publicSession;
+    }
+
+    appendOutput(session, type, data) {
+        const entry = { type, data, timestamp: Date.now() };
+
+        session.output.push(entry);
+        if (session.output.length > MAX_OUTPUT_ENTRIES) {
+            session.output.splice(0, session.output.length - MAX_OUTPUT_ENTRIES);
+        }
+
+        this.emit('session-output', { sessionId: session.id, ...entry });
+    }
+
+    async finishSession(session, result) {
+        // error 与 close 可能先后触发
+        if (session.state === 'exited') return;
+
+        session.state = 'exited';
+        session.endTime = new Date().toISOString();
+        session.exitCode = result.exitCode !== undefined ? result.exitCode : null;
+        session.signal = result.signal || null;
+        session.process = null;
+
+        if (session.onExit) {
+            try {
+                await session.onExit(session);
+            } catch (error) {
+                console.warn('会话清理失败:', error.message);
+            }
+        }
+
+        this.emit('session-exited', {
+            ...this.toPublicSession(session),
+            error: result.error || null
+        });
+    }
+
+    /**
+     * 渲染进程可见的会话信息（不含进程对象与输出）
+     */
+    toPublicSession(session) {
+        return {
+            id: session.id,
+            pid: session.pid,
+            account: { ...session.account },
+            version: session.version,
+            instanceId: session.instanceId,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            state: session.state,
+            exitCode: session.exitCode,
+            signal: session.signal,
+            outputLength: session.output.length
+        };
+    }
+
+    getSessions() {
+        return Array.from(this.sessions.values()).map(session => this.toPublicSession(session));
+    }
+
+    getSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        return session ? this.toPublicSession(session) : null;
+    }
+
+    getRunningSessions() {
+        return this.getSessions().filter(session => session.state !== 'exited');
+    }
+
+    requireSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`游戏会话不存在: ${sessionId}`);
+        }
+        return session;
+    }
+
+    /**
+     * 获取会话输出
+     * @param {number} limit - 返回最近的条数
+     */
+    getOutput(sessionId, limit = 100) {
+        return this.requireSession(sessionId).output.slice(-limit);
+    }
+
+    /**
+     * 停止游戏（请求进程正常退出）
+     */
+    stop(sessionId) {
+        const session = this.requireSession(sessionId);
+        if (session.state !== 'running') {
+            return false;
+        }
+
+        if (os.platform() === 'win32') {
+            this.taskkill(session, ['/t']);
+        } else {
+            session.process.kill('SIGTERM');
+        }
+
+        session.state = 'stopping';
+        this.emit('session-stopping', this.toPublicSession(session));
+        return true;
+    }
+
+    /**
+     * 强制终止游戏
+     */
+    kill(sessionId) {
+        const session = this.requireSession(sessionId);
+        if (session.state === 'exited') {
+            return false;
+        }
+
+        if (os.platform() === 'win32') {
+            this.taskkill(session, ['/f', '/t']);
+        } else {
+            session.process.kill('SIGKILL');
+        }
+        return true;
+    }
+
+    /**
+     * 通过 taskkill 结束 Windows 上的进程树，无法执行 taskkill 时直接结束游戏进程
+     */
+    taskkill(session, flags) {
+        spawn('taskkill', ['/pid', session.pid.toString(), ...flags], { windowsHide: true })
+            .on('error', (error) => {
+                console.warn('执行 taskkill 失败，直接结束进程:', error.message);
+                // 游戏可能已在此期间退出
+                if (session.process) {
+                    session.process.kill();
+                }
+            });
+    }
+
+    /**
+     * 发送命令到游戏进程的标准输入
+     */
+    sendCommand(sessionId, command) {
+        const session = this.requireSession(sessionId);
+        if (session.state !== 'running' || !session.process.stdin.writable) {
+            return false;
+        }
+
+        try {
+            session.process.stdin.write(command + '\n');
+        } catch (error) {
+            console.warn('发送命令失败:', error.message);
+            return false;
+        }
+        this.emit('command-sent', { sessionId, command });
+        return true;
+    }
+
+    /**
+     * 移除已退出的会话
+     */
+    removeSession(sessionId) {
+        const session = this.requireSession(sessionId);
+        if (session.state !== 'exited') {
+            throw new Error('游戏仍在运行，无法移除会话');
+        }
+        return this.sessions.delete(sessionId);
+    }
+}
+
+module.exports = HCLGameSupervisor;
@@ -0,0 +1,281 @@
+// src/core/InstanceManager.js
+/**
+ * HCL 实例管理器
+ * 每个实例拥有独立的游戏目录（mods、config、saves、resourcepacks 等），
+ * 绑定一个版本，并可单独设置 Java、内存、JVM 参数与窗口大小；
+ * 版本、库文件与资源文件仍共享主游戏目录
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// 实例目录中的配置文件
+const INSTANCE_FILE = 'instance.json';
+
+// 创建实例时建立的子目录
+const INSTANCE_SUBDIRS = ['mods', 'config', 'saves', 'resourcepacks', 'shaderpacks'];
+
+// 允许通过 updateInstance 修改的字段
+const EDITABLE_FIELDS = ['version', 'loader', 'javaPath', 'memory', 'jvmArgs', 'width', 'height', 'icon'];
+
+class HCLInstanceManager extends EventEmitter {
+    constructor(configManager) {
+        super();
+        this.configManager = configManager;
+        this.instances = new Map();
+    }
+
+    async initialize() {
+        await fs.mkdir(this.getInstancesDir(), { recursive: true });
+        await this.reload();
+        console.log(`已加载 ${this.instances.size} 个实例`);
+    }
+
+    getInstancesDir() {
+        return path.join(this.configManager.getGameDirectory(), 'instances');
+    }
+
+    getInstanceDirectory(instanceId) {
+        return path.join(this.getInstancesDir(), instanceId);
+    }
+
+    /**
+     * 扫描实例目录
+     */
+    async reload() {
+        this.instances.clear();
+        const entries = await fs.readdir(this.getInstancesDir(), { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            try {
+                const file = path.join(this.getInstancesDir(), entry.name, INSTANCE_FILE);
+                const instance = JSON.parse(await fs.readFile(file, 'utf8'));
+                this.instances.set(entry.name, { ...instance, id: entry.name });
+            } catch (error) {
+                // 不是实例目录
+            }
+        }
+    }
+
+    getInstances() {
+        return Array.from(this.instances.values())
+            .sort((a, b) => new Date(b.lastPlayed || b.createdAt || 0) - new Date(a.lastPlayed || a.createdAt || 0));
+    }
+
+    getInstance(instanceId) {
+        return this.instances.get(instanceId) || null;
+    }
+
+    requireInstance(instanceId) {
+        const instance = this.getInstance(instanceId);
+        if (!instance) {
+            throw new Error(`实例不存在: ${instanceId}`);
+        }
+        return instance;
+    }
+
+    /**
+     * 创建实例
+     * @param {Object} options - 实例设置
+     * @param {string} options.name - 实例名称
+     * @param {string} options.version - 启动使用的版本 ID（原版或加载器生成的版本）
+     * @param {Object} options.loader - 模组加载器信息 { type, version, gameVersion }（可选）
+     * @returns {Promise<Object>} 实例信息
+     */
+    async createInstance(options = {}) {
+        const name = this.validateName(options.name);
+        if (!options.version) {
+            throw new Error('请选择实例使用的游戏版本');
+        }
+
+        const instanceId = await this.generateInstanceId(name);
+        const instanceDir = this.getInstanceDirectory(instanceId);
+
+        for (const subdir of INSTANCE_SUBDIRS) {
+            await fs.mkdir(path.join(instanceDir, subdir), { recursive: true });
+        }
+
+        const instance = {
+            id: instanceId,
+            name,
+            version: options.version,
+            loader: options.loader || null,
+            javaPath: options.javaPath || null,
+            memory: options.memory || null,
+            jvmArgs: this.normalizeJvmArgs(options.jvmArgs),
+            width: options.width || null,
+            height: options.height || null,
+            icon: options.icon || null,
+            createdAt: new Date().toISOString(),
+            lastPlayed: null
+        };
+
+        await this.saveInstance(instance);
+        this.emit('instance-created', instance);
+        return instance;
+    }
+
+    /**
+     * 修改实例设置（null 表示使用全局设置）
+     */
+    async updateInstance(instanceId, updates = {}) {
+        const instance = this.requireInstance(instanceId);
+        const updated = { ...instance };
+
+        for (const field of EDITABLE_FIELDS) {
+            if (updates[field] !== undefined) {
+                updated[field] = updates[field];
+            }
+        }
+        updated.jvmArgs = this.normalizeJvmArgs(updated.jvmArgs);
+
+        await this.saveInstance(updated);
+        this.emit('instance-updated', updated);
+        return updated;
+    }
+
+    /**
+     * 重命名实例（目录名保持不变，避免影响正在运行的游戏）
+     */
+    async renameInstance(instanceId, name) {
+        const instance = this.requireInstance(instanceId);
+        const updated = { ...instance, name: this.validateName(name) };
+
+        await this.saveInstance(updated);
+        this.emit('instance-updated', updated);
+        return updated;
+    }
+
+    /**
+     * 复制实例（包含存档、模组与配置）
+     */
+    async cloneInstance(instanceId, name = null) {
+        const source = this.requireInstance(instanceId);
+        const cloneName = this.validateName(name || `${source.name} - 副本`);
+        const cloneId = await this.generateInstanceId(cloneName);
+
+        await fs.cp(this.getInstanceDirectory(instanceId), this.getInstanceDirectory(cloneId), { recursive: true });
+
+        const instance = {
+            ...source,
+            id: cloneId,
+            name: cloneName,
+            createdAt: new Date().toISOString(),
+            lastPlayed: null
+        };
+
+        await this.saveInstance(instance);
+        this.emit('instance-created', instance);
+        return instance;
+    }
+
+    /**
+     * 删除实例及其目录
+     */
+    async deleteInstance(instanceId) {
+        const instance = this.requireInstance(instanceId);
+
+        await fs.rm(this.getInstanceDirectory(instanceId), { recursive: true, force: true });
+        this.instances.delete(instanceId);
+
+        this.emit('instance-deleted', { instanceId, name: instance.name });
+        return true;
+    }
+
+    /**
+     * 记录最近游玩时间
+     */
+    async markPlayed(instanceId) {
+        const instance = this.requireInstance(instanceId);
+        const updated = { ...instance, lastPlayed: new Date().toISOString() };
+        await this.saveInstance(updated);
+        return updated;
+    }
+
+    /**
+     * 实例的游戏版本（安装加载器时 version 是加载器生成的版本 ID）
+     */
+    getGameVersion(instanceId) {
+        const instance = this.requireInstance(instanceId);
+        return instance.loader ? instance.loader.gameVersion : instance.version;
+    }
+
+    /**
+     * 生成实例的启动配置，未设置的项使用全局设置
+     * @returns {Object} 启动配置（version、gameDirectory、javaPath、memory、jvmArgs、width、height）
+     */
+    getLaunchConfig(instanceId) {
+        const instance = this.requireInstance(instanceId);
+        const config = this.configManager.getConfig();
+
+        return {
+            instanceId,
+            version: { id: instance.version },
+            gameDirectory: this.getInstanceDirectory(instanceId),
+            javaPath: instance.javaPath || config.javaPath,
+            memory: instance.memory || config.memory,
+            jvmArgs: instance.jvmArgs,
+            width: instance.width || undefined,
+            height: instance.height || undefined
+        };
+    }
+
+    async saveInstance(instance) {
+        const file = path.join(this.getInstanceDirectory(instance.id), INSTANCE_FILE);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(instance, null, 2), 'utf8');
+        this.instances.set(instance.id, instance);
+    }
+
+    validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('实例名称不能为空');
+        }
+        if (trimmed.length > 64) {
+            throw new Error('实例名称不能超过 64 个字符');
+        }
+        return trimmed;
+    }
+
+    /**
+     * 由名称生成目录名，去除文件系统不允许的字符并避免重名
+     */
+    async generateInstanceId(name) {
+        let base = name
+            .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
+            .replace(/\s+/g, '-')
+            .replace(/-{2,}/g, '-')
+            .replace(/^\.+|\.+$/g, '');
+
+        if (!base) {
+            base = crypto.randomBytes(4).toString('hex');
+        }
+
+        let instanceId = base;
+        for (let index = 2; await this.directoryExists(this.getInstanceDirectory(instanceId)); index++) {
+            instanceId = `${base}-${index}`;
+        }
+        return instanceId;
+    }
+
+    normalizeJvmArgs(jvmArgs) {
+        if (!jvmArgs) return [];
+        if (Array.isArray(jvmArgs)) return jvmArgs.filter(Boolean);
+        return String(jvmArgs).split(/\s+/).filter(Boolean);
+    }
+
+    async directoryExists(dirPath) {
+        try {
+            await fs.access(dirPath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = HCLInstanceManager;
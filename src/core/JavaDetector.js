@@ -0,0 +1,418 @@
+// src/core/JavaDetector.js
+/**
+ * HCL Java 检测器
+ * 扫描常见安装目录与版本管理工具，优先读取 release 文件获取版本信息，
+ * 读取失败时才启动 java 进程；结果按路径与修改时间持久化缓存
+ */
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+// 启动 java 进程检测的超时时间
+const PROBE_TIMEOUT = 10000;
+
+// release 文件 OS_ARCH 与 os.arch 的对应关系
+const ARCH_ALIASES = {
+    amd64: 'x64',
+    x86_64: 'x64',
+    x64: 'x64',
+    i386: 'x86',
+    i586: 'x86',
+    i686: 'x86',
+    x86: 'x86',
+    aarch64: 'arm64',
+    arm64: 'arm64',
+    arm: 'arm',
+    aarch32: 'arm'
+};
+
+class HCLJavaDetector {
+    /**
+     * @param {Object} dataManager - 数据管理器（检测缓存与手动添加的 Java）
+     * @param {Object} runtimeManager - 运行时管理器（启动器下载的运行时，可选）
+     */
+    constructor(dataManager, runtimeManager = null) {
+        this.dataManager = dataManager;
+        this.runtimeManager = runtimeManager;
+        this.executable = os.platform() === 'win32' ? 'java.exe' : 'java';
+    }
+
+    /**
+     * 检测全部 Java
+     * @param {boolean} force - 忽略缓存重新检测
+     * @returns {Promise<Array>} 按主版本号降序排列的 Java 信息
+     */
+    async detect(force = false) {
+        const cache = force ? {} : await this.dataManager.getJavaCache();
+        const manualPaths = await this.dataManager.getManualJavaPaths();
+        const candidates = [...await this.getCandidatePaths(), ...manualPaths];
+
+        const found = new Map();
+        const nextCache = {};
+
+        for (const candidate of candidates) {
+            const javaInfo = await this.inspect(candidate, cache);
+            if (!javaInfo) continue;
+
+            const manual = manualPaths.includes(candidate);
+            if (found.has(javaInfo.path)) {
+                // 手动添加的路径也可能已被自动扫描到
+                if (manual) found.get(javaInfo.path).manual = true;
+                continue;
+            }
+
+            nextCache[javaInfo.path] = cache[javaInfo.path];
+            found.set(javaInfo.path, { ...javaInfo, manual });
+        }
+
+        // 仅保留本次仍然存在的条目
+        await this.dataManager.saveJavaCache(nextCache);
+
+        if (this.runtimeManager) {
+            const runtimes = await this.runtimeManager.getInstalledRuntimes();
+            runtimes.forEach(runtime => found.set(runtime.path, runtime));
+        }
+
+        return Array.from(found.values())
+            .sort((a, b) => (b.version || 0) - (a.version || 0));
+    }
+
+    /**
+     * 从已检测的 Java 中选择满足主版本要求的一个
+     * 优先主版本号一致，其次为满足要求的最低版本；要求 Java 8 时不使用更高版本（旧版 Forge、LaunchWrapper 无法运行）
+     * @returns {Object|null}
+     */
+    pickJava(javaVersions, majorVersion) {
+        const exact = javaVersions.find(j => j.version === majorVersion);
+        if (exact) return exact;
+
+        if (majorVersion <= 8) {
+            return null;
+        }
+
+        const compatible = javaVersions
+            .filter(j => j.version > majorVersion)
+            .sort((a, b) => a.version - b.version);
+        return compatible[0] || null;
+    }
+
+    /**
+     * 获取版本 JSON 所需的 Java，没有合适的 Java 时下载 Mojang 运行时
+     * @param {Object} versionInfo - 版本 JSON（读取 javaVersion）
+     * @param {Object} options - 下载选项（jobId、signal）
+     * @returns {Promise<Object>} Java 信息
+     */
+    async findJava(versionInfo, options = {}) {
+        if (!this.runtimeManager) {
+            throw new Error('未配置 Java 运行时管理器');
+        }
+
+        const { majorVersion } = this.runtimeManager.getRequiredJava(versionInfo);
+        const found = this.pickJava(await this.detect(), majorVersion);
+        if (found) return found;
+
+        return await this.runtimeManager.ensureRuntime(versionInfo, options);
+    }
+
+    /**
+     * 获取单个 Java 的信息
+     * @param {string} javaPath - java 可执行文件路径
+     * @param {Object} cache - 检测缓存（路径 -> { mtime, info }），省略时读取持久化缓存
+     * @returns {Promise<Object|null>} Java 信息，无效时返回 null
+     */
+    async inspect(javaPath, cache = null) {
+        let realPath;
+        let stats;
+
+        try {
+            realPath = await fs.realpath(javaPath);
+            stats = await fs.stat(realPath);
+            if (!stats.isFile()) return null;
+        } catch (error) {
+            return null;
+        }
+
+        const persist = !cache;
+        if (persist) {
+            cache = await this.dataManager.getJavaCache();
+        }
+
+        const cached = cache[realPath];
+        if (cached && cached.mtime === stats.mtimeMs) {
+            return cached.info;
+        }
+
+        const javaHome = path.dirname(path.dirname(realPath));
+        const javaInfo = await this.readRelease(realPath, javaHome) || await this.probe(realPath);
+        if (!javaInfo) {
+            return null;
+        }
+
+        cache[realPath] = { mtime: stats.mtimeMs, info: javaInfo };
+        if (persist) {
+            await this.dataManager.saveJavaCache(cache);
+        }
+
+        return javaInfo;
+    }
+
+    /**
+     * 读取 release 文件（JDK 8 的 jre 目录中没有 release，需要查找上一级）
+     */
+    async readRelease(javaPath, javaHome) {
+        const releaseDirs = [javaHome];
+        if (path.basename(javaHome) === 'jre') {
+            releaseDirs.push(path.dirname(javaHome));
+        }
+
+        for (const dir of releaseDirs) {
+            let content;
+            try {
+                content = await fs.readFile(path.join(dir, 'release'), 'utf8');
+            } catch (error) {
+                continue;
+            }
+
+            const release = this.parseRelease(content);
+            if (!release.JAVA_VERSION) continue;
+
+            const arch = this.normalizeArch(release.OS_ARCH);
+            return {
+                path: javaPath,
+                home: javaHome,
+                version: this.parseMajorVersion(release.JAVA_VERSION),
+                fullVersion: release.JAVA_VERSION,
+                vendor: release.IMPLEMENTOR || '',
+                arch,
+                bitness: this.getBitness(arch),
+                type: await this.getType(javaHome),
+                source: 'release',
+                isValid: true
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * 解析 release 文件（KEY="value" 格式）
+     */
+    parseRelease(content) {
+        const result = {};
+        for (const line of content.split(/\r?\n/)) {
+            const match = line.match(/^([A-Z_]+)=\s*"?(.*?)"?\s*$/);
+            if (match) {
+                result[match[1]] = match[2];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 启动 java 进程读取系统属性
+     */
+    probe(javaPath) {
+        return new Promise((resolve) => {
+            execFile(javaPath, ['-XshowSettings:properties', '-version'], {
+                timeout: PROBE_TIMEOUT,
+                windowsHide: true
+            }, async (error, stdout, stderr) => {
+                const properties = this.parseProperties(`${stderr}\n${stdout}`);
+                if (!properties['java.version']) {
+                    resolve(null);
+                    return;
+                }
+
+                const javaHome = properties['java.home'] || path.dirname(path.dirname(javaPath));
+                const arch = this.normalizeArch(properties['os.arch']);
+                resolve({
+                    path: javaPath,
+                    home: javaHome,
+                    version: this.parseMajorVersion(properties['java.version']),
+                    fullVersion: properties['java.version'],
+                    vendor: properties['java.vendor'] || '',
+                    arch,
+                    bitness: properties['sun.arch.data.model'] === '32' ? '32-bit' : this.getBitness(arch),
+                    type: await this.getType(javaHome),
+                    source: 'probe',
+                    isValid: true
+                });
+            });
+        });
+    }
+
+    /**
+     * 解析 -XshowSettings:properties 输出（key = value）
+     */
+    parseProperties(output) {
+        const result = {};
+        for (const line of output.split(/\r?\n/)) {
+            const match = line.match(/^\s+([\w.]+) = (.*)$/);
+            if (match) {
+                result[match[1]] = match[2].trim();
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 从版本字符串解析主版本号（1.8.0_392 -> 8，17.0.8 -> 17，21 -> 21）
+     */
+    parseMajorVersion(version) {
+        const match = String(version).match(/^(\d+)(?:\.(\d+))?/);
+        if (!match) return 0;
+        return match[1] === '1' && match[2] ? parseInt(match[2]) : parseInt(match[1]);
+    }
+
+    normalizeArch(arch) {
+        if (!arch) return os.arch();
+        return ARCH_ALIASES[arch.toLowerCase()] || arch.toLowerCase();
+    }
+
+    getBitness(arch) {
+        return arch === 'x86' || arch === 'arm' ? '32-bit' : '64-bit';
+    }
+
+    /**
+     * 存在 javac 即为 JDK
+     */
+    async getType(javaHome) {
+        const homes = path.basename(javaHome) === 'jre' ? [javaHome, path.dirname(javaHome)] : [javaHome];
+        for (const home of homes) {
+            if (await this.fileExists(path.join(home, 'bin', os.platform() === 'win32' ? 'javac.exe' : 'javac'))) {
+                return 'JDK';
+            }
+        }
+        return 'JRE';
+    }
+
+    /**
+     * 收集候选 java 可执行文件路径
+     */
+    async getCandidatePaths() {
+        const homes = [];
+        const executables = [];
+        const home = os.homedir();
+        const env = process.env;
+
+        // 环境变量
+        for (const key of ['JAVA_HOME', 'JDK_HOME', 'JRE_HOME']) {
+            if (env[key]) homes.push(env[key]);
+        }
+
+        // PATH
+        for (const dir of (env.PATH || env.Path || '').split(path.delimiter)) {
+            if (dir) executables.push(path.join(dir, this.executable));
+        }
+
+        // 版本管理工具：SDKMAN、asdf、jabba
+        const installRoots = [
+            path.join(env.SDKMAN_DIR || path.join(home, '.sdkman'), 'candidates', 'java'),
+            path.join(env.ASDF_DATA_DIR || path.join(home, '.asdf'), 'installs', 'java'),
+            path.join(env.JABBA_HOME || path.join(home, '.jabba'), 'jdk')
+        ];
+
+        switch (os.platform()) {
+            case 'win32': {
+                const programDirs = [env.ProgramFiles || 'C:\\Program Files', env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)'];
+                for (const programDir of programDirs) {
+                    for (const vendorDir of ['Java', 'Eclipse Adoptium', 'AdoptOpenJDK', 'Microsoft', 'Zulu', 'BellSoft', 'Amazon Corretto']) {
+                        installRoots.push(path.join(programDir, vendorDir));
+                    }
+                }
+                break;
+            }
+            case 'darwin':
+                installRoots.push(
+                    '/Library/Java/JavaVirtualMachines',
+                    path.join(home, 'Library', 'Java', 'JavaVirtualMachines')
+                );
+                homes.push('/opt/homebrew/opt/openjdk/libexec/openjdk.jdk/Contents/Home');
+                homes.push('/usr/local/opt/openjdk/libexec/openjdk.jdk/Contents/Home');
+                break;
+            default:
+                installRoots.push('/usr/lib/jvm', '/usr/java', '/usr/lib64/jvm', '/opt/java');
+                // alternatives 指向当前选择的 Java
+                executables.push('/etc/alternatives/java');
+                homes.push('/etc/alternatives/jre', '/etc/alternatives/java_sdk');
+                break;
+        }
+
+        for (const root of installRoots) {
+            homes.push(...await this.listDirectories(root));
+        }
+
+        for (const javaHome of homes) {
+            executables.push(
+                path.join(javaHome, 'bin', this.executable),
+                // macOS 的 JDK 包结构（jabba、JavaVirtualMachines）
+                path.join(javaHome, 'Contents', 'Home', 'bin', this.executable)
+            );
+        }
+
+        return [...new Set(executables)];
+    }
+
+    async listDirectories(dir) {
+        try {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+            return entries
+                .filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+                .map(entry => path.join(dir, entry.name));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * 手动添加 Java
+     * @returns {Promise<Object>} Java 信息
+     */
+    async addManualJava(javaPath) {
+        const javaInfo = await this.inspect(javaPath);
+        if (!javaInfo) {
+            throw new Error(`Java 路径无效: ${javaPath}`);
+        }
+
+        const manualPaths = await this.dataManager.getManualJavaPaths();
+        if (!manualPaths.includes(javaPath)) {
+            await this.dataManager.saveManualJavaPaths([...manualPaths, javaPath]);
+        }
+
+        return { ...javaInfo, manual: true };
+    }
+
+    /**
+     * 移除手动添加的 Java
+     */
+    async removeManualJava(javaPath) {
+        const manualPaths = await this.dataManager.getManualJavaPaths();
+        const remaining = [];
+
+        for (const manualPath of manualPaths) {
+            const realPath = await fs.realpath(manualPath).catch(() => manualPath);
+            if (manualPath !== javaPath && realPath !== javaPath) {
+                remaining.push(manualPath);
+            }
+        }
+
+        if (remaining.length === manualPaths.length) {
+            return false;
+        }
+
+        await this.dataManager.saveManualJavaPaths(remaining);
+        return true;
+    }
+
+    async fileExists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = HCLJavaDetector;
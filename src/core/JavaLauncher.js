@@ -8,19 +8,56 @@ const path = require('path');
 const fs = require('fs').promises;
 const os = require('os');
 const EventEmitter = require('events');
+const HCLArgumentResolver = require('./ArgumentResolver');
+const HCLLibraryResolver = require('./LibraryResolver');
+const HCLAssetManager = require('./AssetManager');
+const HCLVersionResolver = require('./VersionResolver');
+const HCLSessionValidator = require('./SessionValidator');
+const HCLMicrosoftAuthenticator = require('./MicrosoftAuthenticator');
+const HCLYggdrasilAuthenticator = require('./YggdrasilAuthenticator');
+const HCLAuthlibInjector = require('./AuthlibInjector');
+const HCLJavaRuntimeManager = require('./JavaRuntimeManager');
+const HCLJavaDetector = require('./JavaDetector');
+const HCLGameSupervisor = require('./GameSupervisor');
+
+const LAUNCHER_NAME = 'hcl';
+const LAUNCHER_VERSION = '1.0.0';
+
+// 日志中隐藏取值的游戏参数（令牌与旧版的 token:<令牌>:<UUID> 会话）
+const SECRET_GAME_ARGUMENTS = ['--accessToken', '--session'];
+
+// 日志中隐藏取值的 JVM 系统属性前缀（authlib-injector 的认证服务器数据）
+const SECRET_PROPERTY_PREFIX = '-Dauthlibinjector.';
 
 class HCLJavaLauncher extends EventEmitter {
-    constructor(configManager, dataManager) {
+    constructor(configManager, dataManager, sessionValidator = null, supervisor = null, javaDetector = null) {
         super();
         this.configManager = configManager;
         this.dataManager = dataManager;
-        this.gameProcess = null;
-        this.isRunning = false;
-        this.gameOutput = [];
+        this.yggdrasilAuthenticator = new HCLYggdrasilAuthenticator(configManager);
+        this.sessionValidator = sessionValidator || new HCLSessionValidator(dataManager, {
+            microsoft: new HCLMicrosoftAuthenticator(configManager),
+            yggdrasil: this.yggdrasilAuthenticator
+        });
+        this.supervisor = supervisor || new HCLGameSupervisor();
         this.javaVersions = [];
-        this.javaCache = new Map();
+        this.argumentResolver = new HCLArgumentResolver();
+        this.libraryResolver = new HCLLibraryResolver(this.argumentResolver.ruleEvaluator);
+        this.versionResolver = new HCLVersionResolver(configManager, this.argumentResolver);
+        this.assetManager = new HCLAssetManager(configManager);
+        // 与主进程共用 Java 检测器及其运行时管理器
+        this.runtimeManager = (javaDetector && javaDetector.runtimeManager) || new HCLJavaRuntimeManager(configManager);
+        this.javaDetector = javaDetector || new HCLJavaDetector(dataManager, this.runtimeManager);
+        this.authlibInjector = new HCLAuthlibInjector(configManager, this.runtimeManager.downloadManager);
+        
+        // 检查游戏输出中的常见错误
+        this.supervisor.on('session-output', (output) => {
+            if (output.type === 'stderr') {
+                this.checkForErrors(output.data, output.sessionId);
+            }
+        });
         
-        this.init();
+        this.init().catch(error => console.warn('检测 Java 版本失败:', error));
     }
     
     async init() {
@@ -29,38 +66,11 @@ class HCLJavaLauncher extends EventEmitter {
     }
     
     /**
-     * 检测系统上的 Java 版本
+     * 检测系统上的 Java 版本（含启动器下载的运行时）
+     * @param {boolean} force - 忽略检测缓存
      */
-    async detectJavaVersions() {
-        this.javaVersions = [];
-        
-        // 检查常见 Java 安装路径
-        const commonPaths = this.getCommonJavaPaths();
-        const detectionPromises = [];
-        
-        for (const javaPath of commonPaths) {
-            detectionPromises.push(this.checkJavaVersion(javaPath));
-        }
-        
-        // 使用系统 PATH 查找 Java
-        detectionPromises.push(this.findJavaInPath());
-        
-        const results = await Promise.allSettled(detectionPromises);
-        
-        // 过滤有效结果并去重
-        const uniqueVersions = new Map();
-        results.forEach(result => {
-            if (result.status === 'fulfilled' && result.value) {
-                const javaInfo = result.value;
-                const key = `${javaInfo.version}-${javaInfo.path}`;
-                if (!uniqueVersions.has(key)) {
-                    uniqueVersions.set(key, javaInfo);
-                }
-            }
-        });
-        
-        this.javaVersions = Array.from(uniqueVersions.values())
-            .sort((a, b) => this.compareJavaVersions(a.version, b.version));
+    async detectJavaVersions(force = false) {
+        this.javaVersions = await this.javaDetector.detect(force);
         
         console.log(`检测到 ${this.javaVersions.length} 个 Java 版本`);
         this.emit('java-versions-detected', this.javaVersions);
@@ -68,239 +78,62 @@ class HCLJavaLauncher extends EventEmitter {
         return this.javaVersions;
     }
     
-    /**
-     * 获取常见的 Java 安装路径
-     */
-    getCommonJavaPaths() {
-        const paths = [];
-        const platform = os.platform();
-        
-        if (platform === 'win32') {
-            // Windows
-            const programFiles = process.env.ProgramFiles || 'C:\\Program Files';
-            const programFilesX86 = process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)';
-            
-            // Java 安装路径
-            paths.push(
-                path.join(programFiles, 'Java', 'jdk-*', 'bin', 'java.exe'),
-                path.join(programFiles, 'Java', 'jre-*', 'bin', 'java.exe'),
-                path.join(programFilesX86, 'Java', 'jdk-*', 'bin', 'java.exe'),
-                path.join(programFilesX86, 'Java', 'jre-*', 'bin', 'java.exe'),
-                'C:\\Program Files\\AdoptOpenJDK\\*\\bin\\java.exe',
-                'C:\\Program Files\\Eclipse Adoptium\\*\\bin\\java.exe',
-                'C:\\Program Files\\Microsoft\\jdk-*\\bin\\java.exe'
-            );
-        } else if (platform === 'darwin') {
-            // macOS
-            paths.push(
-                '/Library/Java/JavaVirtualMachines/*/Contents/Home/bin/java',
-                '/usr/local/opt/openjdk*/bin/java',
-                '/opt/homebrew/opt/openjdk*/bin/java',
-                '/System/Library/Frameworks/JavaVM.framework/Versions/Current/Commands/java'
-            );
-        } else {
-            // Linux/Unix
-            paths.push(
-                '/usr/lib/jvm/*/bin/java',
-                '/usr/lib/jvm/*/jre/bin/java',
-                '/usr/bin/java',
-                '/usr/local/bin/java',
-                '/opt/jdk*/bin/java',
-                '/opt/jre*/bin/java'
-            );
-        }
-        
-        // 展开通配符路径
-        const expandedPaths = [];
-        for (const pattern of paths) {
-            try {
-                const matches = require('glob').sync(pattern, { windowsPathsNoEscape: true });
-                expandedPaths.push(...matches);
-            } catch (error) {
-                // 忽略通配符匹配错误
-            }
-        }
-        
-        return expandedPaths;
-    }
-    
-    /**
-     * 在系统 PATH 中查找 Java
-     */
-    async findJavaInPath() {
-        const commands = os.platform() === 'win32' ? ['java.exe', 'where java'] : ['which java', 'command -v java'];
-        
-        for (const cmd of commands) {
-            try {
-                const javaPath = await this.execCommand(cmd);
-                if (javaPath && javaPath.trim()) {
-                    const cleanPath = javaPath.trim().split('\n')[0];
-                    return await this.checkJavaVersion(cleanPath);
-                }
-            } catch (error) {
-                // 继续尝试下一个命令
-            }
-        }
-        
-        return null;
-    }
-    
     /**
      * 检查 Java 版本信息
      */
     async checkJavaVersion(javaPath) {
-        if (this.javaCache.has(javaPath)) {
-            return this.javaCache.get(javaPath);
-        }
-        
-        try {
-            const versionOutput = await this.execCommand(`"${javaPath}" -version`);
-            const versionInfo = this.parseJavaVersion(versionOutput, javaPath);
-            
-            if (versionInfo) {
-                this.javaCache.set(javaPath, versionInfo);
-                return versionInfo;
-            }
-        } catch (error) {
-            // Java 路径无效
-        }
-        
-        return null;
-    }
-    
-    /**
-     * 解析 Java 版本输出
-     */
-    parseJavaVersion(output, javaPath) {
-        const lines = output.split('\n');
-        let version = '';
-        let vendor = '';
-        let bitness = '64-bit';
-        let type = 'JRE';
-        
-        for (const line of lines) {
-            const lowerLine = line.toLowerCase();
-            
-            // 提取版本号
-            const versionMatch = line.match(/version\s+"([^"]+)"/) || 
-                                line.match(/\(build\s+([^)]+)\)/);
-            if (versionMatch) {
-                version = versionMatch[1];
-                
-                // 规范化版本号
-                if (version.includes('.')) {
-                    const parts = version.split('.');
-                    if (parts[0] === '1') {
-                        version = parts[1]; // 1.8.x -> 8
-                    } else {
-                        version = parts[0]; // 11.x.x -> 11
-                    }
-                }
-            }
-            
-            // 检测供应商
-            if (lowerLine.includes('openjdk')) {
-                vendor = 'OpenJDK';
-                type = 'JDK';
-            } else if (lowerLine.includes('java(tm)') || lowerLine.includes('oracle')) {
-                vendor = 'Oracle';
-            } else if (lowerLine.includes('adoptopenjdk') || lowerLine.includes('adoptium')) {
-                vendor = 'Adoptium';
-            } else if (lowerLine.includes('microsoft')) {
-                vendor = 'Microsoft';
-            } else if (lowerLine.includes('zulu')) {
-                vendor = 'Zulu';
-            } else if (lowerLine.includes('amazon')) {
-                vendor = 'Amazon Corretto';
-            }
-            
-            // 检测位数
-            if (lowerLine.includes('64-bit')) {
-                bitness = '64-bit';
-            } else if (lowerLine.includes('32-bit')) {
-                bitness = '32-bit';
-            }
-            
-            // 检测类型
-            if (lowerLine.includes('jdk')) {
-                type = 'JDK';
-            } else if (lowerLine.includes('jre')) {
-                type = 'JRE';
-            }
-        }
-        
-        if (!version) {
-            return null;
-        }
-        
-        const javaInfo = {
-            path: javaPath,
-            version: parseInt(version) || version,
-            vendor,
-            bitness,
-            type,
-            isValid: true
-        };
-        
-        return javaInfo;
-    }
-    
-    /**
-     * 比较 Java 版本
-     */
-    compareJavaVersions(versionA, versionB) {
-        const a = parseInt(versionA) || 0;
-        const b = parseInt(versionB) || 0;
-        return b - a; // 降序排列
+        return await this.javaDetector.inspect(javaPath);
     }
     
     /**
      * 获取推荐的 Java 版本
+     * @param {Object} versionInfo - 版本 JSON，按其 javaVersion.majorVersion 选择（未声明时为 Java 8）
      */
-    getRecommendedJavaVersion() {
-        // 优先选择 Java 8
-        const java8 = this.javaVersions.find(j => j.version === 8);
-        if (java8) return java8;
-        
-        // 其次选择 Java 11
-        const java11 = this.javaVersions.find(j => j.version === 11);
-        if (java11) return java11;
-        
-        // 选择最新的 Java 版本
-        if (this.javaVersions.length > 0) {
-            return this.javaVersions[0];
-        }
-        
-        return null;
+    getRecommendedJavaVersion(versionInfo = null) {
+        const { majorVersion } = this.runtimeManager.getRequiredJava(versionInfo);
+        return this.javaDetector.pickJava(this.javaVersions, majorVersion);
     }
     
     /**
      * 启动 Minecraft 游戏
      */
     async launchGame(launchConfig) {
-        if (this.isRunning) {
-            throw new Error('游戏正在运行中');
-        }
-        
         const config = this.configManager.getConfig();
-        const { account, version, javaPath, memory, jvmArgs = [], gameArgs = [] } = launchConfig;
+        const {
+            version, javaPath, memory, jvmArgs = [], gameArgs = [],
+            width, height, demo = false, quickPlay = null, instanceId = null
+        } = launchConfig;
+        // 实例启动时使用实例目录作为 --gameDir
+        const gameDirectory = launchConfig.gameDirectory || config.gameDirectory;
+        let account = launchConfig.account;
+        let nativesDirectory = null;
         
         try {
-            // 验证 Java
-            const javaInfo = await this.validateJava(javaPath || config.javaPath);
-            
             // 验证游戏版本
             const versionInfo = await this.validateVersion(version);
             
-            // 验证账户
-            await this.validateAccount(account);
+            // 验证 Java（未指定时按版本要求选择或下载）
+            const javaInfo = await this.validateJava(javaPath || config.javaPath, versionInfo);
+            
+            // 验证账户（必要时刷新令牌）
+            account = await this.validateAccount(account);
+            
+            // 旧版本需要重建 virtual / resources 资源目录
+            const gameAssetsDirectory = await this.assetManager.reconstructAssets(versionInfo, null, gameDirectory);
+            
+            // 第三方认证账户需要注入 authlib-injector
+            const agentArguments = await this.authlibInjector.getJvmArguments(account, this.yggdrasilAuthenticator);
+            
+            // 解压原生库到本次启动专用目录
+            nativesDirectory = await this.extractNatives(versionInfo);
             
             // 准备启动参数
             const { jvmArguments, gameArguments } = this.prepareLaunchArguments(
                 account, 
                 versionInfo, 
                 memory || config.memory,
-                javaInfo
+                javaInfo,
+                { width, height, demo, quickPlay, nativesDirectory, gameAssetsDirectory, agentArguments, gameDirectory }
             );
             
             // 合并自定义参数
@@ -308,21 +141,25 @@ class HCLJavaLauncher extends EventEmitter {
             const finalGameArgs = [...gameArguments, ...gameArgs];
             
             // 启动游戏进程
-            this.gameProcess = this.spawnGameProcess(
+            const gameProcess = this.spawnGameProcess(
                 javaInfo.path,
                 finalJvmArgs,
-                finalGameArgs
+                finalGameArgs,
+                gameDirectory
             );
             
-            this.isRunning = true;
-            this.gameOutput = [];
-            
-            // 监听进程事件
-            this.setupProcessListeners();
+            // 交给监管器跟踪，退出后清理本次的原生库目录
+            const session = this.supervisor.track(gameProcess, {
+                account,
+                version: versionInfo.id,
+                instanceId,
+                onExit: () => this.cleanupNatives(nativesDirectory)
+            });
             
             // 发射启动事件
             this.emit('game-launched', {
-                pid: this.gameProcess.pid,
+                sessionId: session.id,
+                pid: session.pid,
                 account: account.username,
                 version: versionInfo.id,
                 javaVersion: javaInfo.version
@@ -330,14 +167,17 @@ class HCLJavaLauncher extends EventEmitter {
             
             return {
                 success: true,
-                pid: this.gameProcess.pid,
+                sessionId: session.id,
+                pid: session.pid,
                 javaVersion: javaInfo.version
             };
         } catch (error) {
+            await this.cleanupNatives(nativesDirectory);
+            
             this.emit('game-launch-failed', {
                 error: error.message,
-                account: account.username,
-                version: version.id
+                account: account && account.username,
+                version: version && version.id
             });
             
             throw error;
@@ -347,13 +187,23 @@ class HCLJavaLauncher extends EventEmitter {
     /**
      * 验证 Java
      */
-    async validateJava(javaPath) {
+    async validateJava(javaPath, versionInfo = null) {
         if (!javaPath) {
-            // 尝试自动检测
-            const recommended = this.getRecommendedJavaVersion();
+            // 尝试自动检测（启动时的检测可能尚未完成）
+            if (this.javaVersions.length === 0) {
+                await this.detectJavaVersions();
+            }
+            const recommended = this.getRecommendedJavaVersion(versionInfo);
             if (recommended) {
                 return recommended;
             }
+            
+            // 没有匹配的 Java 时下载 Mojang 提供的运行时
+            const runtime = await this.runtimeManager.ensureRuntime(versionInfo);
+            if (runtime) {
+                this.javaVersions.push(runtime);
+                return runtime;
+            }
             throw new Error('未找到 Java 运行时环境');
         }
         
@@ -363,8 +213,9 @@ class HCLJavaLauncher extends EventEmitter {
         }
         
         // 检查 Java 版本兼容性
-        if (javaInfo.version < 8) {
-            throw new Error(`Java 版本过低 (${javaInfo.version})，需要 Java 8 或更高版本`);
+        const { majorVersion } = this.runtimeManager.getRequiredJava(versionInfo);
+        if (javaInfo.version < majorVersion) {
+            throw new Error(`Java 版本过低 (${javaInfo.version})，需要 Java ${majorVersion} 或更高版本`);
         }
         
         return javaInfo;
@@ -372,19 +223,13 @@ class HCLJavaLauncher extends EventEmitter {
     
     /**
      * 验证游戏版本
+     * @returns {Promise<Object>} 沿 inheritsFrom 链合并后的版本 JSON
      */
     async validateVersion(version) {
-        const gameDir = this.configManager.getConfig().gameDirectory;
-        const versionDir = path.join(gameDir, 'versions', version.id);
-        const versionJson = path.join(versionDir, `${version.id}.json`);
-        
-        try {
-            await fs.access(versionJson);
-            const data = await fs.readFile(versionJson, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            throw new Error(`游戏版本未安装: ${version.id}`);
+        if (!version || !version.id) {
+            throw new Error('请选择游戏版本');
         }
+        return await this.versionResolver.resolve(version.id);
     }
     
     /**
@@ -395,19 +240,33 @@ class HCLJavaLauncher extends EventEmitter {
             throw new Error('账户信息不完整');
         }
         
-        if (account.type === 'microsoft' && !account.accessToken) {
+        if (account.type === 'microsoft' && !account.accessToken && !account.refreshToken) {
             throw new Error('Microsoft 账户需要访问令牌');
         }
+        
+        if (account.type === 'yggdrasil' && account.needsProfileSelection) {
+            throw new Error('请先为该认证服务器账户选择角色');
+        }
+        
+        return await this.sessionValidator.ensureValidSession(account);
     }
     
     /**
      * 准备启动参数
+     * @param {Object} account - 账户信息
+     * @param {Object} versionInfo - 版本 JSON
+     * @param {number} memory - 最大内存 (MB)
+     * @param {Object} javaInfo - Java 信息
+     * @param {Object} options - 启动选项 (width, height, demo, quickPlay, agentArguments, gameDirectory)
      */
-    prepareLaunchArguments(account, versionInfo, memory, javaInfo) {
-        const gameDir = this.configManager.getConfig().gameDirectory;
-        const assetsDir = path.join(gameDir, 'assets');
+    prepareLaunchArguments(account, versionInfo, memory, javaInfo, options = {}) {
+        const features = this.getLaunchFeatures(options);
+        const context = this.buildLaunchContext(account, versionInfo, options);
+        
+        const { jvmArguments: versionJvmArguments, gameArguments, mainClass } =
+            this.argumentResolver.resolve(versionInfo, context, features);
         
-        // 基础 JVM 参数
+        // 启动器自身的内存与 GC 参数
         const jvmArguments = [
             `-Xmx${memory}M`,
             `-Xms${Math.floor(memory / 2)}M`,
@@ -416,11 +275,7 @@ class HCLJavaLauncher extends EventEmitter {
             '-XX:G1NewSizePercent=20',
             '-XX:G1ReservePercent=20',
             '-XX:MaxGCPauseMillis=50',
-            '-XX:G1HeapRegionSize=32M',
-            '-Djava.library.path=${natives_directory}',
-            '-Dminecraft.launcher.brand=hcl',
-            '-Dminecraft.launcher.version=1.0.0',
-            '-cp', '${classpath}'
+            '-XX:G1HeapRegionSize=32M'
         ];
         
         // 根据 Java 版本调整参数
@@ -432,26 +287,83 @@ class HCLJavaLauncher extends EventEmitter {
             );
         }
         
-        // 游戏参数
-        const gameArguments = [
-            'net.minecraft.client.main.Main',
-            '--username', account.username,
-            '--version', versionInfo.id,
-            '--gameDir', gameDir,
-            '--assetsDir', assetsDir,
-            '--assetIndex', versionInfo.assets || 'legacy',
-            '--uuid', account.uuid || this.generateOfflineUUID(account.username),
-            '--accessToken', account.accessToken || '0',
-            '--userType', account.type === 'microsoft' ? 'mojang' : 'legacy',
-            '--versionType', 'release'
-        ];
+        // -javaagent 等参数需在版本参数之前
+        jvmArguments.push(...(options.agentArguments || []));
+        jvmArguments.push(...versionJvmArguments);
         
-        // 离线账户特殊处理
-        if (account.type === 'offline') {
-            gameArguments.push('--demo');
-        }
+        return {
+            jvmArguments,
+            gameArguments: [mainClass, ...gameArguments]
+        };
+    }
+    
+    /**
+     * 获取规则评估使用的特性开关
+     */
+    getLaunchFeatures(options = {}) {
+        const quickPlayType = options.quickPlay && options.quickPlay.type;
+        
+        return {
+            is_demo_user: Boolean(options.demo),
+            has_custom_resolution: Boolean(options.width && options.height),
+            has_quick_plays_support: Boolean(quickPlayType),
+            is_quick_play_singleplayer: quickPlayType === 'singleplayer',
+            is_quick_play_multiplayer: quickPlayType === 'multiplayer',
+            is_quick_play_realms: quickPlayType === 'realms'
+        };
+    }
+    
+    /**
+     * 构建占位符上下文
+     */
+    buildLaunchContext(account, versionInfo, options = {}) {
+        const gameDir = this.configManager.getConfig().gameDirectory;
+        const runDir = options.gameDirectory || gameDir;
+        const assetsDir = path.join(gameDir, 'assets');
+        const uuid = (account.uuid || this.generateOfflineUUID(account.username)).replace(/-/g, '');
+        const accessToken = account.accessToken || '0';
+        const quickPlay = options.quickPlay || {};
         
-        return { jvmArguments, gameArguments };
+        return {
+            // 账户
+            auth_player_name: account.username,
+            auth_uuid: uuid,
+            auth_access_token: accessToken,
+            auth_session: `token:${accessToken}:${uuid}`,
+            auth_xuid: account.xuid || '0',
+            clientid: account.clientId || '0',
+            user_type: account.type === 'microsoft' ? 'msa' : (account.type === 'offline' ? 'legacy' : 'mojang'),
+            user_properties: '{}',
+            
+            // 版本
+            version_name: versionInfo.id,
+            version_type: versionInfo.type || 'release',
+            
+            // 目录
+            game_directory: runDir,
+            assets_root: assetsDir,
+            game_assets: options.gameAssetsDirectory || assetsDir,
+            assets_index_name: this.assetManager.getAssetIndexId(versionInfo),
+            library_directory: path.join(gameDir, 'libraries'),
+            natives_directory: options.nativesDirectory || this.generateNativesPath(versionInfo),
+            classpath: this.generateClasspath(versionInfo),
+            classpath_separator: path.delimiter,
+            primary_jar_name: path.basename(this.versionResolver.getClientJarPath(versionInfo)),
+            
+            // 启动器
+            launcher_name: LAUNCHER_NAME,
+            launcher_version: LAUNCHER_VERSION,
+            
+            // 窗口
+            resolution_width: options.width,
+            resolution_height: options.height,
+            
+            // 快速游戏
+            quickPlayPath: quickPlay.logPath || path.join(runDir, 'quickPlay', 'log.json'),
+            quickPlaySingleplayer: quickPlay.type === 'singleplayer' ? quickPlay.target : undefined,
+            quickPlayMultiplayer: quickPlay.type === 'multiplayer' ? quickPlay.target : undefined,
+            quickPlayRealms: quickPlay.type === 'realms' ? quickPlay.target : undefined
+        };
     }
     
     /**
@@ -468,60 +380,92 @@ class HCLJavaLauncher extends EventEmitter {
      */
     generateClasspath(versionInfo) {
         const gameDir = this.configManager.getConfig().gameDirectory;
-        const libraries = [];
+        const { classpath } = this.libraryResolver.resolveLibraries(
+            versionInfo,
+            path.join(gameDir, 'libraries')
+        );
         
-        if (versionInfo.libraries) {
-            for (const lib of versionInfo.libraries) {
-                if (lib.downloads && lib.downloads.artifact) {
-                    const libPath = path.join(gameDir, 'libraries', lib.downloads.artifact.path);
-                    libraries.push(libPath);
-                }
-            }
-        }
+        const libraries = classpath.map(lib => lib.path);
         
-        // 添加主客户端 JAR
-        const clientJar = path.join(gameDir, 'versions', versionInfo.id, `${versionInfo.id}.jar`);
-        libraries.push(clientJar);
+        // 添加主客户端 JAR（可能来自父版本）
+        const clientJar = this.versionResolver.getClientJarPath(versionInfo);
+        if (!libraries.includes(clientJar)) {
+            libraries.push(clientJar);
+        }
         
         return libraries.join(path.delimiter);
     }
     
     /**
-     * 生成原生库路径
+     * 生成原生库路径（每次启动使用新的目录）
      */
     generateNativesPath(versionInfo) {
         const gameDir = this.configManager.getConfig().gameDirectory;
-        const nativesDir = path.join(gameDir, 'versions', versionInfo.id, 'natives');
-        
-        // 确保目录存在
-        fs.mkdir(nativesDir, { recursive: true }).catch(console.error);
+        return path.join(gameDir, 'versions', versionInfo.id, `natives-${Date.now()}`);
+    }
+    
+    /**
+     * 解压原生库
+     * @returns {Promise<string>} 原生库目录
+     */
+    async extractNatives(versionInfo) {
+        const gameDir = this.configManager.getConfig().gameDirectory;
+        const { natives } = this.libraryResolver.resolveLibraries(
+            versionInfo,
+            path.join(gameDir, 'libraries')
+        );
         
+        const nativesDir = this.generateNativesPath(versionInfo);
+        await this.libraryResolver.extractNatives(natives, nativesDir);
         return nativesDir;
     }
     
+    /**
+     * 清理本次启动的原生库目录
+     */
+    async cleanupNatives(nativesDir) {
+        if (!nativesDir) return;
+        
+        try {
+            await fs.rm(nativesDir, { recursive: true, force: true });
+        } catch (error) {
+            console.warn('清理原生库目录失败:', error);
+        }
+    }
+    
+    /**
+     * 隐藏启动参数中的访问令牌与认证数据，用于写入日志
+     */
+    maskArguments(args) {
+        return args.map((arg, index) => {
+            if (index > 0 && SECRET_GAME_ARGUMENTS.includes(args[index - 1])) {
+                return '******';
+            }
+            if (arg.startsWith(SECRET_PROPERTY_PREFIX) && arg.includes('=')) {
+                return `${arg.substring(0, arg.indexOf('=') + 1)}******`;
+            }
+            return arg;
+        });
+    }
+
     /**
      * 启动游戏进程
      */
-    spawnGameProcess(javaPath, jvmArgs, gameArgs) {
+    spawnGameProcess(javaPath, jvmArgs, gameArgs, gameDirectory = null) {
         const platform = os.platform();
         const isWindows = platform === 'win32';
         
-        // 处理参数中的变量替换
-        const processedJvmArgs = jvmArgs.map(arg => {
-            return arg.replace(/\$\{natives_directory\}/g, this.generateNativesPath(this.currentVersionInfo))
-                     .replace(/\$\{classpath\}/g, this.generateClasspath(this.currentVersionInfo));
-        });
-        
-        const allArgs = [...processedJvmArgs, ...gameArgs];
+        const allArgs = [...jvmArgs, ...gameArgs];
         
-        console.log('启动游戏参数:', allArgs.join(' '));
+        console.log('启动游戏参数:', this.maskArguments(allArgs).join(' '));
         
+        const workingDirectory = gameDirectory || this.configManager.getConfig().gameDirectory;
         const processOptions = {
-            cwd: this.configManager.getConfig().gameDirectory,
+            cwd: workingDirectory,
             env: {
                 ...process.env,
                 'JAVA_HOME': path.dirname(path.dirname(javaPath)),
-                'GAME_DIR': this.configManager.getConfig().gameDirectory
+                'GAME_DIR': workingDirectory
             },
             stdio: ['pipe', 'pipe', 'pipe']
         };
@@ -534,47 +478,10 @@ class HCLJavaLauncher extends EventEmitter {
         return spawn(javaPath, allArgs, processOptions);
     }
     
-    /**
-     * 设置进程监听器
-     */
-    setupProcessListeners() {
-        this.gameProcess.stdout.on('data', (data) => {
-            const output = data.toString();
-            this.gameOutput.push({ type: 'stdout', data: output, timestamp: Date.now() });
-            this.emit('game-output', { type: 'stdout', data: output });
-        });
-        
-        this.gameProcess.stderr.on('data', (data) => {
-            const output = data.toString();
-            this.gameOutput.push({ type: 'stderr', data: output, timestamp: Date.now() });
-            this.emit('game-output', { type: 'stderr', data: output });
-            
-            // 检查常见错误
-            this.checkForErrors(output);
-        });
-        
-        this.gameProcess.on('close', (code) => {
-            this.isRunning = false;
-            this.emit('game-exit', { 
-                code, 
-                type: code === 0 ? 'normal' : 'error',
-                output: this.gameOutput
-            });
-            
-            this.gameProcess = null;
-        });
-        
-        this.gameProcess.on('error', (error) => {
-            this.isRunning = false;
-            this.emit('game-error', { error: error.message });
-            this.gameProcess = null;
-        });
-    }
-    
     /**
      * 检查游戏输出中的错误
      */
-    checkForErrors(output) {
+    checkForErrors(output, sessionId) {
         const errorPatterns = [
             { pattern: /java.lang.OutOfMemoryError/, message: '内存不足，请增加分配的内存' },
             { pattern: /Could not find or load main class/, message: '游戏文件损坏，请重新安装' },
@@ -585,7 +492,7 @@ class HCLJavaLauncher extends EventEmitter {
         
         for (const { pattern, message } of errorPatterns) {
             if (pattern.test(output)) {
-                this.emit('game-error-detected', { error: output, message });
+                this.emit('game-error-detected', { sessionId, error: output, message });
                 break;
             }
         }
@@ -594,90 +501,37 @@ class HCLJavaLauncher extends EventEmitter {
     /**
      * 停止游戏
      */
-    stopGame() {
-        if (!this.gameProcess || !this.isRunning) {
-            return false;
-        }
-        
-        try {
-            if (os.platform() === 'win32') {
-                // Windows: 使用 taskkill
-                spawn('taskkill', ['/pid', this.gameProcess.pid.toString(), '/f', '/t']);
-            } else {
-                // Unix: 发送 SIGTERM
-                this.gameProcess.kill('SIGTERM');
-            }
-            
-            this.isRunning = false;
-            this.emit('game-stopped', { pid: this.gameProcess.pid });
-            return true;
-        } catch (error) {
-            console.error('停止游戏失败:', error);
-            return false;
-        }
+    stopGame(sessionId) {
+        return this.supervisor.stop(sessionId);
     }
     
     /**
      * 强制终止游戏
      */
-    forceKillGame() {
-        if (!this.gameProcess) return false;
-        
-        try {
-            this.gameProcess.kill('SIGKILL');
-            this.isRunning = false;
-            this.emit('game-killed', { pid: this.gameProcess.pid });
-            return true;
-        } catch (error) {
-            return false;
-        }
+    forceKillGame(sessionId) {
+        return this.supervisor.kill(sessionId);
     }
     
     /**
      * 获取游戏运行状态
      */
-    getGameStatus() {
-        if (!this.gameProcess) {
-            return { isRunning: false };
-        }
-        
-        return {
-            isRunning: this.isRunning,
-            pid: this.gameProcess.pid,
-            startTime: this.gameProcess.spawnTime,
-            outputLength: this.gameOutput.length
-        };
+    getGameStatus(sessionId) {
+        const session = this.supervisor.getSession(sessionId);
+        return session ? { ...session, isRunning: session.state !== 'exited' } : { isRunning: false };
     }
     
     /**
      * 获取游戏输出
      */
-    getGameOutput(limit = 100) {
-        return this.gameOutput.slice(-limit);
-    }
-    
-    /**
-     * 清空游戏输出
-     */
-    clearGameOutput() {
-        this.gameOutput = [];
+    getGameOutput(sessionId, limit = 100) {
+        return this.supervisor.getOutput(sessionId, limit);
     }
     
     /**
      * 发送命令到游戏进程
      */
-    sendCommandToGame(command) {
-        if (!this.gameProcess || !this.isRunning) {
-            return false;
-        }
-        
-        try {
-            this.gameProcess.stdin.write(command + '\n');
-            this.emit('command-sent', { command });
-            return true;
-        } catch (error) {
-            return false;
-        }
+    sendCommandToGame(sessionId, command) {
+        return this.supervisor.sendCommand(sessionId, command);
     }
     
     /**
@@ -855,9 +709,4 @@ class HCLJavaLauncher extends EventEmitter {
     }
 }
 
-// 导出模块
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = HCLJavaLauncher;
-}
-
-export { HCLJavaLauncher };
+module.exports = HCLJavaLauncher;
@@ -0,0 +1,290 @@
+// src/core/JavaRuntimeManager.js
+/**
+ * HCL Java 运行时管理器
+ * 根据版本 JSON 的 javaVersion 从 Mojang 运行时清单下载对应的 Java 运行时
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const crypto = require('crypto');
+const lzma = require('lzma');
+const HCLDownloadManager = require('./DownloadManager');
+
+const RUNTIME_INDEX_URL = 'https://piston-meta.mojang.com/v1/products/java-runtime/2ec0cc96c44e5a76b9c8b7c39df7210883d12871/all.json';
+
+// 运行时目录中记录安装信息的文件
+const RUNTIME_INFO_FILE = '.hcl-runtime.json';
+
+// 未声明 javaVersion 的旧版本使用 Java 8
+const DEFAULT_JAVA_VERSION = { component: 'jre-legacy', majorVersion: 8 };
+
+class HCLJavaRuntimeManager {
+    constructor(configManager, downloadManager = null) {
+        this.configManager = configManager;
+        this.downloadManager = downloadManager || new HCLDownloadManager(configManager);
+        this.runtimeIndex = null;
+    }
+
+    getRuntimesDir() {
+        return path.join(this.configManager.getPaths().appDataPath, 'runtimes');
+    }
+
+    /**
+     * 获取运行时清单中的平台名称
+     */
+    getPlatform() {
+        const arch = os.arch();
+
+        switch (os.platform()) {
+            case 'win32':
+                if (arch === 'arm64') return 'windows-arm64';
+                return arch === 'ia32' ? 'windows-x86' : 'windows-x64';
+            case 'darwin':
+                return arch === 'arm64' ? 'mac-os-arm64' : 'mac-os';
+            default:
+                return arch === 'ia32' ? 'linux-i386' : 'linux';
+        }
+    }
+
+    /**
+     * 获取版本需要的 Java（component 与 majorVersion）
+     */
+    getRequiredJava(versionInfo) {
+        return (versionInfo && versionInfo.javaVersion) || DEFAULT_JAVA_VERSION;
+    }
+
+    async getRuntimeIndex() {
+        if (!this.runtimeIndex) {
+            this.runtimeIndex = await this.downloadManager.fetchJson(RUNTIME_INDEX_URL);
+        }
+        return this.runtimeIndex;
+    }
+
+    /**
+     * 获取运行时中的 java 可执行文件路径
+     */
+    getJavaExecutable(runtimeDir) {
+        const executable = os.platform() === 'win32' ? 'java.exe' : 'java';
+
+        if (os.platform() === 'darwin') {
+            return path.join(runtimeDir, 'jre.bundle', 'Contents', 'Home', 'bin', executable);
+        }
+        return path.join(runtimeDir, 'bin', executable);
+    }
+
+    /**
+     * 获取已安装的托管运行时（与 detectJavaVersions 的结果格式一致）
+     */
+    async getInstalledRuntimes() {
+        const runtimes = [];
+        let entries;
+
+        try {
+            entries = await fs.readdir(this.getRuntimesDir(), { withFileTypes: true });
+        } catch (error) {
+            return runtimes;
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            const runtimeDir = path.join(this.getRuntimesDir(), entry.name);
+            try {
+                const info = JSON.parse(await fs.readFile(path.join(runtimeDir, RUNTIME_INFO_FILE), 'utf8'));
+                const javaPath = this.getJavaExecutable(runtimeDir);
+                await fs.access(javaPath);
+
+                runtimes.push({
+                    path: javaPath,
+                    version: info.majorVersion,
+                    fullVersion: info.versionName,
+                    vendor: 'Mojang',
+                    bitness: os.arch().endsWith('64') ? '64-bit' : '32-bit',
+                    type: 'JRE',
+                    component: info.component,
+                    managed: true,
+                    isValid: true
+                });
+            } catch (error) {
+                // 未完成安装的运行时
+            }
+        }
+
+        return runtimes;
+    }
+
+    /**
+     * 确保版本需要的运行时已安装
+     * @param {Object} versionInfo - 版本 JSON
+     * @param {Object} options - 下载选项（jobId、signal）
+     * @returns {Promise<Object>} Java 信息
+     */
+    async ensureRuntime(versionInfo, options = {}) {
+        const { component } = this.getRequiredJava(versionInfo);
+
+        const installed = (await this.getInstalledRuntimes()).find(runtime => runtime.component === component);
+        if (installed) {
+            return installed;
+        }
+
+        return await this.installRuntime(component, options);
+    }
+
+    /**
+     * 下载并安装运行时组件
+     * @param {string} component - 组件名（如 java-runtime-gamma、jre-legacy）
+     */
+    async installRuntime(component, options = {}) {
+        const platform = this.getPlatform();
+        const index = await this.getRuntimeIndex();
+        const [runtime] = (index[platform] && index[platform][component]) || [];
+
+        if (!runtime) {
+            throw new Error(`当前平台 (${platform}) 没有可用的 Java 运行时: ${component}`);
+        }
+
+        const runtimeDir = path.join(this.getRuntimesDir(), component);
+        const infoPath = path.join(runtimeDir, RUNTIME_INFO_FILE);
+        await fs.rm(infoPath, { force: true });
+
+        const manifest = await this.downloadManager.fetchJson(runtime.manifest.url, options);
+        const files = Object.entries(manifest.files || {});
+
+        // 先创建目录
+        for (const [name, entry] of files) {
+            if (entry.type === 'directory') {
+                await fs.mkdir(this.resolveEntryPath(runtimeDir, name), { recursive: true });
+            }
+        }
+
+        await this.downloadRuntimeFiles(runtimeDir, files, component, options);
+
+        // 可执行权限与符号链接
+        for (const [name, entry] of files) {
+            const target = this.resolveEntryPath(runtimeDir, name);
+
+            if (entry.type === 'file' && entry.executable && os.platform() !== 'win32') {
+                await fs.chmod(target, 0o755);
+            } else if (entry.type === 'link') {
+                await this.createLink(entry.target, target);
+            }
+        }
+
+        const info = {
+            component,
+            platform,
+            majorVersion: this.parseMajorVersion(runtime.version.name),
+            versionName: runtime.version.name,
+            manifestSha1: runtime.manifest.sha1,
+            installedAt: new Date().toISOString()
+        };
+        await fs.writeFile(infoPath, JSON.stringify(info, null, 2), 'utf8');
+
+        console.log(`Java 运行时安装完成: ${component} (${info.versionName})`);
+        return (await this.getInstalledRuntimes()).find(runtime => runtime.component === component);
+    }
+
+    /**
+     * 下载运行时文件，提供 LZMA 压缩包时下载压缩包后解压
+     */
+    async downloadRuntimeFiles(runtimeDir, files, component, options) {
+        const tasks = [];
+        const compressed = [];
+
+        for (const [name, entry] of files) {
+            if (entry.type !== 'file') continue;
+
+            const target = this.resolveEntryPath(runtimeDir, name);
+            const raw = entry.downloads.raw;
+            if (await this.downloadManager.verifyFile(target, raw.sha1, raw.size)) {
+                continue;
+            }
+
+            if (entry.downloads.lzma) {
+                const lzmaInfo = entry.downloads.lzma;
+                tasks.push({ url: lzmaInfo.url, path: `${target}.lzma`, sha1: lzmaInfo.sha1, size: lzmaInfo.size });
+                compressed.push({ target, raw });
+            } else {
+                tasks.push({ url: raw.url, path: target, sha1: raw.sha1, size: raw.size });
+            }
+        }
+
+        await this.downloadManager.downloadFiles(tasks, { ...options, name: `Java 运行时 (${component})` });
+
+        const fallback = [];
+        for (const { target, raw } of compressed) {
+            try {
+                const data = await this.decompress(await fs.readFile(`${target}.lzma`));
+                if (this.sha1(data) !== raw.sha1) {
+                    throw new Error('解压后校验失败');
+                }
+                await fs.writeFile(target, data);
+            } catch (error) {
+                console.warn(`LZMA 解压失败，改为下载原始文件 ${path.basename(target)}:`, error.message);
+                fallback.push({ url: raw.url, path: target, sha1: raw.sha1, size: raw.size });
+            } finally {
+                await fs.rm(`${target}.lzma`, { force: true });
+            }
+        }
+
+        if (fallback.length > 0) {
+            await this.downloadManager.downloadFiles(fallback, { ...options, name: `Java 运行时 (${component})` });
+        }
+    }
+
+    /**
+     * 解压 LZMA 数据
+     * lzma 库在结果为合法 UTF-8 文本时返回字符串，否则返回字节数组
+     */
+    decompress(buffer) {
+        return new Promise((resolve, reject) => {
+            lzma.decompress(buffer, (result, error) => {
+                if (error) {
+                    reject(error);
+                } else if (typeof result === 'string') {
+                    resolve(Buffer.from(result, 'utf8'));
+                } else {
+                    resolve(Buffer.from(result));
+                }
+            });
+        });
+    }
+
+    sha1(data) {
+        return crypto.createHash('sha1').update(data).digest('hex');
+    }
+
+    async createLink(linkTarget, linkPath) {
+        try {
+            await fs.rm(linkPath, { force: true });
+            await fs.mkdir(path.dirname(linkPath), { recursive: true });
+            await fs.symlink(linkTarget, linkPath);
+        } catch (error) {
+            // Windows 未开启开发者模式时无法创建符号链接，运行时中的链接一般不影响启动
+            console.warn(`创建符号链接失败 ${linkPath}:`, error.message);
+        }
+    }
+
+    /**
+     * 解析清单中的路径并防止路径穿越
+     */
+    resolveEntryPath(runtimeDir, name) {
+        const root = path.resolve(runtimeDir);
+        const target = path.resolve(root, name);
+        if (!target.startsWith(root + path.sep)) {
+            throw new Error(`非法的运行时文件路径: ${name}`);
+        }
+        return target;
+    }
+
+    /**
+     * 从版本名解析主版本号（8u51 -> 8，17.0.8 -> 17，1.8.0_51 -> 8）
+     */
+    parseMajorVersion(versionName) {
+        const match = String(versionName).match(/^(\d+)(?:\.(\d+))?/);
+        if (!match) return 0;
+        return match[1] === '1' && match[2] ? parseInt(match[2]) : parseInt(match[1]);
+    }
+}
+
+module.exports = HCLJavaRuntimeManager;
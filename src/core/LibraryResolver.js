@@ -0,0 +1,167 @@
+// src/core/LibraryResolver.js
+/**
+ * HCL 库文件解析器
+ * 负责根据 rules 过滤库文件、解析原生库分类器、生成类路径并解压原生库
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+const HCLRuleEvaluator = require('./RuleEvaluator');
+
+const DEFAULT_LIBRARY_URL = 'https://libraries.minecraft.net/';
+
+class HCLLibraryResolver {
+    constructor(ruleEvaluator = new HCLRuleEvaluator()) {
+        this.ruleEvaluator = ruleEvaluator;
+    }
+
+    /**
+     * 解析 Maven 坐标
+     * @param {string} name - group:artifact:version[:classifier][@extension]
+     */
+    parseName(name) {
+        const [coordinate, extension = 'jar'] = name.split('@');
+        const [group, artifact, version, classifier = null] = coordinate.split(':');
+
+        return { group, artifact, version, classifier, extension };
+    }
+
+    /**
+     * 根据 Maven 坐标获取相对路径
+     * @param {string} name - Maven 坐标
+     * @param {string} classifierOverride - 覆盖坐标中的分类器
+     */
+    getArtifactPath(name, classifierOverride = null) {
+        const { group, artifact, version, classifier, extension } = this.parseName(name);
+        const finalClassifier = classifierOverride || classifier;
+        const fileName = finalClassifier ?
+            `${artifact}-${version}-${finalClassifier}.${extension}` :
+            `${artifact}-${version}.${extension}`;
+
+        return [...group.split('.'), artifact, version, fileName].join('/');
+    }
+
+    /**
+     * 获取库的去重键（不包含版本号）
+     */
+    getLibraryKey(lib, classifierOverride = null) {
+        const { group, artifact, classifier, extension } = this.parseName(lib.name);
+        return [group, artifact, classifierOverride || classifier || '', extension].join(':');
+    }
+
+    /**
+     * 获取当前系统的原生库分类器
+     */
+    getNativeClassifier(lib) {
+        if (!lib.natives) return null;
+
+        const classifier = lib.natives[this.ruleEvaluator.getOSName()];
+        if (!classifier) return null;
+
+        return classifier.replace(/\$\{arch\}/g, this.ruleEvaluator.getArchBits());
+    }
+
+    /**
+     * 构建库文件描述
+     */
+    createEntry(lib, download, classifier, libraryDir) {
+        const relativePath = (download && download.path) || this.getArtifactPath(lib.name, classifier);
+        const baseUrl = lib.url || DEFAULT_LIBRARY_URL;
+
+        return {
+            name: lib.name,
+            path: path.join(libraryDir, relativePath),
+            url: (download && download.url) || `${baseUrl.replace(/\/?$/, '/')}${relativePath}`,
+            sha1: (download && download.sha1) || lib.sha1 || null,
+            size: (download && download.size) || lib.size || 0
+        };
+    }
+
+    /**
+     * 解析版本所需的库文件
+     * 同一 group:artifact 出现多个版本时保留第一个（子版本优先）
+     * @param {Object} versionInfo - 版本 JSON
+     * @param {string} libraryDir - libraries 目录
+     * @returns {{classpath: Array, natives: Array}}
+     */
+    resolveLibraries(versionInfo, libraryDir) {
+        const classpath = [];
+        const natives = [];
+        const seenArtifacts = new Set();
+        const seenNatives = new Set();
+
+        for (const lib of versionInfo.libraries || []) {
+            if (!lib || !lib.name || !this.ruleEvaluator.isAllowed(lib.rules)) {
+                continue;
+            }
+
+            const downloads = lib.downloads || {};
+            const nativeClassifier = this.getNativeClassifier(lib);
+
+            // 普通库：有 artifact，或者不是原生库（仅有 Maven 坐标的库同样加入类路径）
+            if (downloads.artifact || !lib.natives) {
+                const key = this.getLibraryKey(lib);
+                if (!seenArtifacts.has(key)) {
+                    seenArtifacts.add(key);
+                    classpath.push(this.createEntry(lib, downloads.artifact, null, libraryDir));
+                }
+            }
+
+            // 原生库
+            if (nativeClassifier) {
+                const key = this.getLibraryKey(lib, nativeClassifier);
+                if (!seenNatives.has(key)) {
+                    seenNatives.add(key);
+                    const download = downloads.classifiers && downloads.classifiers[nativeClassifier];
+                    natives.push({
+                        ...this.createEntry(lib, download, nativeClassifier, libraryDir),
+                        exclude: (lib.extract && lib.extract.exclude) || []
+                    });
+                }
+            }
+        }
+
+        return { classpath, natives };
+    }
+
+    /**
+     * 将原生库解压到指定目录
+     * @param {Array} natives - resolveLibraries 返回的 natives 列表
+     * @param {string} targetDir - 目标目录
+     */
+    async extractNatives(natives, targetDir) {
+        await fs.mkdir(targetDir, { recursive: true });
+        const resolvedTarget = path.resolve(targetDir);
+
+        for (const native of natives) {
+            let zip;
+            try {
+                zip = new AdmZip(native.path);
+            } catch (error) {
+                throw new Error(`原生库读取失败: ${native.name} (${error.message})`);
+            }
+
+            for (const entry of zip.getEntries()) {
+                if (entry.isDirectory) continue;
+
+                const entryName = entry.entryName;
+                if (native.exclude.some(prefix => entryName.startsWith(prefix))) {
+                    continue;
+                }
+
+                // 防止路径穿越
+                const outputPath = path.resolve(targetDir, entryName);
+                if (!outputPath.startsWith(resolvedTarget + path.sep)) {
+                    continue;
+                }
+
+                await fs.mkdir(path.dirname(outputPath), { recursive: true });
+                await fs.writeFile(outputPath, entry.getData());
+            }
+        }
+
+        return targetDir;
+    }
+}
+
+module.exports = HCLLibraryResolver;
@@ -0,0 +1,429 @@
+// src/core/MicrosoftAuthenticator.js
+/**
+ * HCL 微软账户认证器
+ * 使用设备代码流程完成 Microsoft → Xbox Live → XSTS → Minecraft 的令牌链
+ */
+const EventEmitter = require('events');
+const axios = require('axios');
+const HCLAuthError = require('./AuthError');
+
+const { CODES } = HCLAuthError;
+
+const DEFAULT_ENDPOINTS = {
+    deviceCode: 'https://login.microsoftonline.com/consumers/oauth2/v2.0/devicecode',
+    token: 'https://login.microsoftonline.com/consumers/oauth2/v2.0/token',
+    xboxLive: 'https://user.auth.xboxlive.com/user/authenticate',
+    xsts: 'https://xsts.auth.xboxlive.com/xsts/authorize',
+    minecraftLogin: 'https://api.minecraftservices.com/authentication/login_with_xbox',
+    entitlements: 'https://api.minecraftservices.com/entitlements/mcstore',
+    profile: 'https://api.minecraftservices.com/minecraft/profile'
+};
+
+const SCOPE = 'XboxLive.signin offline_access';
+
+// XSTS 错误代码
+const XSTS_ERRORS = {
+    2148916233: [CODES.NO_XBOX_PROFILE, '该微软账户没有 Xbox 档案，请先登录 xbox.com 创建'],
+    2148916235: [CODES.XBOX_REGION_UNAVAILABLE, 'Xbox Live 在该账户所在的国家/地区不可用'],
+    2148916236: [CODES.XBOX_VERIFICATION_REQUIRED, '该账户需要在 xbox.com 完成成人验证'],
+    2148916237: [CODES.XBOX_VERIFICATION_REQUIRED, '该账户需要在 xbox.com 完成成人验证'],
+    2148916238: [CODES.CHILD_ACCOUNT, '该账户为儿童账户，需要家长将其加入家庭组后才能登录']
+};
+
+class HCLMicrosoftAuthenticator extends EventEmitter {
+    /**
+     * @param {Object} configManager - 配置管理器
+     * @param {Object} options - 覆盖配置（clientId、endpoints），便于连接测试服务器
+     */
+    constructor(configManager, options = {}) {
+        super();
+        this.configManager = configManager;
+        this.options = options;
+        this.pollController = null;
+    }
+
+    /**
+     * 获取客户端 ID
+     */
+    getClientId() {
+        const config = this.configManager.getConfig();
+        const clientId = this.options.clientId || config.microsoftClientId;
+
+        if (!clientId) {
+            throw new HCLAuthError(CODES.CLIENT_ID_MISSING, '未配置微软登录客户端 ID (microsoftClientId)');
+        }
+        return clientId;
+    }
+
+    /**
+     * 获取接口地址（默认值 < 配置 < 构造参数）
+     */
+    getEndpoints() {
+        const config = this.configManager.getConfig();
+        return {
+            ...DEFAULT_ENDPOINTS,
+            ...(config.microsoftAuthEndpoints || {}),
+            ...(this.options.endpoints || {})
+        };
+    }
+
+    getTimeout() {
+        return parseInt(this.configManager.getConfig().downloadTimeout) || 30000;
+    }
+
+    /**
+     * 完整登录流程
+     * 等待用户输入设备代码期间会发出 device-code 事件
+     * @returns {Promise<Object>} 账户数据
+     */
+    async login() {
+        const deviceCode = await this.requestDeviceCode();
+
+        this.emit('device-code', {
+            userCode: deviceCode.user_code,
+            verificationUri: deviceCode.verification_uri,
+            expiresIn: deviceCode.expires_in,
+            message: deviceCode.message
+        });
+
+        const msToken = await this.pollDeviceToken(deviceCode);
+        return await this.authenticateWithMicrosoftToken(msToken);
+    }
+
+    /**
+     * 取消正在进行的登录
+     */
+    cancel() {
+        if (this.pollController) {
+            this.pollController.abort();
+            this.pollController = null;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 请求设备代码
+     */
+    async requestDeviceCode() {
+        const params = new URLSearchParams({
+            client_id: this.getClientId(),
+            scope: SCOPE
+        });
+
+        const data = await this.request('post', this.getEndpoints().deviceCode, params.toString(), {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        });
+
+        if (!data.device_code || !data.user_code) {
+            throw new HCLAuthError(CODES.SERVER_ERROR, '获取设备代码失败', data);
+        }
+        return data;
+    }
+
+    /**
+     * 轮询令牌接口直到用户完成授权
+     */
+    async pollDeviceToken(deviceCode) {
+        const controller = new AbortController();
+        this.pollController = controller;
+
+        let interval = (deviceCode.interval || 5) * 1000;
+        const expiresAt = Date.now() + (deviceCode.expires_in || 900) * 1000;
+
+        const params = new URLSearchParams({
+            grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+            client_id: this.getClientId(),
+            device_code: deviceCode.device_code
+        });
+
+        try {
+            while (Date.now() < expiresAt) {
+                await this.delay(interval, controller.signal);
+
+                try {
+                    return await this.request('post', this.getEndpoints().token, params.toString(), {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    });
+                } catch (error) {
+                    const oauthError = error.details && error.details.error;
+
+                    if (oauthError === 'authorization_pending') {
+                        continue;
+                    } else if (oauthError === 'slow_down') {
+                        interval += 5000;
+                        continue;
+                    } else if (oauthError === 'authorization_declined') {
+                        throw new HCLAuthError(CODES.AUTHORIZATION_DECLINED, '用户拒绝了授权请求');
+                    } else if (oauthError === 'expired_token') {
+                        throw new HCLAuthError(CODES.DEVICE_CODE_EXPIRED, '设备代码已过期，请重新登录');
+                    }
+                    throw error;
+                }
+            }
+
+            throw new HCLAuthError(CODES.DEVICE_CODE_EXPIRED, '设备代码已过期，请重新登录');
+        } finally {
+            if (this.pollController === controller) {
+                this.pollController = null;
+            }
+        }
+    }
+
+    /**
+     * 使用刷新令牌获取新的微软令牌
+     */
+    async refreshMicrosoftToken(refreshToken) {
+        const params = new URLSearchParams({
+            grant_type: 'refresh_token',
+            client_id: this.getClientId(),
+            refresh_token: refreshToken,
+            scope: SCOPE
+        });
+
+        try {
+            return await this.request('post', this.getEndpoints().token, params.toString(), {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            });
+        } catch (error) {
+            if (error.details && error.details.error === 'invalid_grant') {
+                throw new HCLAuthError(CODES.TOKEN_EXPIRED, '登录已过期，请重新登录', error.details);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 由微软令牌完成后续认证链
+     * @param {Object} msToken - 微软令牌响应（access_token、refresh_token）
+     * @returns {Promise<Object>} 账户数据
+     */
+    async authenticateWithMicrosoftToken(msToken) {
+        const xbl = await this.authenticateXboxLive(msToken.access_token);
+        const xsts = await this.authorizeXSTS(xbl.token);
+        const minecraft = await this.loginMinecraft(xsts.userHash, xsts.token);
+
+        await this.checkOwnership(minecraft.access_token);
+        const profile = await this.getProfile(minecraft.access_token);
+
+        return {
+            type: 'microsoft',
+            username: profile.name,
+            uuid: this.formatUUID(profile.id),
+            accessToken: minecraft.access_token,
+            refreshToken: msToken.refresh_token,
+            expiresAt: Date.now() + (minecraft.expires_in || 86400) * 1000,
+            xuid: this.extractXuid(minecraft.access_token),
+            skins: profile.skins || [],
+            capes: profile.capes || []
+        };
+    }
+
+    /**
+     * 验证账户的 Minecraft 访问令牌是否仍然有效
+     * @returns {Promise<boolean>}
+     */
+    async validate(account) {
+        if (!account.accessToken) return false;
+
+        try {
+            await this.getProfile(account.accessToken);
+            return true;
+        } catch (error) {
+            if (error.code === CODES.TOKEN_EXPIRED) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 使用刷新令牌重新走完认证链
+     * @returns {Promise<Object>} 新的账户令牌数据
+     */
+    async refresh(account) {
+        if (!account.refreshToken) {
+            throw new HCLAuthError(CODES.TOKEN_EXPIRED, '账户缺少刷新令牌，请重新登录');
+        }
+
+        const msToken = await this.refreshMicrosoftToken(account.refreshToken);
+        const refreshed = await this.authenticateWithMicrosoftToken(msToken);
+
+        // 微软未轮换刷新令牌时继续使用旧令牌
+        refreshed.refreshToken = refreshed.refreshToken || account.refreshToken;
+        return refreshed;
+    }
+
+    /**
+     * Xbox Live 认证
+     */
+    async authenticateXboxLive(msAccessToken) {
+        const data = await this.request('post', this.getEndpoints().xboxLive, {
+            Properties: {
+                AuthMethod: 'RPS',
+                SiteName: 'user.auth.xboxlive.com',
+                RpsTicket: `d=${msAccessToken}`
+            },
+            RelyingParty: 'http://auth.xboxlive.com',
+            TokenType: 'JWT'
+        });
+
+        return {
+            token: data.Token,
+            userHash: this.getUserHash(data)
+        };
+    }
+
+    /**
+     * XSTS 授权
+     */
+    async authorizeXSTS(xblToken) {
+        let data;
+        try {
+            data = await this.request('post', this.getEndpoints().xsts, {
+                Properties: {
+                    SandboxId: 'RETAIL',
+                    UserTokens: [xblToken]
+                },
+                RelyingParty: 'rp://api.minecraftservices.com/',
+                TokenType: 'JWT'
+            });
+        } catch (error) {
+            const xErr = error.details && error.details.XErr;
+            if (xErr && XSTS_ERRORS[xErr]) {
+                const [code, message] = XSTS_ERRORS[xErr];
+                throw new HCLAuthError(code, message, error.details);
+            }
+            throw error;
+        }
+
+        return {
+            token: data.Token,
+            userHash: this.getUserHash(data)
+        };
+    }
+
+    /**
+     * 登录 Minecraft 服务
+     */
+    async loginMinecraft(userHash, xstsToken) {
+        return await this.request('post', this.getEndpoints().minecraftLogin, {
+            identityToken: `XBL3.0 x=${userHash};${xstsToken}`
+        });
+    }
+
+    /**
+     * 检查游戏所有权
+     */
+    async checkOwnership(mcAccessToken) {
+        const data = await this.request('get', this.getEndpoints().entitlements, null, {
+            Authorization: `Bearer ${mcAccessToken}`
+        });
+
+        const items = data.items || [];
+        const owned = items.some(item => item.name === 'product_minecraft' || item.name === 'game_minecraft');
+
+        if (!owned) {
+            throw new HCLAuthError(CODES.NO_GAME_OWNERSHIP, '该账户未购买 Minecraft Java 版');
+        }
+        return true;
+    }
+
+    /**
+     * 获取 Minecraft 档案
+     */
+    async getProfile(mcAccessToken) {
+        try {
+            return await this.request('get', this.getEndpoints().profile, null, {
+                Authorization: `Bearer ${mcAccessToken}`
+            });
+        } catch (error) {
+            if (error.status === 404) {
+                throw new HCLAuthError(CODES.NO_MINECRAFT_PROFILE, '该账户尚未创建 Minecraft 档案，请先在官网设置角色名');
+            }
+            if (error.status === 401) {
+                throw new HCLAuthError(CODES.TOKEN_EXPIRED, '访问令牌已失效', error.details);
+            }
+            throw error;
+        }
+    }
+
+    getUserHash(data) {
+        const claims = data.DisplayClaims && data.DisplayClaims.xui;
+        return claims && claims[0] ? claims[0].uhs : null;
+    }
+
+    /**
+     * 从 Minecraft 访问令牌 (JWT) 中读取 xuid
+     */
+    extractXuid(mcAccessToken) {
+        try {
+            const payload = mcAccessToken.split('.')[1];
+            const data = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+            return data.xuid || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 将无横线 UUID 格式化为标准格式
+     */
+    formatUUID(id) {
+        if (!id || id.includes('-')) return id;
+        return id.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+    }
+
+    /**
+     * 发送请求，将网络与服务器错误统一转换为 HCLAuthError
+     */
+    async request(method, url, data = null, headers = {}) {
+        try {
+            const response = await axios({
+                method,
+                url,
+                data,
+                timeout: this.getTimeout(),
+                headers: {
+                    Accept: 'application/json',
+                    ...(data && typeof data === 'object' ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
+                }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response) {
+                const authError = new HCLAuthError(
+                    CODES.SERVER_ERROR,
+                    `认证服务器返回错误 (${error.response.status})`,
+                    error.response.data
+                );
+                authError.status = error.response.status;
+                throw authError;
+            }
+            throw new HCLAuthError(CODES.NETWORK_ERROR, `网络请求失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 可取消的延迟
+     */
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new HCLAuthError(CODES.CANCELLED, '登录已取消'));
+                return;
+            }
+
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new HCLAuthError(CODES.CANCELLED, '登录已取消'));
+                }, { once: true });
+            }
+        });
+    }
+}
+
+module.exports = HCLMicrosoftAuthenticator;
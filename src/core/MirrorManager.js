@@ -0,0 +1,216 @@
+// src/core/MirrorManager.js
+/**
+ * HCL 镜像源管理器
+ * 负责将官方下载地址改写为镜像地址，并根据镜像健康度进行自动切换
+ */
+
+// 官方地址族
+const URL_FAMILIES = {
+    launchermeta: 'https://launchermeta.mojang.com',
+    pistonMeta: 'https://piston-meta.mojang.com',
+    launcher: 'https://launcher.mojang.com',
+    pistonData: 'https://piston-data.mojang.com',
+    libraries: 'https://libraries.minecraft.net',
+    resources: 'https://resources.download.minecraft.net',
+    forgeMaven: 'https://maven.minecraftforge.net',
+    neoforgeMaven: 'https://maven.neoforged.net/releases',
+    fabricMaven: 'https://maven.fabricmc.net',
+    fabricMeta: 'https://meta.fabricmc.net',
+    quiltMaven: 'https://maven.quiltmc.org/repository/release',
+    authlibInjector: 'https://authlib-injector.yushi.moe'
+};
+
+const DEFAULT_MIRROR_SITES = {
+    official: 'https://launchermeta.mojang.com',
+    bmclapi: 'https://bmclapi2.bangbang93.com'
+};
+
+// 健康度参数
+const MAX_SCORE = 100;
+const SUCCESS_BONUS = 5;
+const FAILURE_PENALTY = 25;
+const UNHEALTHY_SCORE = 40;
+
+class HCLMirrorManager {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.health = new Map();
+    }
+
+    /**
+     * 根据 BMCLAPI 兼容镜像的根地址生成改写规则
+     */
+    createBMCLAPIRewrites(baseUrl) {
+        const base = baseUrl.replace(/\/+$/, '');
+
+        return {
+            [URL_FAMILIES.launchermeta]: base,
+            [URL_FAMILIES.pistonMeta]: base,
+            [URL_FAMILIES.launcher]: base,
+            [URL_FAMILIES.pistonData]: base,
+            [URL_FAMILIES.libraries]: `${base}/maven`,
+            [URL_FAMILIES.resources]: `${base}/assets`,
+            [URL_FAMILIES.forgeMaven]: `${base}/maven`,
+            [URL_FAMILIES.neoforgeMaven]: `${base}/maven`,
+            [URL_FAMILIES.fabricMaven]: `${base}/maven`,
+            [URL_FAMILIES.fabricMeta]: `${base}/fabric-meta`,
+            [URL_FAMILIES.quiltMaven]: `${base}/maven`,
+            [URL_FAMILIES.authlibInjector]: `${base}/mirrors/authlib-injector`
+        };
+    }
+
+    /**
+     * 获取所有镜像定义（内置 + 用户自定义）
+     * @returns {Array<{id: string, name: string, rewrites: Object}>}
+     */
+    getMirrors() {
+        const config = this.configManager.getConfig();
+        const sites = { ...DEFAULT_MIRROR_SITES, ...(config.mirrorSites || {}) };
+
+        const mirrors = [
+            { id: 'official', name: '官方源', rewrites: {} },
+            { id: 'bmclapi', name: 'BMCLAPI', rewrites: this.createBMCLAPIRewrites(sites.bmclapi) }
+        ];
+
+        // 用户自定义镜像：{ id, name, baseUrl } 使用 BMCLAPI 兼容规则，或 { id, name, rewrites } 自定义规则
+        for (const custom of config.customMirrors || []) {
+            if (!custom || !custom.id || mirrors.some(m => m.id === custom.id)) {
+                continue;
+            }
+
+            mirrors.push({
+                id: custom.id,
+                name: custom.name || custom.id,
+                rewrites: custom.rewrites || (custom.baseUrl ? this.createBMCLAPIRewrites(custom.baseUrl) : {})
+            });
+        }
+
+        return mirrors;
+    }
+
+    getMirror(mirrorId) {
+        return this.getMirrors().find(mirror => mirror.id === mirrorId) || null;
+    }
+
+    /**
+     * 使用指定镜像改写地址
+     * @returns {string|null} 改写后的地址；镜像不支持该地址时返回 null
+     */
+    rewriteUrl(url, mirrorId) {
+        if (mirrorId === 'official') {
+            return url;
+        }
+
+        const mirror = this.getMirror(mirrorId);
+        if (!mirror) return null;
+
+        for (const [prefix, replacement] of Object.entries(mirror.rewrites)) {
+            if (url === prefix || url.startsWith(`${prefix}/`)) {
+                return replacement.replace(/\/+$/, '') + url.substring(prefix.length);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 获取下载地址的候选列表（按优先级排序）
+     * @param {string} url - 官方下载地址
+     * @returns {Array<{mirrorId: string, url: string}>}
+     */
+    getCandidates(url) {
+        const config = this.configManager.getConfig();
+        const preferred = config.downloadSource || 'official';
+        const autoSwitch = config.autoSwitchMirror !== false;
+
+        const candidates = [];
+        for (const mirror of this.getMirrors()) {
+            const rewritten = this.rewriteUrl(url, mirror.id);
+            if (rewritten) {
+                candidates.push({ mirrorId: mirror.id, url: rewritten });
+            }
+        }
+
+        const preferredCandidate = candidates.find(c => c.mirrorId === preferred);
+
+        if (!autoSwitch) {
+            return [preferredCandidate || { mirrorId: 'official', url }];
+        }
+
+        // 首选源健康时排在首位，其余按健康度排序，官方源在同分时优先
+        const others = candidates
+            .filter(c => c !== preferredCandidate)
+            .sort((a, b) => {
+                const diff = this.getScore(b.mirrorId) - this.getScore(a.mirrorId);
+                if (diff !== 0) return diff;
+                return (a.mirrorId === 'official' ? -1 : 0) - (b.mirrorId === 'official' ? -1 : 0);
+            });
+
+        if (!preferredCandidate) {
+            return others;
+        }
+
+        if (this.getScore(preferred) >= UNHEALTHY_SCORE) {
+            return [preferredCandidate, ...others];
+        }
+
+        return [...others, preferredCandidate];
+    }
+
+    getHealth(mirrorId) {
+        if (!this.health.has(mirrorId)) {
+            this.health.set(mirrorId, {
+                score: MAX_SCORE,
+                successes: 0,
+                failures: 0,
+                lastError: null,
+                lastFailure: null
+            });
+        }
+        return this.health.get(mirrorId);
+    }
+
+    getScore(mirrorId) {
+        return this.getHealth(mirrorId).score;
+    }
+
+    /**
+     * 记录镜像请求成功
+     */
+    reportSuccess(mirrorId) {
+        const health = this.getHealth(mirrorId);
+        health.successes++;
+        health.score = Math.min(MAX_SCORE, health.score + SUCCESS_BONUS);
+    }
+
+    /**
+     * 记录镜像请求失败（网络错误或校验失败）
+     */
+    reportFailure(mirrorId, error = null) {
+        const health = this.getHealth(mirrorId);
+        health.failures++;
+        health.score = Math.max(0, health.score - FAILURE_PENALTY);
+        health.lastError = error ? error.message : null;
+        health.lastFailure = Date.now();
+    }
+
+    /**
+     * 获取所有镜像的健康状态
+     */
+    getMirrorStatus() {
+        return this.getMirrors().map(mirror => ({
+            id: mirror.id,
+            name: mirror.name,
+            ...this.getHealth(mirror.id)
+        }));
+    }
+
+    /**
+     * 重置健康度统计
+     */
+    resetHealth() {
+        this.health.clear();
+    }
+}
+
+module.exports = HCLMirrorManager;
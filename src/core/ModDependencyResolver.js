@@ -0,0 +1,361 @@
+// src/core/ModDependencyResolver.js
+/**
+ * HCL 模组依赖检查
+ * 根据模组元数据检查缺失的前置、版本范围不符、声明的不兼容、重复的模组 ID，
+ * 以及加载器或游戏版本不匹配的模组，生成启动前可展示的报告
+ */
+
+// 游戏与加载器自身提供的 ID
+const BUILTIN_IDS = ['minecraft', 'java', 'fabricloader', 'quilt_loader', 'forge', 'neoforge', 'fml', 'javafml'];
+
+// 实例加载器可以加载的模组类型（Quilt 兼容 Fabric 模组）
+const COMPATIBLE_LOADERS = {
+    fabric: ['fabric'],
+    quilt: ['quilt', 'fabric'],
+    forge: ['forge'],
+    neoforge: ['neoforge', 'forge']
+};
+
+// 正式版的游戏版本号（1.20、1.20.1）；快照（23w31a）与预发布版（1.21-pre1）无法按版本范围比较
+const RELEASE_VERSION = /^\d+\.\d+(\.\d+)?$/;
+
+class HCLModDependencyResolver {
+    /**
+     * 检查模组
+     * @param {Array<Object>} mods - scanMods 返回的模组列表（仅检查已启用的模组）
+     * @param {Object} context - 实例环境
+     * @param {string} context.gameVersion - 游戏版本
+     * @param {Object} context.loader - 加载器 { type, version }，原版为 null
+     * @returns {Object} 检查报告 { ok, errors, warnings, issues }
+     */
+    check(mods, context) {
+        const enabled = mods.filter(mod => mod.enabled !== false);
+        const loader = context.loader || null;
+        const issues = [];
+
+        // 模组 ID（含 provides）-> 模组列表
+        const provided = new Map();
+        for (const mod of enabled) {
+            if (!mod.id) continue;
+            for (const id of [mod.id, ...(mod.provides || [])]) {
+                if (!provided.has(id)) provided.set(id, []);
+                provided.get(id).push(mod);
+            }
+        }
+
+        issues.push(...this.checkDuplicates(enabled));
+
+        for (const mod of enabled) {
+            if (!mod.id) continue;
+
+            const loaderIssue = this.checkLoader(mod, loader);
+            if (loaderIssue) {
+                // 加载器不匹配的模组不会被加载，其余检查没有意义
+                issues.push(loaderIssue);
+                continue;
+            }
+
+            issues.push(...this.checkGameAndLoaderVersion(mod, context.gameVersion, loader));
+            issues.push(...this.checkDependencies(mod, provided, loader));
+        }
+
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        return {
+            ok: errors === 0,
+            errors,
+            warnings: issues.length - errors,
+            issues
+        };
+    }
+
+    /**
+     * 重复的模组 ID：保留版本最高的一个，其余可一键禁用
+     */
+    checkDuplicates(mods) {
+        const byId = new Map();
+        for (const mod of mods) {
+            if (!mod.id) continue;
+            if (!byId.has(mod.id)) byId.set(mod.id, []);
+            byId.get(mod.id).push(mod);
+        }
+
+        const issues = [];
+        for (const [modId, list] of byId) {
+            if (list.length < 2) continue;
+
+            const sorted = [...list].sort((a, b) => this.compareVersions(b.version, a.version));
+            issues.push({
+                type: 'duplicate',
+                severity: 'error',
+                modId,
+                fileName: sorted[0].fileName,
+                message: `模组 ${sorted[0].name} 存在 ${list.length} 个副本`,
+                keep: sorted[0].fileName,
+                duplicates: sorted.slice(1).map(mod => mod.fileName),
+                action: { type: 'disable-duplicates' }
+            });
+        }
+        return issues;
+    }
+
+    checkLoader(mod, loader) {
+        const modLoaders = mod.loaders || [];
+        if (modLoaders.length === 0) return null;
+
+        if (!loader) {
+            return this.createIssue('wrong-loader', 'error', mod, `${mod.name} 需要 ${modLoaders.join('/')}，但实例未安装模组加载器`);
+        }
+
+        const accepted = COMPATIBLE_LOADERS[loader.type] || [loader.type];
+        if (!modLoaders.some(type => accepted.includes(type))) {
+            return this.createIssue('wrong-loader', 'error', mod, `${mod.name} 是 ${modLoaders.join('/')} 模组，无法在 ${loader.type} 上运行`);
+        }
+        return null;
+    }
+
+    checkGameAndLoaderVersion(mod, gameVersion, loader) {
+        const issues = [];
+        const syntax = this.getRangeSyntax(mod);
+
+        if (gameVersion && mod.gameVersionRange && mod.gameVersionRange !== '*' && !RELEASE_VERSION.test(gameVersion)) {
+            issues.push(this.createIssue('unchecked-game-version', 'warning', mod,
+                `${mod.name} 需要 Minecraft ${mod.gameVersionRange}，无法检查当前的 ${gameVersion} 是否满足`,
+                { required: mod.gameVersionRange, current: gameVersion }));
+        } else if (gameVersion && mod.gameVersionRange && !this.satisfies(gameVersion, mod.gameVersionRange, syntax)) {
+            issues.push(this.createIssue('wrong-game-version', 'error', mod,
+                `${mod.name} 需要 Minecraft ${mod.gameVersionRange}，当前为 ${gameVersion}`,
+                { required: mod.gameVersionRange, current: gameVersion }));
+        }
+
+        // NeoForge 的 loaderVersion 是 FML 版本，与 NeoForge 版本号不同，无法比较
+        if (loader && loader.version && loader.type !== 'neoforge' && mod.loaderVersionRange) {
+            const loaderVersion = this.getLoaderVersion(loader);
+            if (!this.satisfies(loaderVersion, mod.loaderVersionRange, syntax)) {
+                issues.push(this.createIssue('wrong-loader-version', 'error', mod,
+                    `${mod.name} 需要 ${loader.type} ${mod.loaderVersionRange}，当前为 ${loaderVersion}`,
+                    { required: mod.loaderVersionRange, current: loaderVersion }));
+            }
+        }
+        return issues;
+    }
+
+    checkDependencies(mod, provided, loader) {
+        const issues = [];
+        const syntax = this.getRangeSyntax(mod);
+
+        for (const dep of mod.dependencies || []) {
+            if (BUILTIN_IDS.includes(dep.id) || (dep.side && dep.side.toUpperCase() === 'SERVER')) continue;
+
+            const targets = provided.get(dep.id) || [];
+            const inRange = targets.filter(target => this.satisfies(target.version, dep.versionRange, syntax));
+
+            if (dep.type === 'incompatible') {
+                if (inRange.length > 0) {
+                    issues.push(this.createIssue('incompatible', 'error', mod,
+                        `${mod.name} 与 ${inRange[0].name} 不兼容`,
+                        { dependencyId: dep.id, conflictsWith: inRange.map(target => target.fileName) }));
+                }
+                continue;
+            }
+
+            const severity = dep.type === 'required' ? 'error' : 'warning';
+            if (targets.length === 0) {
+                // 可选前置缺失不影响启动
+                if (dep.type !== 'required') continue;
+                issues.push(this.createIssue('missing-dependency', severity, mod,
+                    `${mod.name} 缺少前置模组 ${dep.id}${dep.versionRange && dep.versionRange !== '*' ? ` (${dep.versionRange})` : ''}`,
+                    {
+                        dependencyId: dep.id,
+                        versionRange: dep.versionRange,
+                        action: loader ? { type: 'fetch-dependency', dependencyId: dep.id } : null
+                    }));
+            } else if (inRange.length === 0) {
+                issues.push(this.createIssue('dependency-version', severity, mod,
+                    `${mod.name} 需要 ${dep.id} ${dep.versionRange}，当前为 ${targets[0].version}`,
+                    {
+                        dependencyId: dep.id,
+                        versionRange: dep.versionRange,
+                        current: targets[0].version,
+                        action: loader ? { type: 'fetch-dependency', dependencyId: dep.id } : null
+                    }));
+            }
+        }
+        return issues;
+    }
+
+    createIssue(type, severity, mod, message, extra = {}) {
+        return {
+            type,
+            severity,
+            modId: mod.id,
+            fileName: mod.fileName,
+            message,
+            action: null,
+            ...extra
+        };
+    }
+
+    /**
+     * Forge 系使用 Maven 版本范围，Fabric 系使用 semver 谓词
+     */
+    getRangeSyntax(mod) {
+        return mod.loader === 'forge' || mod.loader === 'neoforge' ? 'maven' : 'semver';
+    }
+
+    /**
+     * Forge 的加载器版本带游戏版本前缀（1.20.1-47.2.0）
+     */
+    getLoaderVersion(loader) {
+        const prefix = `${loader.gameVersion}-`;
+        return loader.version.startsWith(prefix) ? loader.version.substring(prefix.length) : loader.version;
+    }
+
+    /**
+     * 判断版本是否满足范围
+     * @param {string} version - 版本
+     * @param {string} range - 版本范围
+     * @param {string} syntax - 'maven' 或 'semver'
+     */
+    satisfies(version, range, syntax = 'semver') {
+        if (!range || range === '*') return true;
+        if (!version || version === 'unknown') return true;
+
+        return syntax === 'maven' ?
+            this.satisfiesMaven(version, range) :
+            this.satisfiesSemver(version, range);
+    }
+
+    /**
+     * Maven 范围：[1.0,2.0)、[1.20.1]、(,1.0]、多个范围以逗号分隔；
+     * 不带括号的版本是软性要求，任何版本都满足
+     */
+    satisfiesMaven(version, range) {
+        const ranges = range.match(/[[(][^\])]*[\])]/g);
+        if (!ranges) return true;
+
+        return ranges.some(item => {
+            const lowerInclusive = item[0] === '[';
+            const upperInclusive = item[item.length - 1] === ']';
+            const bounds = item.slice(1, -1).split(',').map(bound => bound.trim());
+
+            if (bounds.length === 1) {
+                return this.compareVersions(version, bounds[0]) === 0;
+            }
+
+            const [lower, upper] = bounds;
+            if (lower) {
+                const result = this.compareVersions(version, lower);
+                if (result < 0 || (result === 0 && !lowerInclusive)) return false;
+            }
+            if (upper) {
+                const result = this.compareVersions(version, upper);
+                if (result > 0 || (result === 0 && !upperInclusive)) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Fabric 版本谓词：|| 分隔可选项，空格分隔同时满足的条件；
+     * 支持 = > >= < <= ~ ^ 与 1.20.x 通配
+     */
+    satisfiesSemver(version, range) {
+        return range.split('||').some(alternative => {
+            const predicates = alternative.trim().split(/\s+/).filter(Boolean);
+            return predicates.every(predicate => this.matchPredicate(version, predicate));
+        });
+    }
+
+    matchPredicate(version, predicate) {
+        const match = predicate.match(/^(>=|<=|>|<|=|~|\^)?(.*)$/);
+        const operator = match[1] || '=';
+        // 末尾的 - 表示包含预发布版本
+        const target = match[2].replace(/-$/, '');
+
+        if (!target || target === '*') return true;
+
+        const wildcard = target.split('.').findIndex(part => /^[xX*]$/.test(part));
+        if (wildcard >= 0) {
+            // 1.20.x -> >=1.20 <1.21
+            const prefix = target.split('.').slice(0, wildcard);
+            if (prefix.length === 0) return true;
+            return this.compareVersions(version, prefix.join('.')) >= 0 &&
+                this.compareVersions(version, this.bump(prefix, prefix.length - 1)) < 0;
+        }
+
+        const result = this.compareVersions(version, target);
+        const parts = this.parseVersion(target).core;
+        switch (operator) {
+            case '>=': return result >= 0;
+            case '<=': return result <= 0;
+            case '>': return result > 0;
+            case '<': return result < 0;
+            // ~1.20.1 -> >=1.20.1 <1.21
+            case '~': return result >= 0 && this.compareVersions(version, this.bump(parts, Math.min(1, parts.length - 1))) < 0;
+            // ^1.2.3 -> >=1.2.3 <2
+            case '^': return result >= 0 && this.compareVersions(version, this.bump(parts, 0)) < 0;
+            default: return result === 0;
+        }
+    }
+
+    /**
+     * 递增指定位置的版本号并截断后续部分
+     */
+    bump(parts, index) {
+        const next = parts.slice(0, index + 1).map(part => parseInt(part) || 0);
+        next[index]++;
+        return next.join('.');
+    }
+
+    /**
+     * 拆分版本号：1.20.1-rc.1+build.5 -> core [1, 20, 1]，pre ['rc', 1]
+     */
+    parseVersion(version) {
+        const [main] = String(version).split('+');
+        const dash = main.indexOf('-');
+        const core = (dash >= 0 ? main.substring(0, dash) : main).split('.');
+        const pre = dash >= 0 ? main.substring(dash + 1).split('.') : [];
+
+        const toPart = (part) => /^\d+$/.test(part) ? parseInt(part) : part;
+        return { core: core.map(toPart), pre: pre.map(toPart) };
+    }
+
+    /**
+     * 比较版本号，返回 -1、0、1
+     */
+    compareVersions(a, b) {
+        const left = this.parseVersion(a);
+        const right = this.parseVersion(b);
+
+        const length = Math.max(left.core.length, right.core.length);
+        for (let i = 0; i < length; i++) {
+            const result = this.compareParts(left.core[i] ?? 0, right.core[i] ?? 0);
+            if (result !== 0) return result;
+        }
+
+        // 预发布版本低于正式版本
+        if (left.pre.length === 0 && right.pre.length === 0) return 0;
+        if (left.pre.length === 0) return 1;
+        if (right.pre.length === 0) return -1;
+
+        for (let i = 0; i < Math.max(left.pre.length, right.pre.length); i++) {
+            if (left.pre[i] === undefined) return -1;
+            if (right.pre[i] === undefined) return 1;
+            const result = this.compareParts(left.pre[i], right.pre[i]);
+            if (result !== 0) return result;
+        }
+        return 0;
+    }
+
+    compareParts(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.sign(a - b);
+        }
+        // 数字段低于字母段
+        if (typeof a === 'number') return -1;
+        if (typeof b === 'number') return 1;
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+}
+
+module.exports = HCLModDependencyResolver;
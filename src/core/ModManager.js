@@ -1,40 +1,77 @@
 const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
-const axios = require('axios');
+const HCLModrinthClient = require('./ModrinthClient');
+const HCLModMetadataParser = require('./ModMetadataParser');
+const HCLModDependencyResolver = require('./ModDependencyResolver');
+
+// 更新前旧文件的保存目录（与 mods 目录同级）
+const ROLLBACK_DIR = 'mods-rollback';
+
+// 回滚记录文件
+const ROLLBACK_FILE = 'rollback.json';
+
+// 实例加载器 -> Modrinth 加载器分类
+const MODRINTH_LOADERS = {
+    fabric: ['fabric'],
+    quilt: ['quilt', 'fabric'],
+    forge: ['forge'],
+    neoforge: ['neoforge']
+};
+
+// 模组 ID 与 Modrinth slug 不一致的常见前置
+const DEPENDENCY_SLUGS = {
+    fabric: 'fabric-api',
+    quilted_fabric_api: 'qsl'
+};
 
 class HCLModManager extends EventEmitter {
-    constructor(configManager) {
+    constructor(configManager, instanceManager = null, dataManager = null, downloadManager = null) {
         super();
         this.configManager = configManager;
+        this.instanceManager = instanceManager;
+        this.downloadManager = downloadManager;
+        this.modrinthClient = new HCLModrinthClient(configManager);
+        this.metadataParser = new HCLModMetadataParser(dataManager);
+        this.dependencyResolver = new HCLModDependencyResolver();
         this.mods = new Map();
         this.modLoaders = new Map();
     }
 
-    async scanMods(versionId) {
-        const gameDir = this.configManager.getGameDirectory();
-        const modsDir = path.join(gameDir, 'mods');
-        const versionModsDir = path.join(modsDir, versionId);
+    /**
+     * 获取模组目录：指定实例时为实例的 mods 目录，否则为主游戏目录的 mods
+     */
+    getModsDirectory(instanceId = null) {
+        if (instanceId && this.instanceManager) {
+            this.instanceManager.requireInstance(instanceId);
+            return path.join(this.instanceManager.getInstanceDirectory(instanceId), 'mods');
+        }
+        return path.join(this.configManager.getGameDirectory(), 'mods');
+    }
+
+    async scanMods(instanceId = null) {
+        const modsDir = this.getModsDirectory(instanceId);
 
         try {
-            await fs.access(versionModsDir);
-            const modFiles = await fs.readdir(versionModsDir);
+            await fs.access(modsDir);
+            const modFiles = await fs.readdir(modsDir);
             
             const mods = [];
             for (const modFile of modFiles) {
                 if (modFile.endsWith('.jar') || modFile.endsWith('.disabled')) {
-                    const modPath = path.join(versionModsDir, modFile);
+                    const modPath = path.join(modsDir, modFile);
                     const modInfo = await this.getModInfo(modPath);
                     mods.push({
-                        name: modFile,
+                        ...modInfo,
+                        fileName: modFile,
                         path: modPath,
-                        enabled: !modFile.endsWith('.disabled'),
-                        ...modInfo
+                        enabled: !modFile.endsWith('.disabled')
                     });
                 }
             }
             
-            this.emit('mods-scanned', { version: versionId, mods });
+            await this.metadataParser.saveCache();
+            this.emit('mods-scanned', { instanceId, mods });
             return mods;
         } catch (error) {
             if (error.code === 'ENOENT') {
@@ -44,51 +81,434 @@ class HCLModManager extends EventEmitter {
         }
     }
 
+    /**
+     * 读取模组元数据（ID、名称、版本、作者、依赖、支持的游戏与加载器版本）
+     */
     async getModInfo(modPath) {
-        // 简化版模组信息提取
-        // 实际实现需要解析JAR文件的manifest或mods.toml
+        return await this.metadataParser.parse(modPath);
+    }
+
+    async getModIcon(modPath, iconPath) {
+        return await this.metadataParser.readIcon(modPath, iconPath);
+    }
+
+    /**
+     * 启动前检查实例的模组（前置、版本范围、不兼容、重复、加载器与游戏版本）
+     * @returns {Promise<Object>} 检查报告 { instanceId, ok, errors, warnings, issues }
+     */
+    async checkMods(instanceId) {
+        const instance = this.instanceManager.requireInstance(instanceId);
+        const mods = await this.scanMods(instanceId);
+
+        const report = this.dependencyResolver.check(mods, {
+            gameVersion: this.instanceManager.getGameVersion(instanceId),
+            loader: instance.loader
+        });
+        return { instanceId, ...report };
+    }
+
+    /**
+     * 禁用重复的模组，每个模组 ID 只保留版本最高的文件
+     * @returns {Promise<Array<string>>} 已禁用的文件名
+     */
+    async disableDuplicates(instanceId) {
+        const report = await this.checkMods(instanceId);
+        const disabled = [];
+
+        for (const issue of report.issues.filter(item => item.type === 'duplicate')) {
+            for (const fileName of issue.duplicates) {
+                await this.toggleMod(fileName, instanceId, false);
+                disabled.push(fileName);
+            }
+        }
+        return disabled;
+    }
+
+    /**
+     * 从 Modrinth 下载适用于实例的前置模组，并禁用版本不符的旧文件
+     * @param {string} instanceId - 实例 ID
+     * @param {string} dependencyId - 前置模组 ID（模组元数据中的 ID，不一定是 Modrinth slug）
+     */
+    async fetchDependency(instanceId, dependencyId) {
+        const instance = this.instanceManager.requireInstance(instanceId);
+        const project = await this.resolveDependencyProject(instance, dependencyId);
+        if (!project) {
+            throw new Error(`找不到前置模组 ${dependencyId} 对应的 Modrinth 项目，请手动安装`);
+        }
+
+        const existing = (await this.scanMods(instanceId))
+            .filter(mod => mod.enabled && (mod.id === dependencyId || (mod.provides || []).includes(dependencyId)));
+
+        const result = await this.installProject(instanceId, project.id);
+        const fileNames = result.installed.map(item => item.fileName);
+        for (const mod of existing) {
+            if (!fileNames.includes(mod.fileName)) {
+                await this.toggleMod(mod.fileName, instanceId, false);
+            }
+        }
+
+        return { ...result, dependencyId, projectId: project.id };
+    }
+
+    /**
+     * 查找模组 ID 对应的 Modrinth 项目：先按 slug 查找（下划线换为连字符），
+     * 再搜索 slug 或名称与模组 ID 相同的项目
+     * @returns {Promise<Object|null>} { id, slug }，找不到时返回 null
+     */
+    async resolveDependencyProject(instance, dependencyId) {
+        const candidates = [...new Set([
+            DEPENDENCY_SLUGS[dependencyId],
+            dependencyId,
+            dependencyId.replace(/_/g, '-')
+        ].filter(Boolean))];
+
+        for (const slug of candidates) {
+            const project = await this.modrinthClient.getProject(slug);
+            if (project && project.project_type === 'mod') {
+                return { id: project.id, slug: project.slug };
+            }
+        }
+
+        const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const target = normalize(dependencyId);
+        const { hits } = await this.modrinthClient.search({
+            query: dependencyId,
+            projectType: 'mod',
+            ...this.getModrinthFilters(instance),
+            pageSize: 10
+        });
+        const hit = hits.find(item => normalize(item.slug) === target || normalize(item.name) === target);
+        return hit ? { id: hit.id, slug: hit.slug } : null;
+    }
+
+    /**
+     * 实例对应的 Modrinth 筛选条件
+     */
+    getModrinthFilters(instance) {
+        if (!instance.loader) {
+            throw new Error('实例未安装模组加载器');
+        }
         return {
-            name: path.basename(modPath, path.extname(modPath)),
-            version: 'unknown',
-            description: ''
+            loaders: MODRINTH_LOADERS[instance.loader.type] || [instance.loader.type],
+            gameVersions: [instance.loader.gameVersion]
         };
     }
 
-    async installMod(modUrl, versionId) {
+    /**
+     * 已启用模组对应的 Modrinth 项目（按文件哈希查找）
+     * @returns {Promise<Map<string, Array<string>>>} 项目 ID -> 文件名
+     */
+    async getInstalledProjects(instanceId) {
+        const mods = (await this.scanMods(instanceId)).filter(mod => mod.enabled && mod.sha1);
+        const versions = await this.modrinthClient.getVersionsByHashes(mods.map(mod => mod.sha1));
+
+        const projects = new Map();
+        for (const mod of mods) {
+            const version = versions[mod.sha1];
+            if (!version) continue;
+            if (!projects.has(version.project_id)) projects.set(version.project_id, []);
+            projects.get(version.project_id).push(mod.fileName);
+        }
+        return projects;
+    }
+
+    /**
+     * 安装 Modrinth 项目及其必需前置
+     * 未指定版本时选择与实例兼容的最新版本；已安装的前置会跳过，
+     * 项目本身的旧文件在新文件下载完成后禁用
+     * @param {string} instanceId - 实例 ID
+     * @param {string} projectId - 项目 ID 或 slug
+     * @param {Object} options - { versionId }
+     * @returns {Promise<Object>} { installed, skipped, unresolved }
+     */
+    async installProject(instanceId, projectId, options = {}) {
+        const instance = this.instanceManager.requireInstance(instanceId);
+        const filters = this.getModrinthFilters(instance);
+        const installedProjects = await this.getInstalledProjects(instanceId);
+
+        const queue = [{ projectId, versionId: options.versionId || null, dependency: false }];
+        const visited = new Set();
+        const resolvedProjects = new Set();
+        const versions = [];
+        const skipped = [];
+        const unresolved = [];
+
+        while (queue.length > 0) {
+            const item = queue.shift();
+            const key = item.versionId || item.projectId;
+            if (visited.has(key)) continue;
+            visited.add(key);
+
+            const version = item.versionId ?
+                await this.modrinthClient.getVersion(item.versionId) :
+                await this.modrinthClient.findCompatibleVersion(item.projectId, filters);
+
+            if (!version) {
+                if (!item.dependency) {
+                    throw new Error(`${projectId} 没有适用于 ${instance.loader.type} ${instance.loader.gameVersion} 的版本`);
+                }
+                unresolved.push(item.projectId);
+                continue;
+            }
+            // 同一项目可能被多个模组依赖
+            if (resolvedProjects.has(version.project_id)) continue;
+            resolvedProjects.add(version.project_id);
+
+            if (item.dependency && installedProjects.has(version.project_id)) {
+                skipped.push(version.project_id);
+                continue;
+            }
+
+            versions.push(version);
+            for (const dep of version.dependencies || []) {
+                if (dep.dependency_type !== 'required') continue;
+                if (dep.project_id || dep.version_id) {
+                    queue.push({ projectId: dep.project_id, versionId: dep.version_id || null, dependency: true });
+                } else if (dep.file_name) {
+                    unresolved.push(dep.file_name);
+                }
+            }
+        }
+
+        const installed = [];
+        for (const version of versions) {
+            const file = this.modrinthClient.getPrimaryFile(version);
+            if (!file) {
+                unresolved.push(version.project_id);
+                continue;
+            }
+
+            const result = await this.installMod(file.url, instanceId, {
+                fileName: file.filename,
+                sha1: file.hashes.sha1,
+                size: file.size
+            });
+            installed.push({
+                projectId: version.project_id,
+                versionId: version.id,
+                version: version.version_number,
+                fileName: file.filename,
+                filePath: result.filePath
+            });
+
+            // 禁用同一项目的旧文件
+            for (const fileName of installedProjects.get(version.project_id) || []) {
+                if (fileName !== file.filename) {
+                    await this.toggleMod(fileName, instanceId, false);
+                }
+            }
+        }
+
+        return { installed, skipped, unresolved };
+    }
+
+    /**
+     * 下载模组文件（提供 sha1 与大小时下载后校验）
+     * @param {string} modUrl - 下载地址
+     * @param {string} instanceId - 实例 ID
+     * @param {Object} options - { fileName, sha1, size }
+     */
+    async installMod(modUrl, instanceId = null, options = {}) {
         try {
-            this.emit('mod-install-start', { url: modUrl, version: versionId });
+            this.emit('mod-install-start', { url: modUrl, instanceId });
             
-            const modsDir = path.join(this.configManager.getGameDirectory(), 'mods', versionId);
+            const modsDir = this.getModsDirectory(instanceId);
             await fs.mkdir(modsDir, { recursive: true });
             
-            const fileName = path.basename(modUrl);
-            const filePath = path.join(modsDir, fileName);
+            const fileName = options.fileName || decodeURIComponent(path.basename(new URL(modUrl).pathname));
+            const filePath = path.join(modsDir, path.basename(fileName));
             
-            // 下载模组文件
-            const response = await axios({
-                method: 'GET',
+            await this.downloadManager.downloadFiles([{
                 url: modUrl,
-                responseType: 'stream'
-            });
-            
-            const writer = require('fs').createWriteStream(filePath);
-            response.data.pipe(writer);
+                path: filePath,
+                sha1: options.sha1,
+                size: options.size
+            }], { name: fileName });
             
-            return new Promise((resolve, reject) => {
-                writer.on('finish', () => {
-                    this.emit('mod-install-complete', { filePath, version: versionId });
-                    resolve({ success: true, filePath });
-                });
-                writer.on('error', reject);
-            });
+            this.emit('mod-install-complete', { filePath, instanceId });
+            return { success: true, filePath };
         } catch (error) {
             this.emit('mod-install-error', { url: modUrl, error: error.message });
             throw error;
         }
     }
 
-    async toggleMod(modName, versionId, enable) {
-        const modsDir = path.join(this.configManager.getGameDirectory(), 'mods', versionId);
+    /**
+     * 检查模组更新：按 SHA-1 批量查询当前版本与兼容的最新版本
+     * @returns {Promise<Object>} { instanceId, checked, updates }，updates 为当前版本 -> 可用版本的列表
+     */
+    async checkUpdates(instanceId) {
+        const instance = this.instanceManager.requireInstance(instanceId);
+        const filters = this.getModrinthFilters(instance);
+        const mods = (await this.scanMods(instanceId)).filter(mod => mod.sha1);
+        const hashes = mods.map(mod => mod.sha1);
+
+        const [current, latest] = await Promise.all([
+            this.modrinthClient.getVersionsByHashes(hashes),
+            this.modrinthClient.getLatestVersionsByHashes(hashes, filters)
+        ]);
+
+        const updates = [];
+        for (const mod of mods) {
+            const currentVersion = current[mod.sha1];
+            const latestVersion = latest[mod.sha1];
+            if (!currentVersion || !latestVersion || latestVersion.id === currentVersion.id) continue;
+
+            const file = this.modrinthClient.getPrimaryFile(latestVersion);
+            if (!file || file.hashes.sha1 === mod.sha1) continue;
+
+            updates.push({
+                fileName: mod.fileName,
+                name: mod.name,
+                enabled: mod.enabled,
+                projectId: latestVersion.project_id,
+                currentVersion: currentVersion.version_number,
+                currentVersionId: currentVersion.id,
+                newVersion: latestVersion.version_number,
+                newVersionId: latestVersion.id,
+                versionType: latestVersion.version_type,
+                changelog: latestVersion.changelog || '',
+                datePublished: latestVersion.date_published,
+                file: { fileName: file.filename, url: file.url, sha1: file.hashes.sha1, size: file.size }
+            });
+        }
+
+        return { instanceId, checked: mods.length, updates };
+    }
+
+    /**
+     * 更新选中的模组
+     * 新文件全部下载并校验通过后才替换，旧文件移入回滚目录；替换中途失败时恢复原状
+     * @param {string} instanceId - 实例 ID
+     * @param {Array<string>} fileNames - 要更新的模组文件名（省略时更新全部）
+     * @returns {Promise<Object>} { updated, rollbackId }
+     */
+    async updateMods(instanceId, fileNames = null) {
+        const { updates } = await this.checkUpdates(instanceId);
+        const selected = fileNames ? updates.filter(update => fileNames.includes(update.fileName)) : updates;
+        if (selected.length === 0) {
+            return { updated: [], rollbackId: null };
+        }
+
+        const modsDir = this.getModsDirectory(instanceId);
+        const rollbackId = new Date().toISOString().replace(/[:.]/g, '-');
+        const rollbackDir = path.join(path.dirname(modsDir), ROLLBACK_DIR, rollbackId);
+        const stagingDir = path.join(rollbackDir, '.staging');
+
+        // 下载到临时目录
+        const tasks = selected.map(update => ({
+            url: update.file.url,
+            path: path.join(stagingDir, path.basename(update.file.fileName)),
+            sha1: update.file.sha1,
+            size: update.file.size
+        }));
+        try {
+            await this.downloadManager.downloadFiles(tasks, { name: '模组更新' });
+        } catch (error) {
+            await fs.rm(rollbackDir, { recursive: true, force: true });
+            throw error;
+        }
+
+        // 替换文件：保留禁用状态
+        const entries = selected.map((update, index) => ({
+            oldFile: update.fileName,
+            newFile: path.basename(update.file.fileName) + (update.enabled ? '' : '.disabled'),
+            stagedPath: tasks[index].path,
+            fromVersion: update.currentVersion,
+            toVersion: update.newVersion
+        }));
+        const done = [];
+        try {
+            for (const entry of entries) {
+                await fs.rename(path.join(modsDir, entry.oldFile), path.join(rollbackDir, entry.oldFile));
+                await fs.rename(entry.stagedPath, path.join(modsDir, entry.newFile));
+                done.push(entry);
+            }
+        } catch (error) {
+            await this.restoreEntries(modsDir, rollbackDir, [...done, ...entries.slice(done.length, done.length + 1)]);
+            await fs.rm(rollbackDir, { recursive: true, force: true });
+            throw new Error(`更新模组失败，已恢复原文件: ${error.message}`);
+        }
+
+        await fs.rm(stagingDir, { recursive: true, force: true });
+        const record = {
+            id: rollbackId,
+            instanceId,
+            createdAt: new Date().toISOString(),
+            entries: entries.map(({ stagedPath, ...entry }) => entry)
+        };
+        await fs.writeFile(path.join(rollbackDir, ROLLBACK_FILE), JSON.stringify(record, null, 2), 'utf8');
+
+        this.emit('mods-updated', { instanceId, rollbackId, count: entries.length });
+        return { updated: record.entries, rollbackId };
+    }
+
+    /**
+     * 将旧文件移回 mods 目录并删除新文件
+     */
+    async restoreEntries(modsDir, rollbackDir, entries) {
+        for (const entry of entries) {
+            const backup = path.join(rollbackDir, entry.oldFile);
+            try {
+                await fs.access(backup);
+            } catch (error) {
+                // 旧文件尚未移动
+                continue;
+            }
+
+            if (entry.newFile !== entry.oldFile) {
+                await fs.rm(path.join(modsDir, entry.newFile), { force: true });
+            }
+            await fs.rename(backup, path.join(modsDir, entry.oldFile));
+        }
+    }
+
+    /**
+     * 列出可回滚的更新（新的在前）
+     */
+    async getRollbacks(instanceId) {
+        const root = path.join(path.dirname(this.getModsDirectory(instanceId)), ROLLBACK_DIR);
+        let names;
+        try {
+            names = await fs.readdir(root);
+        } catch (error) {
+            return [];
+        }
+
+        const rollbacks = [];
+        for (const name of names) {
+            try {
+                rollbacks.push(JSON.parse(await fs.readFile(path.join(root, name, ROLLBACK_FILE), 'utf8')));
+            } catch (error) {
+                // 不完整的回滚目录
+            }
+        }
+        return rollbacks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * 回滚一次更新：恢复旧文件，删除更新后的文件
+     */
+    async rollbackUpdate(instanceId, rollbackId) {
+        const modsDir = this.getModsDirectory(instanceId);
+        const rollbackDir = path.join(path.dirname(modsDir), ROLLBACK_DIR, path.basename(rollbackId));
+
+        let record;
+        try {
+            record = JSON.parse(await fs.readFile(path.join(rollbackDir, ROLLBACK_FILE), 'utf8'));
+        } catch (error) {
+            throw new Error(`回滚记录不存在: ${rollbackId}`);
+        }
+
+        await this.restoreEntries(modsDir, rollbackDir, record.entries);
+        await fs.rm(rollbackDir, { recursive: true, force: true });
+
+        this.emit('mods-rolled-back', { instanceId, rollbackId });
+        return { restored: record.entries.map(entry => entry.oldFile) };
+    }
+
+    async toggleMod(modName, instanceId, enable) {
+        const modsDir = this.getModsDirectory(instanceId);
         const currentPath = path.join(modsDir, modName);
         const newPath = enable ? 
             currentPath.replace('.disabled', '') : 
@@ -96,32 +516,51 @@ class HCLModManager extends EventEmitter {
 
         try {
             await fs.rename(currentPath, newPath);
-            this.emit('mod-toggled', { mod: modName, version: versionId, enabled: enable });
+            this.emit('mod-toggled', { mod: modName, instanceId, enabled: enable });
             return { success: true };
         } catch (error) {
             throw new Error(`切换模组状态失败: ${error.message}`);
         }
     }
 
-    async searchMods(query, loader = 'fabric') {
-        try {
-            // 搜索CurseForge或Modrinth的模组
-            const searchUrl = `https://api.modrinth.com/v2/search?query=${encodeURIComponent(query)}&facets=[["project_type:mod"],["categories:${loader}"]]`;
-            const response = await axios.get(searchUrl);
-            
-            return response.data.hits.map(mod => ({
-                id: mod.project_id,
-                name: mod.title,
-                description: mod.description,
-                downloads: mod.downloads,
-                author: mod.author,
-                version: mod.latest_version,
-                url: `https://modrinth.com/mod/${mod.slug}`
-            }));
-        } catch (error) {
-            console.error('搜索模组失败:', error);
-            return [];
+    /**
+     * 搜索 Modrinth 项目（参数见 HCLModrinthClient.search）；
+     * 指定 instanceId 时默认按实例的加载器与游戏版本筛选
+     */
+    async searchMods(options = {}) {
+        const filters = {};
+        if (options.instanceId) {
+            const instance = this.instanceManager.requireInstance(options.instanceId);
+            if (instance.loader) {
+                Object.assign(filters, this.getModrinthFilters(instance));
+            }
         }
+        // 渲染进程传来的 undefined / null 字段不覆盖实例的筛选条件
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== undefined && value !== null) {
+                filters[key] = value;
+            }
+        }
+        return await this.modrinthClient.search(filters);
+    }
+
+    /**
+     * 项目详情：项目信息与版本列表（指定实例时只列出兼容的版本）
+     */
+    async getProjectDetails(projectId, instanceId = null) {
+        const project = await this.modrinthClient.getProject(projectId);
+        if (!project) {
+            throw new Error(`未在 Modrinth 找到项目: ${projectId}`);
+        }
+
+        let filters = {};
+        if (instanceId) {
+            const instance = this.instanceManager.requireInstance(instanceId);
+            if (instance.loader) filters = this.getModrinthFilters(instance);
+        }
+
+        const versions = await this.modrinthClient.getProjectVersions(project.id, filters) || [];
+        return { project, versions };
     }
 }
 
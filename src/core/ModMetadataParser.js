@@ -0,0 +1,416 @@
+// src/core/ModMetadataParser.js
+/**
+ * HCL 模组元数据解析器
+ * 读取 jar 中的 fabric.mod.json、quilt.mod.json、META-INF/mods.toml、
+ * META-INF/neoforge.mods.toml 与旧版 mcmod.info；结果按文件 SHA-1 缓存，
+ * 文件大小与修改时间未变时沿用上次计算的 SHA-1
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const TOML = require('@iarna/toml');
+
+// 解析逻辑变化时递增，使旧缓存失效
+const CACHE_VERSION = 1;
+
+// 超过该天数未使用的缓存条目会被清理
+const CACHE_EXPIRE_DAYS = 90;
+
+// 元数据文件及解析顺序（Quilt 可加载 Fabric 模组，同时存在时优先 Quilt）
+const METADATA_FILES = [
+    { entry: 'quilt.mod.json', loader: 'quilt', parser: 'parseQuilt' },
+    { entry: 'fabric.mod.json', loader: 'fabric', parser: 'parseFabric' },
+    { entry: 'META-INF/neoforge.mods.toml', loader: 'neoforge', parser: 'parseModsToml' },
+    { entry: 'META-INF/mods.toml', loader: 'forge', parser: 'parseModsToml' },
+    { entry: 'mcmod.info', loader: 'forge', parser: 'parseMcmodInfo' }
+];
+
+// 视为加载器本身的依赖 ID
+const LOADER_IDS = ['fabricloader', 'quilt_loader', 'forge', 'neoforge'];
+
+class HCLModMetadataParser {
+    /**
+     * @param {Object} dataManager - 数据管理器（持久化缓存，可选）
+     */
+    constructor(dataManager = null) {
+        this.dataManager = dataManager;
+        this.cache = null;
+        this.fileIndex = null;
+        this.cacheDirty = false;
+    }
+
+    /**
+     * 解析模组文件
+     * @param {string} filePath - jar 文件路径（可为 .jar.disabled）
+     * @returns {Promise<Object>} 模组元数据
+     */
+    async parse(filePath) {
+        const cache = await this.loadCache();
+        const fileIndex = await this.loadFileIndex();
+        const stats = await fs.stat(filePath);
+        const indexKey = path.resolve(filePath);
+
+        // 文件大小与修改时间未变时沿用索引中的 SHA-1，不再读取与计算整个文件
+        const indexed = fileIndex[indexKey];
+        if (indexed && indexed.size === stats.size && indexed.mtimeMs === stats.mtimeMs) {
+            const cached = cache[indexed.sha1];
+            if (cached && cached.cacheVersion === CACHE_VERSION) {
+                cached.lastUsed = indexed.lastUsed = Date.now();
+                this.cacheDirty = true;
+                return { ...cached.metadata, sha1: indexed.sha1, fileSize: stats.size };
+            }
+        }
+
+        const data = await fs.readFile(filePath);
+        const sha1 = crypto.createHash('sha1').update(data).digest('hex');
+        fileIndex[indexKey] = { size: stats.size, mtimeMs: stats.mtimeMs, sha1, lastUsed: Date.now() };
+        this.cacheDirty = true;
+
+        const cached = cache[sha1];
+        if (cached && cached.cacheVersion === CACHE_VERSION) {
+            cached.lastUsed = Date.now();
+            return { ...cached.metadata, sha1, fileSize: data.length };
+        }
+
+        const metadata = this.parseBuffer(data, filePath);
+        cache[sha1] = { cacheVersion: CACHE_VERSION, lastUsed: Date.now(), metadata };
+
+        return { ...metadata, sha1, fileSize: data.length };
+    }
+
+    /**
+     * 从 jar 内容解析元数据，无法识别时返回仅包含文件名的信息
+     */
+    parseBuffer(data, filePath) {
+        const fallback = {
+            id: null,
+            name: path.basename(filePath).replace(/\.disabled$/, '').replace(/\.jar$/, ''),
+            version: 'unknown',
+            description: '',
+            authors: [],
+            icon: null,
+            loader: null,
+            loaders: [],
+            dependencies: [],
+            provides: [],
+            gameVersionRange: null,
+            loaderVersionRange: null
+        };
+
+        let zip;
+        try {
+            zip = new AdmZip(data);
+        } catch (error) {
+            return { ...fallback, parseError: `无法读取模组文件: ${error.message}` };
+        }
+
+        const manifest = this.readManifest(zip);
+        const results = [];
+        let parseError = null;
+
+        for (const { entry, loader, parser } of METADATA_FILES) {
+            const zipEntry = zip.getEntry(entry);
+            if (!zipEntry) continue;
+
+            try {
+                const content = zipEntry.getData().toString('utf8').replace(/^\uFEFF/, '');
+                const metadata = this[parser](content, manifest);
+                if (metadata) {
+                    results.push({ ...metadata, loader });
+                }
+            } catch (error) {
+                parseError = parseError || `${entry} 解析失败: ${error.message}`;
+            }
+        }
+
+        if (results.length === 0) {
+            return parseError ? { ...fallback, parseError } : fallback;
+        }
+
+        const primary = results[0];
+        return {
+            ...fallback,
+            ...primary,
+            name: primary.name || primary.id || fallback.name,
+            version: primary.version || fallback.version,
+            loaders: [...new Set(results.map(result => result.loader))]
+        };
+    }
+
+    /**
+     * fabric.mod.json
+     */
+    parseFabric(content) {
+        const json = this.parseLenientJson(content);
+        const dependencies = [];
+
+        const groups = { depends: 'required', recommends: 'optional', suggests: 'optional', breaks: 'incompatible', conflicts: 'incompatible' };
+        for (const [key, type] of Object.entries(groups)) {
+            for (const [id, range] of Object.entries(json[key] || {})) {
+                dependencies.push({ id, type, versionRange: this.joinRanges(range) });
+            }
+        }
+
+        const depends = json.depends || {};
+        return {
+            id: json.id,
+            name: json.name,
+            version: json.version,
+            description: json.description || '',
+            authors: (json.authors || []).map(author => typeof author === 'string' ? author : author.name).filter(Boolean),
+            icon: this.pickIcon(json.icon),
+            environment: json.environment || '*',
+            dependencies: dependencies.filter(dep => !this.isLoaderOrGame(dep.id)),
+            provides: json.provides || [],
+            gameVersionRange: depends.minecraft ? this.joinRanges(depends.minecraft) : null,
+            loaderVersionRange: depends.fabricloader ? this.joinRanges(depends.fabricloader) : null
+        };
+    }
+
+    /**
+     * quilt.mod.json
+     */
+    parseQuilt(content) {
+        const json = this.parseLenientJson(content);
+        const loader = json.quilt_loader || {};
+        const metadata = loader.metadata || {};
+
+        const dependencies = [];
+        let gameVersionRange = null;
+        let loaderVersionRange = null;
+
+        const addDependencies = (list, type) => {
+            for (const dep of list || []) {
+                const entry = typeof dep === 'string' ? { id: dep } : dep;
+                const versionRange = this.joinRanges(entry.versions);
+                if (entry.id === 'minecraft') {
+                    gameVersionRange = versionRange;
+                } else if (entry.id === 'quilt_loader') {
+                    loaderVersionRange = versionRange;
+                } else if (!this.isLoaderOrGame(entry.id)) {
+                    dependencies.push({ id: entry.id, type: entry.optional ? 'optional' : type, versionRange });
+                }
+            }
+        };
+        addDependencies(loader.depends, 'required');
+        addDependencies(loader.breaks, 'incompatible');
+
+        return {
+            id: loader.id,
+            name: metadata.name,
+            version: loader.version,
+            description: metadata.description || '',
+            authors: Object.keys(metadata.contributors || {}),
+            icon: this.pickIcon(metadata.icon),
+            environment: (json.minecraft && json.minecraft.environment) || '*',
+            dependencies,
+            provides: (loader.provides || []).map(item => typeof item === 'string' ? item : item.id),
+            gameVersionRange,
+            loaderVersionRange
+        };
+    }
+
+    /**
+     * META-INF/mods.toml 与 META-INF/neoforge.mods.toml（只取第一个模组）
+     */
+    parseModsToml(content, manifest) {
+        const toml = TOML.parse(content);
+        const mod = (toml.mods || [])[0];
+        if (!mod) return null;
+
+        const resolve = (value) => this.resolvePlaceholders(value, manifest);
+        const dependencies = [];
+        let gameVersionRange = null;
+        let loaderVersionRange = toml.loaderVersion || null;
+
+        for (const dep of (toml.dependencies || {})[mod.modId] || []) {
+            const id = dep.modId;
+            if (id === 'minecraft') {
+                gameVersionRange = dep.versionRange || null;
+            } else if (id === 'forge' || id === 'neoforge') {
+                loaderVersionRange = dep.versionRange || loaderVersionRange;
+            } else if (id) {
+                dependencies.push({
+                    id,
+                    type: this.getTomlDependencyType(dep),
+                    versionRange: dep.versionRange || null,
+                    side: dep.side || 'BOTH'
+                });
+            }
+        }
+
+        return {
+            id: mod.modId,
+            name: resolve(mod.displayName),
+            version: resolve(mod.version),
+            description: (resolve(mod.description) || '').trim(),
+            authors: this.splitAuthors(mod.authors || toml.authors),
+            icon: mod.logoFile || toml.logoFile || null,
+            dependencies,
+            provides: [],
+            gameVersionRange,
+            loaderVersionRange
+        };
+    }
+
+    /**
+     * Forge 使用 mandatory，NeoForge 使用 type（required、optional、incompatible、discouraged）
+     */
+    getTomlDependencyType(dep) {
+        if (dep.type) {
+            const type = String(dep.type).toLowerCase();
+            return type === 'discouraged' ? 'incompatible' : type;
+        }
+        return dep.mandatory === false ? 'optional' : 'required';
+    }
+
+    /**
+     * 旧版 mcmod.info（数组或 modListVersion 2 格式）
+     */
+    parseMcmodInfo(content) {
+        const json = this.parseLenientJson(content);
+        const mod = (Array.isArray(json) ? json : json.modList || [])[0];
+        if (!mod) return null;
+
+        const required = mod.requiredMods || [];
+        const dependencies = [...new Set([...required, ...(mod.dependencies || [])])]
+            .filter(id => !this.isLoaderOrGame(id))
+            .map(id => ({ id, type: required.includes(id) ? 'required' : 'optional', versionRange: null }));
+
+        return {
+            id: mod.modid,
+            name: mod.name,
+            version: mod.version,
+            description: mod.description || '',
+            authors: mod.authorList || mod.authors || [],
+            icon: mod.logoFile || null,
+            dependencies,
+            provides: [],
+            gameVersionRange: mod.mcversion || null,
+            loaderVersionRange: null
+        };
+    }
+
+    /**
+     * 读取 META-INF/MANIFEST.MF
+     */
+    readManifest(zip) {
+        const entry = zip.getEntry('META-INF/MANIFEST.MF');
+        if (!entry) return {};
+
+        const manifest = {};
+        // 续行以单个空格开头
+        const content = entry.getData().toString('utf8').replace(/\r?\n /g, '');
+        for (const line of content.split(/\r?\n/)) {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                manifest[line.substring(0, index).trim()] = line.substring(index + 1).trim();
+            }
+        }
+        return manifest;
+    }
+
+    /**
+     * 替换 ${file.jarVersion} 等占位符
+     */
+    resolvePlaceholders(value, manifest) {
+        if (typeof value !== 'string') return value;
+        return value.replace(/\$\{file\.jarVersion\}/g, manifest['Implementation-Version'] || 'unknown');
+    }
+
+    /**
+     * 部分模组的 JSON 字符串中含有未转义的换行
+     */
+    parseLenientJson(content) {
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            return JSON.parse(content.replace(/[\r\n\t]+/g, ' '));
+        }
+    }
+
+    /**
+     * icon 可以是路径，也可以是 尺寸 -> 路径 的映射（取最大尺寸）
+     */
+    pickIcon(icon) {
+        if (!icon) return null;
+        if (typeof icon === 'string') return icon;
+
+        const sizes = Object.keys(icon).sort((a, b) => parseInt(b) - parseInt(a));
+        return sizes.length > 0 ? icon[sizes[0]] : null;
+    }
+
+    joinRanges(range) {
+        if (range === undefined || range === null) return null;
+        return Array.isArray(range) ? range.join(' || ') : String(range);
+    }
+
+    splitAuthors(authors) {
+        if (!authors) return [];
+        if (Array.isArray(authors)) return authors;
+        return String(authors).split(/\s*,\s*/).filter(Boolean);
+    }
+
+    isLoaderOrGame(id) {
+        return id === 'minecraft' || id === 'java' || LOADER_IDS.includes(id);
+    }
+
+    /**
+     * 读取模组图标
+     * @returns {Promise<string|null>} data URL
+     */
+    async readIcon(filePath, iconPath) {
+        if (!iconPath) return null;
+
+        try {
+            const zip = new AdmZip(await fs.readFile(filePath));
+            const entry = zip.getEntry(iconPath.replace(/^\/+/, ''));
+            if (!entry) return null;
+            return `data:image/png;base64,${entry.getData().toString('base64')}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async loadCache() {
+        if (!this.cache) {
+            this.cache = this.dataManager ? await this.dataManager.getModMetadataCache() : {};
+        }
+        return this.cache;
+    }
+
+    async loadFileIndex() {
+        if (!this.fileIndex) {
+            this.fileIndex = this.dataManager ? await this.dataManager.getModFileIndex() : {};
+        }
+        return this.fileIndex;
+    }
+
+    /**
+     * 保存缓存（扫描结束后调用），同时清理长期未使用的条目
+     */
+    async saveCache() {
+        if (!this.cacheDirty || !this.dataManager) return;
+
+        const expire = Date.now() - CACHE_EXPIRE_DAYS * 24 * 60 * 60 * 1000;
+        for (const [sha1, entry] of Object.entries(this.cache)) {
+            if (!entry.lastUsed || entry.lastUsed < expire) {
+                delete this.cache[sha1];
+            }
+        }
+        for (const [filePath, entry] of Object.entries(this.fileIndex || {})) {
+            if (!entry.lastUsed || entry.lastUsed < expire || !this.cache[entry.sha1]) {
+                delete this.fileIndex[filePath];
+            }
+        }
+
+        await this.dataManager.saveModMetadataCache(this.cache);
+        if (this.fileIndex) {
+            await this.dataManager.saveModFileIndex(this.fileIndex);
+        }
+        this.cacheDirty = false;
+    }
+}
+
+module.exports = HCLModMetadataParser;
@@ -0,0 +1,282 @@
+// src/core/ModpackExporter.js
+/**
+ * HCL 整合包导出器
+ * 将实例导出为 Modrinth 整合包（.mrpack）：能在 Modrinth 上按哈希找到的文件写入
+ * modrinth.index.json 作为引用，其余文件与选择的目录一起打包到 overrides
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const AdmZip = require('adm-zip');
+const HCLModrinthClient = require('./ModrinthClient');
+
+// 实例加载器类型 -> modrinth.index.json 依赖名
+const LOADER_DEPENDENCIES = {
+    fabric: 'fabric-loader',
+    quilt: 'quilt-loader',
+    forge: 'forge',
+    neoforge: 'neoforge'
+};
+
+// 尝试在 Modrinth 上查找的目录及文件类型
+const LOOKUP_DIRS = {
+    mods: ['.jar'],
+    resourcepacks: ['.zip'],
+    shaderpacks: ['.zip']
+};
+
+// 服务端不使用的目录
+const CLIENT_ONLY_DIRS = ['resourcepacks', 'shaderpacks'];
+
+// Modrinth 项目的 client_side / server_side -> modrinth.index.json 中的 env
+const SIDE_ENV = {
+    required: 'required',
+    optional: 'optional',
+    unsupported: 'unsupported'
+};
+
+// 默认导出的目录
+const DEFAULT_INCLUDE = ['mods', 'config'];
+
+class HCLModpackExporter extends EventEmitter {
+    constructor(configManager, instanceManager) {
+        super();
+        this.configManager = configManager;
+        this.instanceManager = instanceManager;
+        this.modrinthClient = new HCLModrinthClient(configManager);
+    }
+
+    /**
+     * 导出实例为 .mrpack
+     * @param {string} instanceId - 实例 ID
+     * @param {string} outputPath - 输出文件路径
+     * @param {Object} options - 导出选项
+     * @param {string} options.name - 整合包名称（默认实例名称）
+     * @param {string} options.version - 整合包版本
+     * @param {string} options.summary - 简介
+     * @param {Array<string>} options.include - 导出的目录（相对实例目录，mods 始终导出）
+     * @param {Array<string>} options.exclude - 排除规则（支持 * ** ?，不含 / 时匹配文件名）
+     * @returns {Promise<Object>} 导出摘要 { outputPath, referenced, embedded, excluded, lookupFailed }
+     */
+    async exportModpack(instanceId, outputPath, options = {}) {
+        const instance = this.instanceManager.requireInstance(instanceId);
+        const instanceDir = this.instanceManager.getInstanceDirectory(instanceId);
+        const include = [...new Set(['mods', ...(options.include || DEFAULT_INCLUDE)])];
+        const excludeMatchers = (options.exclude || []).map(pattern => this.createMatcher(pattern));
+
+        // 收集文件
+        this.emit('export-step', { step: 'scan', instanceId });
+        const files = [];
+        let excluded = 0;
+        for (const dir of include) {
+            const root = this.resolveInstancePath(instanceDir, dir);
+            for (const relativePath of await this.listFiles(root, dir)) {
+                if (this.isExcluded(relativePath, excludeMatchers)) {
+                    excluded++;
+                } else {
+                    files.push(relativePath);
+                }
+            }
+        }
+
+        // 按哈希查找 Modrinth 上的文件
+        this.emit('export-step', { step: 'lookup', instanceId });
+        const candidates = files.filter(file => this.isLookupCandidate(file));
+        const hashes = new Map();
+        for (const file of candidates) {
+            hashes.set(file, await this.hashFile(path.join(instanceDir, file)));
+        }
+
+        let versions = {};
+        let lookupFailed = false;
+        try {
+            versions = await this.modrinthClient.getVersionsByHashes([...hashes.values()].map(hash => hash.sha1));
+        } catch (error) {
+            console.warn('Modrinth 哈希查询失败，所有文件将打包到 overrides:', error.message);
+            lookupFailed = true;
+        }
+
+        // 按项目的客户端/服务端支持情况填写 env
+        const projectIds = [...new Set(Object.values(versions).map(version => version.project_id))];
+        let projects = new Map();
+        try {
+            projects = new Map((await this.modrinthClient.getProjects(projectIds)).map(project => [project.id, project]));
+        } catch (error) {
+            console.warn('获取 Modrinth 项目信息失败，按目录推断运行环境:', error.message);
+        }
+
+        const referenced = [];
+        const indexFiles = [];
+        for (const [file, hash] of hashes) {
+            const version = versions[hash.sha1];
+            const remote = version && (version.files || []).find(item => item.hashes && item.hashes.sha1 === hash.sha1);
+            if (!remote) continue;
+
+            indexFiles.push({
+                path: file,
+                hashes: { sha1: hash.sha1, sha512: hash.sha512 },
+                env: this.getFileEnv(file, projects.get(version.project_id)),
+                downloads: [remote.url],
+                fileSize: hash.size
+            });
+            referenced.push({ path: file, projectId: version.project_id, versionId: version.id });
+        }
+
+        const referencedPaths = new Set(indexFiles.map(file => file.path));
+        const embedded = files.filter(file => !referencedPaths.has(file));
+
+        // 写入整合包
+        this.emit('export-step', { step: 'write', instanceId });
+        const index = {
+            formatVersion: 1,
+            game: 'minecraft',
+            versionId: options.version || '1.0.0',
+            name: options.name || instance.name,
+            summary: options.summary || undefined,
+            files: indexFiles,
+            dependencies: this.getDependencies(instance)
+        };
+
+        const zip = new AdmZip();
+        zip.addFile('modrinth.index.json', Buffer.from(JSON.stringify(index, null, 2), 'utf8'));
+        for (const file of embedded) {
+            zip.addFile(`overrides/${file}`, await fs.readFile(path.join(instanceDir, file)));
+        }
+
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await new Promise((resolve, reject) => {
+            zip.writeZip(outputPath, (error) => error ? reject(error) : resolve());
+        });
+
+        const summary = { outputPath, referenced, embedded, excluded, lookupFailed };
+        this.emit('export-complete', { instanceId, outputPath, referenced: referenced.length, embedded: embedded.length });
+        return summary;
+    }
+
+    /**
+     * 生成 dependencies：游戏版本与加载器版本
+     */
+    getDependencies(instance) {
+        const loader = instance.loader;
+        if (!loader) {
+            return { minecraft: instance.version };
+        }
+
+        const dependencies = { minecraft: loader.gameVersion };
+        const key = LOADER_DEPENDENCIES[loader.type];
+        if (key) {
+            // Forge 的 Maven 版本带游戏版本前缀（1.20.1-47.2.0），整合包中只写加载器版本
+            const prefix = `${loader.gameVersion}-`;
+            dependencies[key] = loader.version.startsWith(prefix) ? loader.version.substring(prefix.length) : loader.version;
+        }
+        return dependencies;
+    }
+
+    /**
+     * 文件的运行环境：资源包与光影包只在客户端使用，其余按项目信息（未知时视为必需）
+     */
+    getFileEnv(file, project) {
+        const env = {
+            client: (project && SIDE_ENV[project.client_side]) || 'required',
+            server: (project && SIDE_ENV[project.server_side]) || 'required'
+        };
+        if (CLIENT_ONLY_DIRS.includes(file.split('/')[0])) {
+            env.server = 'unsupported';
+        }
+        return env;
+    }
+
+    isLookupCandidate(file) {
+        const [dir, ...rest] = file.split('/');
+        const extensions = LOOKUP_DIRS[dir];
+        // 只查找目录第一层的文件（模组、资源包、光影包）
+        return !!extensions && rest.length === 1 && extensions.includes(path.extname(file).toLowerCase());
+    }
+
+    async hashFile(filePath) {
+        const data = await fs.readFile(filePath);
+        return {
+            sha1: crypto.createHash('sha1').update(data).digest('hex'),
+            sha512: crypto.createHash('sha512').update(data).digest('hex'),
+            size: data.length
+        };
+    }
+
+    /**
+     * 递归列出目录中的文件（返回以 / 分隔的相对路径）
+     */
+    async listFiles(dir, relativeDir) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            const relativePath = `${relativeDir}/${entry.name}`;
+            if (entry.isDirectory()) {
+                files.push(...await this.listFiles(path.join(dir, entry.name), relativePath));
+            } else if (entry.isFile()) {
+                files.push(relativePath);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * 将排除规则转换为正则：** 匹配任意层级，* 与 ? 不跨越 /
+     */
+    createMatcher(pattern) {
+        const normalized = pattern.replace(/\\/g, '/').replace(/^\/+/, '');
+        let source = '';
+
+        for (let i = 0; i < normalized.length; i++) {
+            const char = normalized[i];
+            if (char === '*' && normalized[i + 1] === '*') {
+                i++;
+                // **/ 匹配零个或多个完整的目录
+                if (normalized[i + 1] === '/') {
+                    source += '(?:.*/)?';
+                    i++;
+                } else {
+                    source += '.*';
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return {
+            regex: new RegExp(`^${source}(/.*)?$`, 'i'),
+            basename: !normalized.includes('/')
+        };
+    }
+
+    isExcluded(relativePath, matchers) {
+        const basename = relativePath.substring(relativePath.lastIndexOf('/') + 1);
+        return matchers.some(matcher =>
+            matcher.regex.test(relativePath) || (matcher.basename && matcher.regex.test(basename))
+        );
+    }
+
+    /**
+     * 解析实例内的相对路径并防止路径穿越
+     */
+    resolveInstancePath(instanceDir, relativePath) {
+        const root = path.resolve(instanceDir);
+        const target = path.resolve(root, relativePath);
+        if (!relativePath || !target.startsWith(root + path.sep)) {
+            throw new Error(`非法的目录: ${relativePath}`);
+        }
+        return target;
+    }
+}
+
+module.exports = HCLModpackExporter;
@@ -0,0 +1,431 @@
+// src/core/ModpackImporter.js
+/**
+ * HCL 整合包导入器
+ * 支持 Modrinth (.mrpack, modrinth.index.json) 与 CurseForge (manifest.json) 格式：
+ * 安装对应的游戏版本与加载器，创建实例，下载整合包文件并应用 overrides
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const AdmZip = require('adm-zip');
+const axios = require('axios');
+
+const DEFAULT_CURSEFORGE_API = 'https://api.curseforge.com';
+
+// Modrinth 依赖名 -> 加载器类型
+const MRPACK_LOADERS = {
+    'fabric-loader': 'fabric',
+    'quilt-loader': 'quilt',
+    'forge': 'forge',
+    'neoforge': 'neoforge'
+};
+
+// CurseForge 项目分类 -> 实例中的目录
+const CURSEFORGE_CLASS_DIRS = {
+    6: 'mods',
+    12: 'resourcepacks',
+    6552: 'shaderpacks'
+};
+
+class HCLModpackImporter extends EventEmitter {
+    constructor(configManager, downloadManager, versionManager, instanceManager) {
+        super();
+        this.configManager = configManager;
+        this.downloadManager = downloadManager;
+        this.versionManager = versionManager;
+        this.instanceManager = instanceManager;
+    }
+
+    /**
+     * 打开整合包并解析清单
+     * @param {string} packPath - 整合包路径
+     * @returns {Object} { zip, format, name, version, gameVersion, loader, files, overrides }
+     */
+    readModpack(packPath) {
+        let zip;
+        try {
+            zip = new AdmZip(packPath);
+        } catch (error) {
+            throw new Error(`无法读取整合包: ${error.message}`);
+        }
+
+        if (zip.getEntry('modrinth.index.json')) {
+            return { zip, ...this.parseMrpack(this.readZipJson(zip, 'modrinth.index.json')) };
+        }
+
+        const manifest = zip.getEntry('manifest.json') ? this.readZipJson(zip, 'manifest.json') : null;
+        if (manifest && manifest.manifestType === 'minecraftModpack') {
+            return { zip, ...this.parseCurseForge(manifest) };
+        }
+
+        throw new Error('不支持的整合包格式');
+    }
+
+    readZipJson(zip, entryName) {
+        try {
+            return JSON.parse(zip.readAsText(entryName));
+        } catch (error) {
+            throw new Error(`整合包中的 ${entryName} 无效: ${error.message}`);
+        }
+    }
+
+    /**
+     * 解析 modrinth.index.json
+     */
+    parseMrpack(index) {
+        const dependencies = index.dependencies || {};
+        if (!dependencies.minecraft) {
+            throw new Error('整合包未指定游戏版本');
+        }
+
+        const loaderKey = Object.keys(MRPACK_LOADERS).find(key => dependencies[key]);
+
+        return {
+            format: 'mrpack',
+            name: index.name || 'Modrinth 整合包',
+            version: index.versionId || '',
+            gameVersion: dependencies.minecraft,
+            loader: loaderKey ? { type: MRPACK_LOADERS[loaderKey], version: dependencies[loaderKey] } : null,
+            files: (index.files || []).map(file => ({
+                path: file.path,
+                urls: file.downloads || [],
+                sha1: file.hashes && file.hashes.sha1,
+                size: file.fileSize,
+                // 仅服务端使用的文件不下载
+                skip: !!(file.env && file.env.client === 'unsupported')
+            })),
+            // client-overrides 在 overrides 之后应用，覆盖同名文件
+            overrides: ['overrides', 'client-overrides']
+        };
+    }
+
+    /**
+     * 解析 CurseForge manifest.json
+     */
+    parseCurseForge(manifest) {
+        const minecraft = manifest.minecraft || {};
+        if (!minecraft.version) {
+            throw new Error('整合包未指定游戏版本');
+        }
+
+        const modLoaders = minecraft.modLoaders || [];
+        const primary = modLoaders.find(loader => loader.primary) || modLoaders[0];
+        let loader = null;
+        if (primary) {
+            // forge-47.2.0、neoforge-20.4.80、fabric-0.15.0
+            const separator = primary.id.indexOf('-');
+            loader = { type: primary.id.substring(0, separator), version: primary.id.substring(separator + 1) };
+        }
+
+        return {
+            format: 'curseforge',
+            name: manifest.name || 'CurseForge 整合包',
+            version: manifest.version || '',
+            gameVersion: minecraft.version,
+            loader,
+            files: (manifest.files || []).map(file => ({
+                projectId: file.projectID,
+                fileId: file.fileID,
+                skip: file.required === false
+            })),
+            overrides: [manifest.overrides || 'overrides']
+        };
+    }
+
+    /**
+     * 导入整合包
+     * @param {string} packPath - 整合包路径
+     * @param {Object} options - { name: 实例名称 }
+     * @returns {Promise<Object>} { instance, downloaded, failed }，failed 为无法获取的文件
+     */
+    async importModpack(packPath, options = {}) {
+        const pack = this.readModpack(packPath);
+        const name = options.name || pack.name;
+
+        this.emitStep('version', name);
+        const { versionId, loader } = await this.installGameVersion(pack.gameVersion, pack.loader);
+
+        this.emitStep('instance', name);
+        const instance = await this.instanceManager.createInstance({ name, version: versionId, loader });
+        const instanceDir = this.instanceManager.getInstanceDirectory(instance.id);
+
+        let files;
+        let downloadFailures;
+        try {
+            this.emitStep('files', name);
+            files = pack.format === 'mrpack' ?
+                this.getMrpackTasks(pack.files, instanceDir) :
+                await this.getCurseForgeTasks(pack.files, instanceDir);
+
+            downloadFailures = await this.downloadWithFallback(files.tasks, name);
+
+            this.emitStep('overrides', name);
+            for (const prefix of pack.overrides) {
+                await this.extractOverrides(pack.zip, prefix, instanceDir);
+            }
+        } catch (error) {
+            // 导入失败时删除未完成的实例，避免留下不完整的实例
+            await this.instanceManager.deleteInstance(instance.id).catch(cleanupError => {
+                console.warn('删除未完成的实例失败:', cleanupError.message);
+            });
+            throw error;
+        }
+        const failed = [...files.failed, ...downloadFailures];
+
+        const result = {
+            instance,
+            downloaded: files.tasks.length - downloadFailures.length,
+            failed
+        };
+        this.emit('import-complete', { instanceId: instance.id, name, failed: failed.length });
+        return result;
+    }
+
+    emitStep(step, name) {
+        this.emit('import-step', { step, name });
+    }
+
+    /**
+     * 安装游戏版本与加载器，已安装时直接使用
+     * @returns {Promise<Object>} { versionId: 实例使用的版本 ID, loader: 加载器信息 }
+     */
+    async installGameVersion(gameVersion, loader) {
+        const installed = this.versionManager.installedVersions;
+
+        if (!loader) {
+            if (!installed.has(gameVersion)) {
+                this.ensureInstalled(await this.versionManager.installVersion(gameVersion));
+            }
+            return { versionId: gameVersion, loader: null };
+        }
+
+        const loaderVersion = await this.resolveLoaderVersion(loader.type, gameVersion, loader.version);
+        const versionId = this.versionManager.getLoaderVersionId(loader.type, gameVersion, loaderVersion);
+        if (!installed.has(versionId)) {
+            this.ensureInstalled(await this.versionManager.installLoader(loader.type, gameVersion, loaderVersion));
+        }
+        return { versionId, loader: { type: loader.type, version: loaderVersion, gameVersion } };
+    }
+
+    ensureInstalled(result) {
+        if (!result || !result.success) {
+            throw new Error(`游戏版本安装未完成 (${result ? result.state : 'unknown'})`);
+        }
+    }
+
+    /**
+     * Forge / NeoForge 的 Maven 版本可能带游戏版本前缀（1.20.1-47.2.0）
+     */
+    async resolveLoaderVersion(type, gameVersion, version) {
+        if (type !== 'forge' && type !== 'neoforge') {
+            return version;
+        }
+
+        const candidates = [version, `${gameVersion}-${version}`, `${gameVersion}-${version}-${gameVersion}`];
+        const versions = await this.versionManager.getLoaderVersions(type, gameVersion);
+        const match = versions.find(item => candidates.includes(item.version));
+        if (!match) {
+            throw new Error(`找不到 ${type} ${version}（游戏版本 ${gameVersion}）`);
+        }
+        return match.version;
+    }
+
+    /**
+     * 生成 Modrinth 文件的下载任务
+     */
+    getMrpackTasks(files, instanceDir) {
+        const tasks = [];
+        const failed = [];
+
+        for (const file of files) {
+            if (file.skip) continue;
+
+            let target;
+            try {
+                target = this.resolveInstancePath(instanceDir, file.path);
+            } catch (error) {
+                failed.push({ path: file.path, error: error.message });
+                continue;
+            }
+
+            if (file.urls.length === 0) {
+                failed.push({ path: file.path, error: '没有可用的下载地址' });
+                continue;
+            }
+
+            tasks.push({ url: file.urls[0], urls: file.urls, path: target, file: file.path, sha1: file.sha1, size: file.size });
+        }
+
+        return { tasks, failed };
+    }
+
+    /**
+     * 通过 CurseForge API 获取文件信息并生成下载任务
+     * 作者禁止第三方分发的文件没有下载地址，会被列为失败
+     */
+    async getCurseForgeTasks(files, instanceDir) {
+        const wanted = files.filter(file => !file.skip);
+        const failed = [];
+        const tasks = [];
+
+        if (wanted.length === 0) {
+            return { tasks, failed };
+        }
+
+        let fileInfos;
+        try {
+            fileInfos = await this.curseForgeRequest('/v1/mods/files', { fileIds: wanted.map(file => file.fileId) });
+        } catch (error) {
+            return {
+                tasks,
+                failed: wanted.map(file => ({
+                    path: `project ${file.projectId} / file ${file.fileId}`,
+                    projectId: file.projectId,
+                    fileId: file.fileId,
+                    error: error.message
+                }))
+            };
+        }
+
+        let projectClasses = {};
+        try {
+            projectClasses = await this.getCurseForgeClasses(wanted.map(file => file.projectId));
+        } catch (error) {
+            console.warn('获取 CurseForge 项目分类失败，文件将放入 mods:', error.message);
+        }
+
+        const infoById = new Map(fileInfos.map(info => [info.id, info]));
+
+        for (const file of wanted) {
+            const info = infoById.get(file.fileId);
+            const description = info ? info.fileName : `project ${file.projectId} / file ${file.fileId}`;
+
+            if (!info || !info.downloadUrl) {
+                failed.push({
+                    path: description,
+                    projectId: file.projectId,
+                    fileId: file.fileId,
+                    error: info ? '作者禁止第三方下载，请手动下载' : '文件不存在'
+                });
+                continue;
+            }
+
+            const folder = CURSEFORGE_CLASS_DIRS[projectClasses[file.projectId]] || 'mods';
+            const relativePath = `${folder}/${info.fileName}`;
+            const sha1 = (info.hashes || []).find(hash => hash.algo === 1);
+
+            tasks.push({
+                url: info.downloadUrl,
+                urls: [info.downloadUrl],
+                path: this.resolveInstancePath(instanceDir, relativePath),
+                file: relativePath,
+                sha1: sha1 ? sha1.value : undefined,
+                size: info.fileLength
+            });
+        }
+
+        return { tasks, failed };
+    }
+
+    /**
+     * 获取项目分类（模组、资源包、光影）
+     */
+    async getCurseForgeClasses(projectIds) {
+        const projects = await this.curseForgeRequest('/v1/mods', { modIds: [...new Set(projectIds)] });
+        return Object.fromEntries(projects.map(project => [project.id, project.classId]));
+    }
+
+    async curseForgeRequest(endpoint, body) {
+        const config = this.configManager.getConfig();
+        const apiBase = (config.curseforgeApiBase || DEFAULT_CURSEFORGE_API).replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+        if (config.curseforgeApiKey) {
+            headers['x-api-key'] = config.curseforgeApiKey;
+        }
+
+        try {
+            const response = await axios.post(`${apiBase}${endpoint}`, body, {
+                headers,
+                timeout: config.downloadTimeout || 30000
+            });
+            return response.data.data || [];
+        } catch (error) {
+            if (error.response && error.response.status === 403 && !config.curseforgeApiKey) {
+                throw new Error('CurseForge API 需要 API Key，请在设置中填写');
+            }
+            throw new Error(`CurseForge API 请求失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 下载文件，失败时依次尝试其他下载地址
+     * @returns {Promise<Array>} 所有地址都失败的文件
+     */
+    async downloadWithFallback(tasks, name) {
+        let pending = tasks;
+        let urlIndex = 0;
+        const failed = [];
+
+        while (pending.length > 0) {
+            let failures = [];
+            try {
+                await this.downloadManager.downloadFiles(
+                    pending.map(task => ({ url: task.urls[urlIndex], path: task.path, sha1: task.sha1, size: task.size })),
+                    { name: `整合包文件 (${name})` }
+                );
+            } catch (error) {
+                if (!error.failures) throw error;
+                failures = error.failures;
+            }
+
+            const failedPaths = new Map(failures.map(failure => [failure.path, failure.error]));
+            urlIndex++;
+
+            const retry = [];
+            for (const task of pending) {
+                if (!failedPaths.has(task.path)) continue;
+
+                if (urlIndex < task.urls.length) {
+                    retry.push(task);
+                } else {
+                    failed.push({ path: task.file, urls: task.urls, error: failedPaths.get(task.path) });
+                }
+            }
+            pending = retry;
+        }
+
+        return failed;
+    }
+
+    /**
+     * 将 overrides 目录中的文件解压到实例目录
+     */
+    async extractOverrides(zip, prefix, instanceDir) {
+        const entryPrefix = `${prefix.replace(/\/+$/, '')}/`;
+
+        for (const entry of zip.getEntries()) {
+            if (entry.isDirectory || !entry.entryName.startsWith(entryPrefix)) {
+                continue;
+            }
+
+            const relativePath = entry.entryName.substring(entryPrefix.length);
+            const target = this.resolveInstancePath(instanceDir, relativePath);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, entry.getData());
+        }
+    }
+
+    /**
+     * 解析实例内的相对路径并防止路径穿越
+     */
+    resolveInstancePath(instanceDir, relativePath) {
+        const root = path.resolve(instanceDir);
+        const target = path.resolve(root, relativePath);
+        if (!relativePath || !target.startsWith(root + path.sep)) {
+            throw new Error(`非法的文件路径: ${relativePath}`);
+        }
+        return target;
+    }
+}
+
+module.exports = HCLModpackImporter;
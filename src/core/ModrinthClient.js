@@ -0,0 +1,202 @@
+// src/core/ModrinthClient.js
+/**
+ * HCL Modrinth API 客户端
+ * 项目搜索（分页与筛选）、项目详情、版本查询与按哈希查找文件；
+ * API 地址可在设置中修改（modrinthApiBase），便于使用镜像或测试服务器
+ */
+const axios = require('axios');
+
+// 未配置时使用的 API 地址
+const DEFAULT_API_BASE = 'https://api.modrinth.com';
+
+// 每页最大条数（Modrinth 限制）
+const MAX_PAGE_SIZE = 100;
+
+class HCLModrinthClient {
+    constructor(configManager) {
+        this.configManager = configManager;
+    }
+
+    getApiBase() {
+        const config = this.configManager.getConfig();
+        return (config.modrinthApiBase || DEFAULT_API_BASE).replace(/\/+$/, '');
+    }
+
+    /**
+     * 发送请求，404 时返回 null
+     */
+    async request(method, endpoint, options = {}) {
+        const config = this.configManager.getConfig();
+
+        try {
+            const response = await axios({
+                method,
+                url: `${this.getApiBase()}/v2${endpoint}`,
+                params: options.params,
+                data: options.data,
+                headers: { 'User-Agent': 'HCL-Launcher' },
+                timeout: config.downloadTimeout || 30000
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            const status = error.response ? ` (${error.response.status})` : '';
+            throw new Error(`Modrinth 请求失败${status}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 搜索项目
+     * @param {Object} options - 搜索选项
+     * @param {string} options.query - 关键词
+     * @param {string} options.projectType - 项目类型（mod、resourcepack、shader、datapack、modpack）
+     * @param {Array<string>} options.categories - 分类（同时满足）
+     * @param {Array<string>} options.loaders - 加载器（满足其一）
+     * @param {Array<string>} options.gameVersions - 游戏版本（满足其一）
+     * @param {string} options.side - 'client' 或 'server'：只显示该端可用的项目
+     * @param {string} options.sort - 排序（relevance、downloads、follows、newest、updated）
+     * @param {number} options.page - 页码（从 0 开始）
+     * @param {number} options.pageSize - 每页条数
+     * @returns {Promise<Object>} { hits, page, pageSize, total, totalPages }
+     */
+    async search(options = {}) {
+        const pageSize = Math.min(options.pageSize || 20, MAX_PAGE_SIZE);
+        const page = Math.max(options.page || 0, 0);
+
+        const facets = [[`project_type:${options.projectType || 'mod'}`]];
+        for (const category of options.categories || []) {
+            facets.push([`categories:${category}`]);
+        }
+        if (options.loaders && options.loaders.length > 0) {
+            facets.push(options.loaders.map(loader => `categories:${loader}`));
+        }
+        if (options.gameVersions && options.gameVersions.length > 0) {
+            facets.push(options.gameVersions.map(version => `versions:${version}`));
+        }
+        if (options.side === 'client' || options.side === 'server') {
+            facets.push([`${options.side}_side:required`, `${options.side}_side:optional`]);
+        }
+
+        const result = await this.request('get', '/search', {
+            params: {
+                query: options.query || '',
+                facets: JSON.stringify(facets),
+                index: options.sort || 'relevance',
+                offset: page * pageSize,
+                limit: pageSize
+            }
+        });
+
+        const total = (result && result.total_hits) || 0;
+        return {
+            hits: ((result && result.hits) || []).map(hit => this.toProjectSummary(hit)),
+            page,
+            pageSize,
+            total,
+            totalPages: Math.ceil(total / pageSize)
+        };
+    }
+
+    toProjectSummary(hit) {
+        return {
+            id: hit.project_id,
+            slug: hit.slug,
+            name: hit.title,
+            description: hit.description,
+            author: hit.author,
+            iconUrl: hit.icon_url || null,
+            downloads: hit.downloads,
+            follows: hit.follows,
+            categories: hit.display_categories || hit.categories || [],
+            gameVersions: hit.versions || [],
+            clientSide: hit.client_side,
+            serverSide: hit.server_side,
+            updated: hit.date_modified,
+            url: `https://modrinth.com/${hit.project_type || 'mod'}/${hit.slug}`
+        };
+    }
+
+    /**
+     * 获取项目详情（ID 或 slug）
+     */
+    async getProject(idOrSlug) {
+        return await this.request('get', `/project/${encodeURIComponent(idOrSlug)}`);
+    }
+
+    /**
+     * 批量获取项目
+     */
+    async getProjects(ids) {
+        if (ids.length === 0) return [];
+        return await this.request('get', '/projects', { params: { ids: JSON.stringify(ids) } }) || [];
+    }
+
+    /**
+     * 获取项目的版本列表（项目不存在时返回 null）
+     * @param {Object} filters - { loaders, gameVersions }
+     */
+    async getProjectVersions(idOrSlug, filters = {}) {
+        const params = {};
+        if (filters.loaders && filters.loaders.length > 0) {
+            params.loaders = JSON.stringify(filters.loaders);
+        }
+        if (filters.gameVersions && filters.gameVersions.length > 0) {
+            params.game_versions = JSON.stringify(filters.gameVersions);
+        }
+        return await this.request('get', `/project/${encodeURIComponent(idOrSlug)}/version`, { params });
+    }
+
+    async getVersion(versionId) {
+        return await this.request('get', `/version/${encodeURIComponent(versionId)}`);
+    }
+
+    /**
+     * 按文件哈希查找版本
+     * @returns {Promise<Object>} 哈希 -> 版本信息
+     */
+    async getVersionsByHashes(hashes, algorithm = 'sha1') {
+        if (hashes.length === 0) return {};
+        return await this.request('post', '/version_files', { data: { hashes, algorithm } }) || {};
+    }
+
+    /**
+     * 按文件哈希查找兼容的最新版本
+     * @param {Array<string>} hashes - 文件哈希
+     * @param {Object} filters - { loaders, gameVersions }
+     * @returns {Promise<Object>} 哈希 -> 最新版本信息
+     */
+    async getLatestVersionsByHashes(hashes, filters = {}, algorithm = 'sha1') {
+        if (hashes.length === 0) return {};
+        return await this.request('post', '/version_files/update', {
+            data: {
+                hashes,
+                algorithm,
+                loaders: filters.loaders || [],
+                game_versions: filters.gameVersions || []
+            }
+        }) || {};
+    }
+
+    /**
+     * 查找与游戏版本、加载器兼容的最新版本（优先正式版）
+     * @returns {Promise<Object|null>} 版本信息，项目不存在或没有兼容版本时返回 null
+     */
+    async findCompatibleVersion(idOrSlug, filters = {}) {
+        const versions = await this.getProjectVersions(idOrSlug, filters);
+        if (!versions || versions.length === 0) return null;
+
+        const sorted = [...versions].sort((a, b) => new Date(b.date_published) - new Date(a.date_published));
+        return sorted.find(version => version.version_type === 'release') || sorted[0];
+    }
+
+    /**
+     * 版本的主文件
+     */
+    getPrimaryFile(version) {
+        return version.files.find(file => file.primary) || version.files[0] || null;
+    }
+}
+
+module.exports = HCLModrinthClient;
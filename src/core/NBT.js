@@ -0,0 +1,273 @@
+// src/core/NBT.js
+/**
+ * HCL NBT 读写
+ * 解析 Java 版的 NBT 格式（大端序，支持 gzip 压缩），如存档的 level.dat；
+ * 解析结果保留标签类型，修改后可以原样写回
+ */
+const zlib = require('zlib');
+
+// 标签类型
+const TAG = {
+    END: 0,
+    BYTE: 1,
+    SHORT: 2,
+    INT: 3,
+    LONG: 4,
+    FLOAT: 5,
+    DOUBLE: 6,
+    BYTE_ARRAY: 7,
+    STRING: 8,
+    LIST: 9,
+    COMPOUND: 10,
+    INT_ARRAY: 11,
+    LONG_ARRAY: 12
+};
+
+class HCLNBT {
+    /**
+     * 解析 NBT
+     * @param {Buffer} buffer - NBT 数据（gzip 压缩或未压缩）
+     * @returns {Object} 根标签 { name, type, value }；复合标签的 value 为 名称 -> 标签，
+     *                   列表标签另有 elementType，value 为标签数组
+     */
+    parse(buffer) {
+        const data = this.isGzip(buffer) ? zlib.gunzipSync(buffer) : buffer;
+        const reader = { data, offset: 0 };
+
+        const type = this.readByte(reader);
+        if (type !== TAG.COMPOUND) {
+            throw new Error('无效的 NBT 数据：根标签不是复合标签');
+        }
+
+        const name = this.readString(reader);
+        return { name, ...this.readTag(reader, type) };
+    }
+
+    isGzip(buffer) {
+        return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    }
+
+    readTag(reader, type) {
+        const { data } = reader;
+        const take = (size) => {
+            if (size < 0 || reader.offset + size > data.length) {
+                throw new Error('无效的 NBT 数据：意外的结尾');
+            }
+            const start = reader.offset;
+            reader.offset += size;
+            return start;
+        };
+
+        switch (type) {
+            case TAG.BYTE: return { type, value: data.readInt8(take(1)) };
+            case TAG.SHORT: return { type, value: data.readInt16BE(take(2)) };
+            case TAG.INT: return { type, value: data.readInt32BE(take(4)) };
+            case TAG.LONG: return { type, value: data.readBigInt64BE(take(8)) };
+            case TAG.FLOAT: return { type, value: data.readFloatBE(take(4)) };
+            case TAG.DOUBLE: return { type, value: data.readDoubleBE(take(8)) };
+            case TAG.STRING: return { type, value: this.readString(reader) };
+            case TAG.BYTE_ARRAY: {
+                const length = data.readInt32BE(take(4));
+                const start = take(length);
+                return { type, value: Array.from(data.subarray(start, start + length), byte => (byte << 24) >> 24) };
+            }
+            case TAG.INT_ARRAY: {
+                const length = data.readInt32BE(take(4));
+                const value = [];
+                for (let i = 0; i < length; i++) value.push(data.readInt32BE(take(4)));
+                return { type, value };
+            }
+            case TAG.LONG_ARRAY: {
+                const length = data.readInt32BE(take(4));
+                const value = [];
+                for (let i = 0; i < length; i++) value.push(data.readBigInt64BE(take(8)));
+                return { type, value };
+            }
+            case TAG.LIST: {
+                const elementType = data.readInt8(take(1));
+                const length = data.readInt32BE(take(4));
+                const value = [];
+                for (let i = 0; i < length; i++) value.push(this.readTag(reader, elementType));
+                return { type, elementType, value };
+            }
+            case TAG.COMPOUND: {
+                const value = {};
+                for (;;) {
+                    const childType = this.readByte(reader);
+                    if (childType === TAG.END) break;
+                    const childName = this.readString(reader);
+                    value[childName] = this.readTag(reader, childType);
+                }
+                return { type, value };
+            }
+            default:
+                throw new Error(`无效的 NBT 数据：未知的标签类型 ${type}`);
+        }
+    }
+
+    readByte(reader) {
+        if (reader.offset >= reader.data.length) {
+            throw new Error('无效的 NBT 数据：意外的结尾');
+        }
+        return reader.data.readInt8(reader.offset++);
+    }
+
+    /**
+     * 字符串为 2 字节长度 + Modified UTF-8
+     */
+    readString(reader) {
+        if (reader.offset + 2 > reader.data.length) {
+            throw new Error('无效的 NBT 数据：意外的结尾');
+        }
+        const length = reader.data.readUInt16BE(reader.offset);
+        const start = reader.offset + 2;
+        if (start + length > reader.data.length) {
+            throw new Error('无效的 NBT 数据：意外的结尾');
+        }
+        reader.offset = start + length;
+        return this.decodeModifiedUtf8(reader.data.subarray(start, start + length));
+    }
+
+    /**
+     * 解码 Java 的 Modified UTF-8：NUL 编码为 C0 80，
+     * 基本平面以外的字符编码为两个代理项（各 3 字节），而不是 4 字节的 UTF-8
+     */
+    decodeModifiedUtf8(bytes) {
+        const units = [];
+        for (let i = 0; i < bytes.length;) {
+            const byte = bytes[i];
+            if (byte < 0x80) {
+                units.push(byte);
+                i += 1;
+            } else if ((byte & 0xe0) === 0xc0 && this.isContinuation(bytes, i, 1)) {
+                units.push(((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f));
+                i += 2;
+            } else if ((byte & 0xf0) === 0xe0 && this.isContinuation(bytes, i, 2)) {
+                units.push(((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f));
+                i += 3;
+            } else {
+                throw new Error('无效的 NBT 数据：字符串编码错误');
+            }
+        }
+
+        // 分段转换，避免参数过多
+        let result = '';
+        for (let i = 0; i < units.length; i += 8192) {
+            result += String.fromCharCode(...units.slice(i, i + 8192));
+        }
+        return result;
+    }
+
+    isContinuation(bytes, index, count) {
+        for (let i = 1; i <= count; i++) {
+            if (index + i >= bytes.length || (bytes[index + i] & 0xc0) !== 0x80) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 写出 NBT
+     * @param {Object} root - parse 返回的根标签
+     * @param {Object} options - { gzip: 是否压缩 }
+     * @returns {Buffer}
+     */
+    serialize(root, options = {}) {
+        const chunks = [];
+        chunks.push(Buffer.from([TAG.COMPOUND]), this.writeString(root.name || ''));
+        this.writeTag(chunks, root);
+
+        const data = Buffer.concat(chunks);
+        return options.gzip ? zlib.gzipSync(data) : data;
+    }
+
+    writeTag(chunks, tag) {
+        const fixed = (size, write) => {
+            const buffer = Buffer.alloc(size);
+            write(buffer);
+            chunks.push(buffer);
+        };
+
+        switch (tag.type) {
+            case TAG.BYTE: return fixed(1, buffer => buffer.writeInt8(tag.value));
+            case TAG.SHORT: return fixed(2, buffer => buffer.writeInt16BE(tag.value));
+            case TAG.INT: return fixed(4, buffer => buffer.writeInt32BE(tag.value));
+            case TAG.LONG: return fixed(8, buffer => buffer.writeBigInt64BE(BigInt(tag.value)));
+            case TAG.FLOAT: return fixed(4, buffer => buffer.writeFloatBE(tag.value));
+            case TAG.DOUBLE: return fixed(8, buffer => buffer.writeDoubleBE(tag.value));
+            case TAG.STRING: return chunks.push(this.writeString(tag.value));
+            case TAG.BYTE_ARRAY:
+                fixed(4, buffer => buffer.writeInt32BE(tag.value.length));
+                return chunks.push(Buffer.from(tag.value.map(byte => byte & 0xff)));
+            case TAG.INT_ARRAY:
+                fixed(4, buffer => buffer.writeInt32BE(tag.value.length));
+                return tag.value.forEach(value => fixed(4, buffer => buffer.writeInt32BE(value)));
+            case TAG.LONG_ARRAY:
+                fixed(4, buffer => buffer.writeInt32BE(tag.value.length));
+                return tag.value.forEach(value => fixed(8, buffer => buffer.writeBigInt64BE(BigInt(value))));
+            case TAG.LIST:
+                fixed(5, buffer => {
+                    buffer.writeInt8(tag.value.length > 0 ? tag.elementType : TAG.END, 0);
+                    buffer.writeInt32BE(tag.value.length, 1);
+                });
+                return tag.value.forEach(item => this.writeTag(chunks, { ...item, type: tag.elementType }));
+            case TAG.COMPOUND:
+                for (const [name, child] of Object.entries(tag.value)) {
+                    chunks.push(Buffer.from([child.type]), this.writeString(name));
+                    this.writeTag(chunks, child);
+                }
+                return chunks.push(Buffer.from([TAG.END]));
+            default:
+                throw new Error(`无法写出未知的标签类型 ${tag.type}`);
+        }
+    }
+
+    writeString(value) {
+        const bytes = this.encodeModifiedUtf8(String(value));
+        if (bytes.length > 0xffff) {
+            throw new Error(`字符串过长，无法写出 NBT（${bytes.length} 字节，最多 65535 字节）`);
+        }
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(bytes.length);
+        return Buffer.concat([length, bytes]);
+    }
+
+    /**
+     * 按 UTF-16 代码单元编码为 Modified UTF-8（与 decodeModifiedUtf8 相反）
+     */
+    encodeModifiedUtf8(value) {
+        const bytes = [];
+        for (let i = 0; i < value.length; i++) {
+            const unit = value.charCodeAt(i);
+            if (unit >= 0x01 && unit <= 0x7f) {
+                bytes.push(unit);
+            } else if (unit <= 0x7ff) {
+                bytes.push(0xc0 | (unit >> 6), 0x80 | (unit & 0x3f));
+            } else {
+                bytes.push(0xe0 | (unit >> 12), 0x80 | ((unit >> 6) & 0x3f), 0x80 | (unit & 0x3f));
+            }
+        }
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * 转换为普通对象（长整型保留为 BigInt）
+     */
+    toPlain(tag) {
+        if (!tag) return undefined;
+        if (tag.type === TAG.COMPOUND) {
+            const result = {};
+            for (const [name, child] of Object.entries(tag.value)) {
+                result[name] = this.toPlain(child);
+            }
+            return result;
+        }
+        if (tag.type === TAG.LIST) {
+            return tag.value.map(item => this.toPlain({ ...item, type: tag.elementType }));
+        }
+        return tag.value;
+    }
+}
+
+module.exports = HCLNBT;
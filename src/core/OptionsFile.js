@@ -0,0 +1,82 @@
+// src/core/OptionsFile.js
+/**
+ * HCL 游戏选项文件
+ * 读写 options.txt（key:value）与 iris.properties、optionsshaders.txt（key=value），
+ * 只修改指定的项，其余行与顺序保持不变
+ */
+const path = require('path');
+const fs = require('fs').promises;
+
+class HCLOptionsFile {
+    /**
+     * @param {string} filePath - 文件路径
+     * @param {string} separator - 键值分隔符（':' 或 '='）
+     */
+    constructor(filePath, separator = ':') {
+        this.filePath = filePath;
+        this.separator = separator;
+        this.lines = [];
+    }
+
+    /**
+     * 读取文件（不存在时视为空文件）
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.lines = content.split(/\r?\n/);
+            if (this.lines[this.lines.length - 1] === '') this.lines.pop();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.lines = [];
+        }
+        return this;
+    }
+
+    findLine(key) {
+        return this.lines.findIndex(line => {
+            const index = line.indexOf(this.separator);
+            return index > 0 && line.substring(0, index).trim() === key;
+        });
+    }
+
+    get(key) {
+        const index = this.findLine(key);
+        if (index < 0) return null;
+        const line = this.lines[index];
+        return line.substring(line.indexOf(this.separator) + 1).trim();
+    }
+
+    set(key, value) {
+        const line = `${key}${this.separator}${value}`;
+        const index = this.findLine(key);
+        if (index >= 0) {
+            this.lines[index] = line;
+        } else {
+            this.lines.push(line);
+        }
+    }
+
+    /**
+     * 读取 JSON 数组值（如 resourcePacks:["vanilla","file/xxx.zip"]）
+     */
+    getList(key) {
+        try {
+            const value = JSON.parse(this.get(key));
+            return Array.isArray(value) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setList(key, list) {
+        this.set(key, JSON.stringify(list));
+    }
+
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, this.lines.join('\n') + '\n', 'utf8');
+    }
+}
+
+module.exports = HCLOptionsFile;
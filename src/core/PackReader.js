@@ -0,0 +1,196 @@
+// src/core/PackReader.js
+/**
+ * HCL 资源包/数据包读取
+ * 读取 zip 或文件夹形式的包中的 pack.mcmeta 与 pack.png，
+ * 并根据 pack_format 判断与游戏版本的兼容性
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+// 各游戏版本起始的资源包格式（[起始版本, pack_format]）
+const RESOURCE_PACK_FORMATS = [
+    ['1.6.1', 1], ['1.9', 2], ['1.11', 3], ['1.13', 4], ['1.15', 5], ['1.16.2', 6],
+    ['1.17', 7], ['1.18', 8], ['1.19', 9], ['1.19.3', 12], ['1.19.4', 13], ['1.20', 15],
+    ['1.20.2', 18], ['1.20.3', 22], ['1.20.5', 32], ['1.21', 34], ['1.21.2', 42],
+    ['1.21.4', 46], ['1.21.5', 55], ['1.21.6', 63], ['1.21.7', 64]
+];
+
+// 各游戏版本起始的数据包格式
+const DATA_PACK_FORMATS = [
+    ['1.13', 4], ['1.15', 5], ['1.16.2', 6], ['1.17', 7], ['1.18', 8], ['1.18.2', 9],
+    ['1.19', 10], ['1.19.4', 12], ['1.20', 15], ['1.20.2', 18], ['1.20.3', 26],
+    ['1.20.5', 41], ['1.21', 48], ['1.21.2', 57], ['1.21.4', 61], ['1.21.5', 71],
+    ['1.21.6', 80], ['1.21.7', 81]
+];
+
+// 上表覆盖的最后一个游戏版本，更新的版本无法判断
+const LAST_KNOWN_VERSION = '1.21.8';
+
+class HCLPackReader {
+    /**
+     * 读取包信息
+     * @param {string} packPath - zip 文件或文件夹路径
+     * @returns {Promise<Object|null>} { fileName, type, description, packFormat, supportedFormats, hasIcon }，不是有效的包时返回 null
+     */
+    async readPack(packPath) {
+        const fileName = path.basename(packPath);
+        const source = await this.open(packPath);
+        if (!source) return null;
+
+        const content = await source.read('pack.mcmeta');
+        if (!content) return null;
+
+        let mcmeta;
+        try {
+            mcmeta = JSON.parse(content.toString('utf8').replace(/^\uFEFF/, ''));
+        } catch (error) {
+            return { fileName, type: source.type, description: '', packFormat: null, supportedFormats: null, hasIcon: false, parseError: 'pack.mcmeta 格式错误' };
+        }
+
+        const pack = mcmeta.pack || {};
+        return {
+            fileName,
+            type: source.type,
+            description: this.formatDescription(pack.description),
+            packFormat: typeof pack.pack_format === 'number' ? pack.pack_format : null,
+            supportedFormats: this.parseSupportedFormats(pack.supported_formats),
+            hasIcon: await source.has('pack.png')
+        };
+    }
+
+    /**
+     * 打开 zip 或文件夹，返回统一的读取接口
+     */
+    async open(packPath) {
+        let stats;
+        try {
+            stats = await fs.stat(packPath);
+        } catch (error) {
+            return null;
+        }
+
+        if (stats.isDirectory()) {
+            return {
+                type: 'directory',
+                read: (entry) => fs.readFile(path.join(packPath, entry)).catch(() => null),
+                has: (entry) => fs.access(path.join(packPath, entry)).then(() => true, () => false),
+                list: async () => await this.listDirectory(packPath, '')
+            };
+        }
+
+        if (!packPath.toLowerCase().endsWith('.zip')) return null;
+
+        let zip;
+        try {
+            zip = new AdmZip(packPath);
+        } catch (error) {
+            return null;
+        }
+        return {
+            type: 'zip',
+            read: async (entry) => {
+                const zipEntry = zip.getEntry(entry);
+                return zipEntry ? zipEntry.getData() : null;
+            },
+            has: async (entry) => !!zip.getEntry(entry),
+            list: async () => zip.getEntries().map(entry => entry.entryName)
+        };
+    }
+
+    async listDirectory(dir, prefix) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        const names = [];
+        for (const entry of entries) {
+            const name = `${prefix}${entry.name}`;
+            if (entry.isDirectory()) {
+                names.push(`${name}/`, ...await this.listDirectory(path.join(dir, entry.name), `${name}/`));
+            } else {
+                names.push(name);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * 读取 pack.png
+     * @returns {Promise<string|null>} data URL
+     */
+    async readIcon(packPath) {
+        const source = await this.open(packPath);
+        const data = source ? await source.read('pack.png') : null;
+        return data ? `data:image/png;base64,${data.toString('base64')}` : null;
+    }
+
+    /**
+     * description 可以是字符串或文本组件（对象或数组），去除 § 格式代码
+     */
+    formatDescription(description) {
+        const flatten = (component) => {
+            if (component === undefined || component === null) return '';
+            if (typeof component !== 'object') return String(component);
+            if (Array.isArray(component)) return component.map(flatten).join('');
+            return (component.text || component.translate || '') + flatten(component.extra || []);
+        };
+        return flatten(description).replace(/§./g, '');
+    }
+
+    /**
+     * supported_formats：整数、[min, max] 或 { min_inclusive, max_inclusive }
+     */
+    parseSupportedFormats(formats) {
+        if (typeof formats === 'number') return { min: formats, max: formats };
+        if (Array.isArray(formats) && formats.length === 2) return { min: formats[0], max: formats[1] };
+        if (formats && typeof formats === 'object' && formats.min_inclusive !== undefined) {
+            return { min: formats.min_inclusive, max: formats.max_inclusive };
+        }
+        return null;
+    }
+
+    /**
+     * 获取游戏版本对应的包格式
+     * @param {string} gameVersion - 游戏版本（快照版本无法判断）
+     * @param {string} kind - 'resource' 或 'data'
+     * @returns {number|null}
+     */
+    getPackFormat(gameVersion, kind = 'resource') {
+        if (!/^\d+(\.\d+)+$/.test(gameVersion || '') || this.compareVersions(gameVersion, LAST_KNOWN_VERSION) > 0) {
+            return null;
+        }
+
+        let format = null;
+        for (const [version, packFormat] of kind === 'data' ? DATA_PACK_FORMATS : RESOURCE_PACK_FORMATS) {
+            if (this.compareVersions(gameVersion, version) < 0) break;
+            format = packFormat;
+        }
+        return format;
+    }
+
+    /**
+     * 检查兼容性
+     * @returns {Object} { compatible: true/false/null（无法判断）, expectedFormat }
+     */
+    checkCompatibility(pack, gameVersion, kind = 'resource') {
+        const expectedFormat = this.getPackFormat(gameVersion, kind);
+        if (expectedFormat === null || pack.packFormat === null) {
+            return { compatible: null, expectedFormat };
+        }
+
+        const range = pack.supportedFormats;
+        const compatible = pack.packFormat === expectedFormat ||
+            (!!range && expectedFormat >= range.min && expectedFormat <= range.max);
+        return { compatible, expectedFormat };
+    }
+
+    compareVersions(a, b) {
+        const left = a.split('.').map(part => parseInt(part) || 0);
+        const right = b.split('.').map(part => parseInt(part) || 0);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return Math.sign(diff);
+        }
+        return 0;
+    }
+}
+
+module.exports = HCLPackReader;
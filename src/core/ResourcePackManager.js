@@ -0,0 +1,161 @@
+// src/core/ResourcePackManager.js
+/**
+ * HCL 资源包管理器
+ * 读取 resourcepacks 中的资源包信息并检查与游戏版本的兼容性；
+ * 启用、禁用与排序通过修改 options.txt 的 resourcePacks 实现
+ */
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+const HCLPackReader = require('./PackReader');
+const HCLOptionsFile = require('./OptionsFile');
+
+// resourcePacks 不存在时游戏使用的默认值
+const DEFAULT_RESOURCE_PACKS = ['vanilla'];
+
+class HCLResourcePackManager extends EventEmitter {
+    constructor(configManager, instanceManager = null) {
+        super();
+        this.configManager = configManager;
+        this.instanceManager = instanceManager;
+        this.packReader = new HCLPackReader();
+    }
+
+    /**
+     * 游戏目录：指定实例时为实例目录，否则为主游戏目录
+     */
+    getGameDirectory(instanceId = null) {
+        if (instanceId && this.instanceManager) {
+            this.instanceManager.requireInstance(instanceId);
+            return this.instanceManager.getInstanceDirectory(instanceId);
+        }
+        return this.configManager.getGameDirectory();
+    }
+
+    getGameVersion(instanceId = null) {
+        return instanceId && this.instanceManager ? this.instanceManager.getGameVersion(instanceId) : null;
+    }
+
+    getPacksDirectory(instanceId = null) {
+        return path.join(this.getGameDirectory(instanceId), 'resourcepacks');
+    }
+
+    async loadOptions(instanceId) {
+        return await new HCLOptionsFile(path.join(this.getGameDirectory(instanceId), 'options.txt')).load();
+    }
+
+    /**
+     * options.txt 中的资源包名称（1.13 起带 file/ 前缀）
+     */
+    getPackKey(fileName, gameVersion) {
+        const format = this.packReader.getPackFormat(gameVersion);
+        return format !== null && format < 4 ? fileName : `file/${fileName}`;
+    }
+
+    /**
+     * 获取资源包列表（已启用的按优先级从高到低排在前面）
+     */
+    async getPacks(instanceId = null) {
+        const packsDir = this.getPacksDirectory(instanceId);
+        const gameVersion = this.getGameVersion(instanceId);
+        const options = await this.loadOptions(instanceId);
+        const selected = options.getList('resourcePacks') || DEFAULT_RESOURCE_PACKS;
+
+        let names;
+        try {
+            names = await fs.readdir(packsDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const packs = [];
+        for (const name of names) {
+            const pack = await this.packReader.readPack(path.join(packsDir, name));
+            if (!pack) continue;
+
+            const index = selected.indexOf(this.getPackKey(name, gameVersion));
+            packs.push({
+                ...pack,
+                ...this.packReader.checkCompatibility(pack, gameVersion),
+                enabled: index >= 0,
+                priority: index
+            });
+        }
+
+        return packs.sort((a, b) => {
+            if (a.enabled !== b.enabled) return a.enabled ? -1 : 1;
+            return a.enabled ? b.priority - a.priority : a.fileName.localeCompare(b.fileName);
+        });
+    }
+
+    /**
+     * 启用（放在最高优先级）或禁用资源包
+     */
+    async setPackEnabled(instanceId, fileName, enabled) {
+        const pack = await this.requirePack(instanceId, fileName);
+        const gameVersion = this.getGameVersion(instanceId);
+        const key = this.getPackKey(pack.fileName, gameVersion);
+
+        const options = await this.loadOptions(instanceId);
+        const selected = (options.getList('resourcePacks') || DEFAULT_RESOURCE_PACKS).filter(item => item !== key);
+        const incompatible = (options.getList('incompatibleResourcePacks') || []).filter(item => item !== key);
+
+        if (enabled) {
+            selected.push(key);
+            // 不兼容的资源包需要同时记录，否则游戏启动时会将其移除
+            if (this.packReader.checkCompatibility(pack, gameVersion).compatible === false) {
+                incompatible.push(key);
+            }
+        }
+
+        options.setList('resourcePacks', selected);
+        options.setList('incompatibleResourcePacks', incompatible);
+        await options.save();
+
+        this.emit('resourcepack-toggled', { instanceId, fileName: pack.fileName, enabled });
+        return { success: true };
+    }
+
+    /**
+     * 设置已启用的资源包及其顺序
+     * @param {Array<string>} fileNames - 按优先级从高到低排列，未列出的资源包将被禁用
+     */
+    async setPackOrder(instanceId, fileNames) {
+        const gameVersion = this.getGameVersion(instanceId);
+        const packs = [];
+        for (const fileName of fileNames) {
+            packs.push(await this.requirePack(instanceId, fileName));
+        }
+
+        const options = await this.loadOptions(instanceId);
+        const fileKeys = new Set((await this.getPacks(instanceId)).map(pack => this.getPackKey(pack.fileName, gameVersion)));
+        // 内置资源包（vanilla、模组资源等）保持在底层
+        const builtin = (options.getList('resourcePacks') || DEFAULT_RESOURCE_PACKS)
+            .filter(item => !fileKeys.has(item) && !item.startsWith('file/'));
+
+        const ordered = [...packs].reverse();
+        options.setList('resourcePacks', [...builtin, ...ordered.map(pack => this.getPackKey(pack.fileName, gameVersion))]);
+        options.setList('incompatibleResourcePacks', ordered
+            .filter(pack => this.packReader.checkCompatibility(pack, gameVersion).compatible === false)
+            .map(pack => this.getPackKey(pack.fileName, gameVersion)));
+        await options.save();
+
+        this.emit('resourcepack-order-changed', { instanceId, fileNames });
+        return { success: true };
+    }
+
+    async getPackIcon(instanceId, fileName) {
+        return await this.packReader.readIcon(path.join(this.getPacksDirectory(instanceId), path.basename(fileName)));
+    }
+
+    async requirePack(instanceId, fileName) {
+        const pack = await this.packReader.readPack(path.join(this.getPacksDirectory(instanceId), path.basename(fileName)));
+        if (!pack) {
+            throw new Error(`资源包不存在: ${fileName}`);
+        }
+        return pack;
+    }
+}
+
+module.exports = HCLResourcePackManager;
@@ -0,0 +1,109 @@
+// src/core/RuleEvaluator.js
+/**
+ * HCL 规则评估器
+ * 负责评估版本 JSON 中参数与库文件的 rules（操作系统、架构、特性开关）
+ */
+const os = require('os');
+
+class HCLRuleEvaluator {
+    /**
+     * @param {Object} options - 可覆盖的系统信息（便于针对其他平台评估）
+     * @param {string} options.platform - Node 平台名 (win32/darwin/linux)
+     * @param {string} options.arch - Node 架构名 (x64/ia32/arm64)
+     * @param {string} options.osVersion - 系统版本号
+     */
+    constructor(options = {}) {
+        this.platform = options.platform || os.platform();
+        this.arch = options.arch || os.arch();
+        this.osVersion = options.osVersion || os.release();
+    }
+
+    /**
+     * 获取 Mojang 格式的操作系统名称
+     */
+    getOSName() {
+        switch (this.platform) {
+            case 'win32':
+                return 'windows';
+            case 'darwin':
+                return 'osx';
+            default:
+                return 'linux';
+        }
+    }
+
+    /**
+     * 获取系统位数（用于 ${arch} 替换）
+     */
+    getArchBits() {
+        return ['x64', 'arm64', 'ppc64', 's390x', 'loong64'].includes(this.arch) ? '64' : '32';
+    }
+
+    /**
+     * 检查 os 条件是否匹配当前系统
+     */
+    matchesOS(osRule) {
+        if (!osRule) return true;
+
+        if (osRule.name && osRule.name !== this.getOSName()) {
+            return false;
+        }
+
+        if (osRule.arch) {
+            // Mojang 使用 x86 表示 32 位 x86 系统
+            const arch = osRule.arch === 'x86' ? 'ia32' : osRule.arch;
+            if (arch !== this.arch) {
+                return false;
+            }
+        }
+
+        if (osRule.version) {
+            try {
+                if (!new RegExp(osRule.version).test(this.osVersion)) {
+                    return false;
+                }
+            } catch (error) {
+                // 无效的正则表达式视为不匹配
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 检查 features 条件是否匹配
+     */
+    matchesFeatures(featureRule, features = {}) {
+        if (!featureRule) return true;
+
+        return Object.entries(featureRule).every(([name, expected]) => {
+            return Boolean(features[name]) === Boolean(expected);
+        });
+    }
+
+    /**
+     * 评估规则列表
+     * 没有规则时默认允许；有规则时默认禁止，最后一条匹配的规则决定结果
+     * @param {Array} rules - 规则列表
+     * @param {Object} features - 启动特性开关
+     * @returns {boolean} 是否允许
+     */
+    isAllowed(rules, features = {}) {
+        if (!Array.isArray(rules) || rules.length === 0) {
+            return true;
+        }
+
+        let allowed = false;
+
+        for (const rule of rules) {
+            if (this.matchesOS(rule.os) && this.matchesFeatures(rule.features, features)) {
+                allowed = rule.action === 'allow';
+            }
+        }
+
+        return allowed;
+    }
+}
+
+module.exports = HCLRuleEvaluator;
@@ -0,0 +1,414 @@
+// src/core/SaveManager.js
+/**
+ * HCL 存档管理器
+ * 读取存档 level.dat（NBT）显示名称、游戏模式、最后游玩时间、版本、种子与大小；
+ * 支持备份（按数量与天数保留）、恢复、复制以及存档 zip 的导入导出
+ */
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+const HCLNBT = require('./NBT');
+
+// level.dat 中的 GameType
+const GAME_MODES = ['survival', 'creative', 'adventure', 'spectator'];
+
+// 游戏运行时锁定的文件，不加入备份
+const EXCLUDED_FILES = ['session.lock'];
+
+class HCLSaveManager extends EventEmitter {
+    constructor(configManager, instanceManager = null) {
+        super();
+        this.configManager = configManager;
+        this.instanceManager = instanceManager;
+        this.nbt = new HCLNBT();
+    }
+
+    getGameDirectory(instanceId = null) {
+        if (instanceId && this.instanceManager) {
+            this.instanceManager.requireInstance(instanceId);
+            return this.instanceManager.getInstanceDirectory(instanceId);
+        }
+        return this.configManager.getGameDirectory();
+    }
+
+    getSavesDirectory(instanceId = null) {
+        return path.join(this.getGameDirectory(instanceId), 'saves');
+    }
+
+    getBackupsDirectory(instanceId, worldName) {
+        return path.join(this.getGameDirectory(instanceId), 'backups', path.basename(worldName));
+    }
+
+    /**
+     * 解析存档目录并防止路径穿越
+     */
+    getWorldDirectory(instanceId, worldName) {
+        const savesDir = path.resolve(this.getSavesDirectory(instanceId));
+        const worldDir = path.resolve(savesDir, worldName || '');
+        if (path.dirname(worldDir) !== savesDir) {
+            throw new Error(`非法的存档名称: ${worldName}`);
+        }
+        return worldDir;
+    }
+
+    /**
+     * 获取存档列表（按最后游玩时间排序）
+     */
+    async getWorlds(instanceId = null) {
+        const savesDir = this.getSavesDirectory(instanceId);
+        let entries;
+        try {
+            entries = await fs.readdir(savesDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const worlds = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            const worldDir = path.join(savesDir, entry.name);
+            if (!await this.fileExists(path.join(worldDir, 'level.dat'))) continue;
+            worlds.push(await this.readWorld(worldDir));
+        }
+
+        return worlds.sort((a, b) => new Date(b.lastPlayed || 0) - new Date(a.lastPlayed || 0));
+    }
+
+    async getWorld(instanceId, worldName) {
+        const worldDir = this.getWorldDirectory(instanceId, worldName);
+        if (!await this.fileExists(path.join(worldDir, 'level.dat'))) {
+            throw new Error(`存档不存在: ${worldName}`);
+        }
+        return await this.readWorld(worldDir);
+    }
+
+    /**
+     * 读取存档信息（level.dat 损坏时返回带 error 的基本信息）
+     */
+    async readWorld(worldDir) {
+        const folderName = path.basename(worldDir);
+        const world = {
+            folderName,
+            name: folderName,
+            gameMode: null,
+            hardcore: false,
+            cheats: false,
+            lastPlayed: null,
+            version: null,
+            dataVersion: null,
+            seed: null,
+            size: await this.getDirectorySize(worldDir),
+            hasIcon: await this.fileExists(path.join(worldDir, 'icon.png'))
+        };
+
+        try {
+            const root = this.nbt.parse(await fs.readFile(path.join(worldDir, 'level.dat')));
+            const data = this.nbt.toPlain(root).Data;
+            if (!data) {
+                throw new Error('缺少 Data 标签');
+            }
+
+            // 1.16 起种子位于 WorldGenSettings
+            const seed = data.WorldGenSettings && data.WorldGenSettings.seed !== undefined ?
+                data.WorldGenSettings.seed : data.RandomSeed;
+
+            return {
+                ...world,
+                name: data.LevelName || folderName,
+                gameMode: GAME_MODES[data.GameType] || null,
+                hardcore: data.hardcore === 1,
+                cheats: data.allowCommands === 1,
+                lastPlayed: data.LastPlayed !== undefined ? new Date(Number(data.LastPlayed)).toISOString() : null,
+                version: data.Version ? data.Version.Name : null,
+                dataVersion: data.DataVersion !== undefined ? data.DataVersion : null,
+                seed: seed !== undefined ? seed.toString() : null
+            };
+        } catch (error) {
+            return { ...world, error: `无法读取 level.dat: ${error.message}` };
+        }
+    }
+
+    async getWorldIcon(instanceId, worldName) {
+        try {
+            const data = await fs.readFile(path.join(this.getWorldDirectory(instanceId, worldName), 'icon.png'));
+            return `data:image/png;base64,${data.toString('base64')}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 备份存档并按设置清理旧备份
+     * @returns {Promise<Object>} 备份信息 { fileName, path, size, createdAt }
+     */
+    async backupWorld(instanceId, worldName) {
+        const world = await this.getWorld(instanceId, worldName);
+        const backupsDir = this.getBackupsDirectory(instanceId, world.folderName);
+        await fs.mkdir(backupsDir, { recursive: true });
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = path.join(backupsDir, `${world.folderName}_${timestamp}.zip`);
+        await this.writeWorldZip(this.getWorldDirectory(instanceId, world.folderName), world.folderName, backupPath);
+
+        const removed = await this.applyRetention(instanceId, world.folderName);
+        const backup = await this.toBackupInfo(world.folderName, backupPath);
+
+        this.emit('world-backup-created', { instanceId, worldName: world.folderName, backup, removed });
+        return backup;
+    }
+
+    /**
+     * 按备份数量与保留天数清理旧备份（0 表示不限制）
+     * @returns {Promise<Array<string>>} 被删除的备份文件名
+     */
+    async applyRetention(instanceId, worldName) {
+        const config = this.configManager.getConfig();
+        const maxCount = parseInt(config.worldBackupMaxCount) || 0;
+        const maxAgeDays = parseInt(config.worldBackupMaxAgeDays) || 0;
+
+        const backups = await this.getBackups(instanceId, worldName);
+        const expire = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        const removed = [];
+
+        for (const [index, backup] of backups.entries()) {
+            // 最新的备份始终保留
+            if (index === 0) continue;
+            if ((maxCount > 0 && index >= maxCount) || (maxAgeDays > 0 && new Date(backup.createdAt) < expire)) {
+                await fs.rm(backup.path, { force: true });
+                removed.push(backup.fileName);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * 获取存档的备份（新的在前）
+     */
+    async getBackups(instanceId, worldName) {
+        const backupsDir = this.getBackupsDirectory(instanceId, worldName);
+        let names;
+        try {
+            names = await fs.readdir(backupsDir);
+        } catch (error) {
+            return [];
+        }
+
+        const backups = [];
+        for (const name of names.filter(item => item.endsWith('.zip'))) {
+            backups.push(await this.toBackupInfo(worldName, path.join(backupsDir, name)));
+        }
+        return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async toBackupInfo(worldName, backupPath) {
+        const stats = await fs.stat(backupPath);
+        return {
+            worldName,
+            fileName: path.basename(backupPath),
+            path: backupPath,
+            size: stats.size,
+            createdAt: stats.mtime.toISOString()
+        };
+    }
+
+    /**
+     * 从备份恢复存档（覆盖当前存档，失败时保留原存档）
+     */
+    async restoreBackup(instanceId, worldName, backupFileName) {
+        const backupPath = path.join(this.getBackupsDirectory(instanceId, worldName), path.basename(backupFileName));
+        if (!await this.fileExists(backupPath)) {
+            throw new Error(`备份不存在: ${backupFileName}`);
+        }
+
+        const worldDir = this.getWorldDirectory(instanceId, worldName);
+        const suffix = Date.now();
+        const tempDir = `${worldDir}.hcl-restore-${suffix}`;
+        const oldDir = `${worldDir}.hcl-old-${suffix}`;
+
+        try {
+            await this.extractWorld(new AdmZip(backupPath), tempDir);
+        } catch (error) {
+            await fs.rm(tempDir, { recursive: true, force: true });
+            throw new Error(`恢复存档失败: ${error.message}`);
+        }
+
+        const exists = await this.fileExists(worldDir);
+        if (exists) {
+            await fs.rename(worldDir, oldDir);
+        }
+        try {
+            await fs.rename(tempDir, worldDir);
+        } catch (error) {
+            if (exists) await fs.rename(oldDir, worldDir);
+            await fs.rm(tempDir, { recursive: true, force: true });
+            throw new Error(`恢复存档失败: ${error.message}`);
+        }
+        await fs.rm(oldDir, { recursive: true, force: true });
+
+        this.emit('world-restored', { instanceId, worldName, backup: path.basename(backupPath) });
+        return await this.readWorld(worldDir);
+    }
+
+    /**
+     * 复制存档，并修改副本的存档名称
+     */
+    async duplicateWorld(instanceId, worldName, newName = null) {
+        const world = await this.getWorld(instanceId, worldName);
+        const levelName = (newName || `${world.name} - 副本`).trim();
+        const folderName = await this.getAvailableFolderName(instanceId, levelName);
+        const targetDir = path.join(this.getSavesDirectory(instanceId), folderName);
+
+        await fs.cp(this.getWorldDirectory(instanceId, world.folderName), targetDir, {
+            recursive: true,
+            filter: (source) => !EXCLUDED_FILES.includes(path.basename(source))
+        });
+        await this.setLevelName(targetDir, levelName);
+
+        return await this.readWorld(targetDir);
+    }
+
+    /**
+     * 修改 level.dat 中的 LevelName
+     */
+    async setLevelName(worldDir, levelName) {
+        const file = path.join(worldDir, 'level.dat');
+        const buffer = await fs.readFile(file);
+        const root = this.nbt.parse(buffer);
+        const data = root.value.Data;
+        if (!data || !data.value.LevelName) return;
+
+        data.value.LevelName.value = levelName;
+        await fs.writeFile(file, this.nbt.serialize(root, { gzip: this.nbt.isGzip(buffer) }));
+    }
+
+    /**
+     * 导出存档为 zip（压缩包内为存档文件夹）
+     */
+    async exportWorld(instanceId, worldName, outputPath) {
+        const world = await this.getWorld(instanceId, worldName);
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await this.writeWorldZip(this.getWorldDirectory(instanceId, world.folderName), world.folderName, outputPath);
+        return { outputPath, size: (await fs.stat(outputPath)).size };
+    }
+
+    /**
+     * 导入存档 zip（level.dat 可位于根目录或第一层文件夹中）
+     */
+    async importWorld(instanceId, zipPath) {
+        let zip;
+        try {
+            zip = new AdmZip(zipPath);
+        } catch (error) {
+            throw new Error(`无法读取存档压缩包: ${error.message}`);
+        }
+
+        const prefix = this.findWorldRoot(zip);
+        if (prefix === null) {
+            throw new Error('压缩包中没有找到存档（缺少 level.dat）');
+        }
+
+        const baseName = prefix ? prefix.replace(/\/$/, '') : path.basename(zipPath).replace(/\.zip$/i, '');
+        const folderName = await this.getAvailableFolderName(instanceId, baseName);
+        const targetDir = path.join(this.getSavesDirectory(instanceId), folderName);
+
+        try {
+            await this.extractWorld(zip, targetDir, prefix);
+        } catch (error) {
+            await fs.rm(targetDir, { recursive: true, force: true });
+            throw new Error(`导入存档失败: ${error.message}`);
+        }
+
+        const world = await this.readWorld(targetDir);
+        this.emit('world-imported', { instanceId, world });
+        return world;
+    }
+
+    findWorldRoot(zip) {
+        const levelEntries = zip.getEntries()
+            .map(entry => entry.entryName.replace(/\\/g, '/'))
+            .filter(name => /^([^/]+\/)?level\.dat$/.test(name));
+        if (levelEntries.length === 0) return null;
+
+        const root = levelEntries.find(name => name === 'level.dat');
+        return root ? '' : levelEntries[0].substring(0, levelEntries[0].length - 'level.dat'.length);
+    }
+
+    /**
+     * 解压存档（prefix 为存档在压缩包中的目录），防止路径穿越
+     */
+    async extractWorld(zip, targetDir, prefix = null) {
+        const root = prefix === null ? this.findWorldRoot(zip) : prefix;
+        if (root === null) {
+            throw new Error('压缩包中没有找到存档（缺少 level.dat）');
+        }
+
+        const base = path.resolve(targetDir);
+        await fs.mkdir(base, { recursive: true });
+
+        for (const entry of zip.getEntries()) {
+            const name = entry.entryName.replace(/\\/g, '/');
+            if (!name.startsWith(root) || entry.isDirectory) continue;
+
+            const target = path.resolve(base, name.substring(root.length));
+            if (!target.startsWith(base + path.sep)) {
+                throw new Error(`非法的文件路径: ${name}`);
+            }
+
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, entry.getData());
+        }
+    }
+
+    async writeWorldZip(worldDir, folderName, outputPath) {
+        const zip = new AdmZip();
+        zip.addLocalFolder(worldDir, folderName, (file) => !EXCLUDED_FILES.includes(path.basename(file)));
+        await new Promise((resolve, reject) => {
+            zip.writeZip(outputPath, (error) => error ? reject(error) : resolve());
+        });
+    }
+
+    /**
+     * 生成不重复的存档文件夹名称
+     */
+    async getAvailableFolderName(instanceId, name) {
+        const base = name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').replace(/^\.+|\.+$/g, '').trim() || 'World';
+        let folderName = base;
+        for (let index = 2; await this.fileExists(path.join(this.getSavesDirectory(instanceId), folderName)); index++) {
+            folderName = `${base} (${index})`;
+        }
+        return folderName;
+    }
+
+    async getDirectorySize(dir) {
+        let size = 0;
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            return 0;
+        }
+
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                size += await this.getDirectorySize(entryPath);
+            } else if (entry.isFile()) {
+                size += (await fs.stat(entryPath)).size;
+            }
+        }
+        return size;
+    }
+
+    async fileExists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = HCLSaveManager;
@@ -0,0 +1,156 @@
+// src/core/SessionValidator.js
+/**
+ * HCL 会话验证器
+ * 在启动游戏前验证账户令牌，必要时使用刷新令牌静默续期并保存
+ */
+const EventEmitter = require('events');
+const HCLAuthError = require('./AuthError');
+
+const { CODES } = HCLAuthError;
+
+// 令牌剩余有效期低于该值时提前刷新
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+// 令牌续期后需要保存的字段
+const TOKEN_FIELDS = ['username', 'uuid', 'accessToken', 'refreshToken', 'expiresAt', 'xuid', 'skins', 'capes', 'clientToken'];
+
+class HCLSessionValidator extends EventEmitter {
+    /**
+     * @param {Object} dataManager - 数据管理器（用于保存续期后的令牌）
+     * @param {Object} authenticators - 按账户类型索引的认证器，需实现 validate(account) 与 refresh(account)
+     */
+    constructor(dataManager, authenticators = {}) {
+        super();
+        this.dataManager = dataManager;
+        this.authenticators = authenticators;
+        this.pending = new Map();
+    }
+
+    /**
+     * 注册账户类型对应的认证器
+     */
+    registerAuthenticator(type, authenticator) {
+        this.authenticators[type] = authenticator;
+    }
+
+    /**
+     * 检查令牌是否即将过期
+     */
+    isExpiringSoon(account) {
+        if (!account.expiresAt) return false;
+        return account.expiresAt - Date.now() < REFRESH_MARGIN;
+    }
+
+    /**
+     * 确保账户会话可用于启动
+     * 同一账户的并发调用会共享同一次验证
+     * @param {Object} account - 账户
+     * @returns {Promise<Object>} 令牌有效的账户（可能已续期）
+     */
+    async ensureValidSession(account) {
+        const authenticator = this.authenticators[account.type];
+        if (!authenticator) {
+            // 离线账户等无需验证
+            return account;
+        }
+
+        const key = account.id || account.username;
+        if (this.pending.has(key)) {
+            return await this.pending.get(key);
+        }
+
+        const promise = this.validateSession(account, authenticator);
+        this.pending.set(key, promise);
+
+        try {
+            return await promise;
+        } finally {
+            this.pending.delete(key);
+        }
+    }
+
+    async validateSession(account, authenticator) {
+        if (account.needsRelogin) {
+            this.emit('relogin-required', { accountId: account.id, username: account.username });
+            throw new HCLAuthError(CODES.TOKEN_EXPIRED, `账户 ${account.username} 需要重新登录`);
+        }
+
+        if (!this.isExpiringSoon(account)) {
+            try {
+                if (await authenticator.validate(account)) {
+                    return account;
+                }
+            } catch (error) {
+                // 网络不可用且令牌未过期时允许继续启动
+                if (error.code === CODES.NETWORK_ERROR && account.expiresAt && account.expiresAt > Date.now()) {
+                    console.warn('无法验证令牌，使用本地令牌启动:', error.message);
+                    return account;
+                }
+                if (error.code === CODES.NETWORK_ERROR) {
+                    throw error;
+                }
+            }
+        }
+
+        return await this.refreshSession(account, authenticator);
+    }
+
+    /**
+     * 使用刷新令牌续期，失败时将账户标记为需要重新登录
+     */
+    async refreshSession(account, authenticator) {
+        let refreshed;
+        try {
+            refreshed = await authenticator.refresh(account);
+        } catch (error) {
+            // 网络问题不代表令牌失效，不标记账户
+            if (error.code === CODES.NETWORK_ERROR) {
+                throw error;
+            }
+
+            await this.markNeedsRelogin(account, error);
+            throw new HCLAuthError(
+                CODES.TOKEN_EXPIRED,
+                `账户 ${account.username} 登录已失效，请重新登录`,
+                { cause: error.message }
+            );
+        }
+
+        const updates = { needsRelogin: false, lastRefreshed: new Date().toISOString() };
+        for (const field of TOKEN_FIELDS) {
+            if (refreshed[field] !== undefined) {
+                updates[field] = refreshed[field];
+            }
+        }
+
+        const updatedAccount = { ...account, ...updates };
+
+        if (account.id && this.dataManager) {
+            await this.dataManager.updateAccount(account.id, updates);
+        }
+
+        this.emit('token-refreshed', { accountId: account.id, username: updatedAccount.username });
+        return updatedAccount;
+    }
+
+    /**
+     * 标记账户需要重新登录
+     */
+    async markNeedsRelogin(account, error = null) {
+        if (account.id && this.dataManager) {
+            try {
+                await this.dataManager.updateAccount(account.id, { needsRelogin: true });
+            } catch (updateError) {
+                console.warn('标记账户状态失败:', updateError);
+            }
+        }
+
+        this.emit('relogin-required', {
+            accountId: account.id,
+            username: account.username,
+            reason: error ? error.message : null
+        });
+    }
+}
+
+module.exports = HCLSessionValidator;
@@ -0,0 +1,140 @@
+// src/core/ShaderPackManager.js
+/**
+ * HCL 光影包管理器
+ * 识别 shaderpacks 中的 Iris/OptiFine 光影包（zip 或文件夹，根目录含 shaders/），
+ * 当前光影写入 Iris 的 config/iris.properties 与 OptiFine 的 optionsshaders.txt
+ */
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+const HCLPackReader = require('./PackReader');
+const HCLOptionsFile = require('./OptionsFile');
+
+// Iris 配置文件（相对游戏目录）
+const IRIS_CONFIG = path.join('config', 'iris.properties');
+
+// OptiFine 光影配置文件
+const OPTIFINE_CONFIG = 'optionsshaders.txt';
+
+// OptiFine 表示未使用光影的值
+const OPTIFINE_DISABLED = ['OFF', '(internal)'];
+
+class HCLShaderPackManager extends EventEmitter {
+    constructor(configManager, instanceManager = null) {
+        super();
+        this.configManager = configManager;
+        this.instanceManager = instanceManager;
+        this.packReader = new HCLPackReader();
+    }
+
+    getGameDirectory(instanceId = null) {
+        if (instanceId && this.instanceManager) {
+            this.instanceManager.requireInstance(instanceId);
+            return this.instanceManager.getInstanceDirectory(instanceId);
+        }
+        return this.configManager.getGameDirectory();
+    }
+
+    getPacksDirectory(instanceId = null) {
+        return path.join(this.getGameDirectory(instanceId), 'shaderpacks');
+    }
+
+    /**
+     * 获取光影包列表
+     * @returns {Promise<Array>} { fileName, type, valid, irisOnly, active }
+     */
+    async getPacks(instanceId = null) {
+        const packsDir = this.getPacksDirectory(instanceId);
+
+        let names;
+        try {
+            names = await fs.readdir(packsDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const active = await this.getActiveShader(instanceId);
+        const packs = [];
+        for (const name of names) {
+            const pack = await this.inspect(path.join(packsDir, name));
+            if (!pack) continue;
+            packs.push({ ...pack, active: !!active && active.enabled && active.fileName === name });
+        }
+        return packs.sort((a, b) => a.fileName.localeCompare(b.fileName));
+    }
+
+    /**
+     * 检查光影包结构；Iris 专用光影会在 shaders.properties 中声明 iris.features.required
+     */
+    async inspect(packPath) {
+        const source = await this.packReader.open(packPath);
+        if (!source) return null;
+
+        const entries = await source.list();
+        const valid = entries.some(entry => entry.startsWith('shaders/'));
+
+        let irisOnly = false;
+        if (valid) {
+            const properties = await source.read('shaders/shaders.properties');
+            irisOnly = !!properties && /^\s*iris\.features\.required\s*=/m.test(properties.toString('utf8'));
+        }
+
+        return { fileName: path.basename(packPath), type: source.type, valid, irisOnly };
+    }
+
+    /**
+     * 当前使用的光影（优先读取 Iris 配置）
+     * @returns {Promise<Object|null>} { fileName, enabled, source }
+     */
+    async getActiveShader(instanceId = null) {
+        const gameDir = this.getGameDirectory(instanceId);
+
+        const iris = await new HCLOptionsFile(path.join(gameDir, IRIS_CONFIG), '=').load();
+        const irisPack = iris.get('shaderPack');
+        if (irisPack) {
+            return { fileName: irisPack, enabled: iris.get('enableShaders') !== 'false', source: 'iris' };
+        }
+
+        const optifine = await new HCLOptionsFile(path.join(gameDir, OPTIFINE_CONFIG), '=').load();
+        const optifinePack = optifine.get('shaderPack');
+        if (optifinePack && !OPTIFINE_DISABLED.includes(optifinePack)) {
+            return { fileName: optifinePack, enabled: true, source: 'optifine' };
+        }
+        return null;
+    }
+
+    /**
+     * 设置当前光影
+     * @param {string|null} fileName - 光影包文件名，null 表示关闭光影
+     */
+    async setActiveShader(instanceId, fileName) {
+        const gameDir = this.getGameDirectory(instanceId);
+
+        if (fileName) {
+            const pack = await this.inspect(path.join(this.getPacksDirectory(instanceId), path.basename(fileName)));
+            if (!pack) {
+                throw new Error(`光影包不存在: ${fileName}`);
+            }
+            if (!pack.valid) {
+                throw new Error(`不是有效的光影包: ${fileName}`);
+            }
+        }
+
+        const iris = await new HCLOptionsFile(path.join(gameDir, IRIS_CONFIG), '=').load();
+        if (fileName) {
+            iris.set('shaderPack', path.basename(fileName));
+        }
+        iris.set('enableShaders', fileName ? 'true' : 'false');
+        await iris.save();
+
+        const optifine = await new HCLOptionsFile(path.join(gameDir, OPTIFINE_CONFIG), '=').load();
+        optifine.set('shaderPack', fileName ? path.basename(fileName) : 'OFF');
+        await optifine.save();
+
+        this.emit('shader-changed', { instanceId, fileName: fileName || null });
+        return { success: true };
+    }
+}
+
+module.exports = HCLShaderPackManager;
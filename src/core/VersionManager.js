@@ -1,14 +1,44 @@
 const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const HCLForgeInstaller = require('./ForgeInstaller');
+
+// 安装中标记文件，存在时该版本不会被视为已安装
+const INSTALLING_MARKER = '.hcl-installing';
+
+// 安装时被覆盖的版本 JSON 的备份后缀
+const BACKUP_SUFFIX = '.hcl-backup';
+
+// 模组加载器元数据接口
+const LOADER_META = {
+    fabric: { name: 'Fabric', metaUrl: 'https://meta.fabricmc.net/v2', idPrefix: 'fabric-loader' },
+    quilt: { name: 'Quilt', metaUrl: 'https://meta.quiltmc.org/v3', idPrefix: 'quilt-loader' }
+};
+
+// 通过安装器安装的加载器
+const INSTALLER_LOADER_NAMES = {
+    forge: 'Forge',
+    neoforge: 'NeoForge'
+};
 
 class HCLVersionManager extends EventEmitter {
-    constructor(configManager, downloadManager) {
+    /**
+     * @param {Object} javaDetector - Java 检测器（为 Forge 处理器选择 Java，可选）
+     */
+    constructor(configManager, downloadManager, javaDetector = null) {
         super();
         this.configManager = configManager;
         this.downloadManager = downloadManager;
         this.versions = new Map();
         this.installedVersions = new Set();
+        this.installJobs = new Map();
+        this.forgeInstaller = new HCLForgeInstaller(configManager, downloadManager, javaDetector);
+    }
+
+    async initialize() {
+        await this.loadInstallJobs();
+        await this.scanInstalledVersions();
     }
 
     async loadVersionList() {
@@ -63,7 +93,8 @@ class HCLVersionManager extends EventEmitter {
             
             for (const versionDir of versionDirs) {
                 const versionJsonPath = path.join(versionsDir, versionDir, `${versionDir}.json`);
-                if (await this.fileExists(versionJsonPath)) {
+                const markerPath = path.join(versionsDir, versionDir, INSTALLING_MARKER);
+                if (await this.fileExists(versionJsonPath) && !(await this.fileExists(markerPath))) {
                     this.installedVersions.add(versionDir);
                 }
             }
@@ -76,44 +107,427 @@ class HCLVersionManager extends EventEmitter {
         }
     }
 
+    /**
+     * 安装版本（创建安装任务并执行）
+     * @param {string} versionId - 版本 ID
+     * @returns {Promise<Object>} 任务结束时的结果（完成、暂停或取消）
+     */
     async installVersion(versionId) {
+        return await this.startInstallJob(versionId);
+    }
+
+    /**
+     * 创建安装任务并执行，已存在的暂停或失败任务会被恢复
+     * @param {string} versionId - 安装后的版本 ID
+     * @param {Object} loader - 模组加载器信息 { type, version, gameVersion }（原版为 null）
+     */
+    async startInstallJob(versionId, loader = null) {
         if (this.installedVersions.has(versionId)) {
             throw new Error(`版本 ${versionId} 已安装`);
         }
 
+        const existingJob = Array.from(this.installJobs.values()).find(job => job.versionId === versionId);
+        if (existingJob) {
+            if (existingJob.state === 'paused' || existingJob.state === 'failed') {
+                return await this.resumeInstall(existingJob.id);
+            }
+            throw new Error(`版本 ${versionId} 正在安装中`);
+        }
+
+        const job = {
+            id: crypto.randomBytes(8).toString('hex'),
+            versionId,
+            loader,
+            state: 'running',
+            step: null,
+            createdVersionDir: false,
+            createdAt: new Date().toISOString(),
+            controller: null,
+            promise: null
+        };
+
+        this.installJobs.set(job.id, job);
+        return await this.runInstallJob(job);
+    }
+
+    getLoaderName(type) {
+        return INSTALLER_LOADER_NAMES[type] || this.getLoaderMeta(type).name;
+    }
+
+    getLoaderMeta(type) {
+        const meta = LOADER_META[type];
+        if (!meta) {
+            throw new Error(`不支持的模组加载器: ${type}`);
+        }
+        return meta;
+    }
+
+    /**
+     * 获取游戏版本可用的加载器版本
+     * @param {string} type - fabric / quilt / forge / neoforge
+     * @param {string} gameVersion - 游戏版本
+     * @returns {Promise<Array<{version: string, stable: boolean}>>} 按新到旧排列
+     */
+    async getLoaderVersions(type, gameVersion) {
+        if (this.forgeInstaller.supports(type)) {
+            return await this.forgeInstaller.getVersions(type, gameVersion);
+        }
+
+        const meta = this.getLoaderMeta(type);
+        const list = await this.downloadManager.fetchJson(
+            `${meta.metaUrl}/versions/loader/${encodeURIComponent(gameVersion)}`
+        );
+
+        return (list || []).map(item => ({
+            version: item.loader.version,
+            // Quilt 接口不提供 stable 字段，按版本号判断
+            stable: item.loader.stable !== undefined ?
+                item.loader.stable :
+                !/-(alpha|beta|pre|rc)/i.test(item.loader.version)
+        }));
+    }
+
+    getLoaderVersionId(type, gameVersion, loaderVersion) {
+        if (this.forgeInstaller.supports(type)) {
+            return this.forgeInstaller.getVersionId(type, gameVersion, loaderVersion);
+        }
+        return `${this.getLoaderMeta(type).idPrefix}-${loaderVersion}-${gameVersion}`;
+    }
+
+    /**
+     * 安装模组加载器
+     * 先确保原版已安装，再生成 inheritsFrom 原版的版本 JSON 并下载加载器库文件
+     * Forge / NeoForge 还需执行安装器中的处理器
+     * @param {string} type - fabric / quilt / forge / neoforge
+     * @param {string} gameVersion - 游戏版本
+     * @param {string} loaderVersion - 加载器版本（为空时使用最新稳定版）
+     */
+    async installLoader(type, gameVersion, loaderVersion = null) {
+        let version = loaderVersion;
+        if (!version) {
+            const versions = await this.getLoaderVersions(type, gameVersion);
+            const latest = versions.find(v => v.stable) || versions[0];
+            if (!latest) {
+                throw new Error(`${this.getLoaderName(type)} 不支持游戏版本 ${gameVersion}`);
+            }
+            version = latest.version;
+        }
+
+        if (!this.installedVersions.has(gameVersion)) {
+            const result = await this.installVersion(gameVersion);
+            if (!result.success) {
+                return result;
+            }
+        }
+
+        const versionId = this.getLoaderVersionId(type, gameVersion, version);
+        return await this.startInstallJob(versionId, { type, version, gameVersion });
+    }
+
+    /**
+     * 获取加载器生成的版本 JSON
+     */
+    async fetchLoaderProfile(job, options = {}) {
+        const { type, version, gameVersion } = job.loader;
+        const meta = this.getLoaderMeta(type);
+
+        const profile = await this.downloadManager.fetchJson(
+            `${meta.metaUrl}/versions/loader/${encodeURIComponent(gameVersion)}/${encodeURIComponent(version)}/profile/json`,
+            options
+        );
+
+        return { ...profile, id: job.versionId, inheritsFrom: gameVersion };
+    }
+
+    /**
+     * 执行安装任务
+     * 任务可重复执行：已完成的文件会通过校验跳过，未完成的 .part 文件会续传
+     */
+    async runInstallJob(job) {
+        // 保留执行中的任务，取消时需等待其结束后再回滚
+        const promise = this.executeInstallJob(job);
+        job.promise = promise;
+        try {
+            return await promise;
+        } finally {
+            if (job.promise === promise) {
+                job.promise = null;
+            }
+        }
+    }
+
+    async executeInstallJob(job) {
+        job.state = 'running';
+        job.error = null;
+        const controller = new AbortController();
+        job.controller = controller;
+        const options = { jobId: job.id, signal: controller.signal };
+
+        const versionId = job.versionId;
+        const versionDir = path.join(this.configManager.getGameDirectory(), 'versions', versionId);
+        const markerPath = path.join(versionDir, INSTALLING_MARKER);
+
+        await this.saveInstallJobs();
+        this.emitJobUpdate(job);
+
         try {
             this.emit('version-install-start', versionId);
-            
+
             // 下载版本文件
-            const versionJson = await this.downloadManager.downloadVersionJson(versionId);
-            
-            // 创建版本目录
-            const versionDir = path.join(this.configManager.getGameDirectory(), 'versions', versionId);
+            job.step = 'version-json';
+            let versionJson;
+            let forgeContext = null;
+            if (job.loader && this.forgeInstaller.supports(job.loader.type)) {
+                forgeContext = await this.forgeInstaller.prepare(job.loader, versionId, options);
+                versionJson = forgeContext.versionJson;
+            } else if (job.loader) {
+                versionJson = await this.fetchLoaderProfile(job, options);
+            } else {
+                versionJson = await this.downloadManager.downloadVersionJson(versionId, options);
+            }
+
+            // 创建版本目录并写入安装中标记
+            this.downloadManager.throwIfAborted(controller.signal);
+            if (!(await this.fileExists(versionDir))) {
+                job.createdVersionDir = true;
+            }
             await fs.mkdir(versionDir, { recursive: true });
-            
+            await fs.writeFile(markerPath, job.id, 'utf8');
+
+            // 覆盖已有的版本 JSON 前先备份，取消时恢复（只在首次执行时备份）
+            const versionJsonPath = path.join(versionDir, `${versionId}.json`);
+            if (job.versionJsonBackup === undefined) {
+                job.versionJsonBackup = null;
+                if (await this.fileExists(versionJsonPath)) {
+                    job.versionJsonBackup = `${versionJsonPath}${BACKUP_SUFFIX}`;
+                    await fs.copyFile(versionJsonPath, job.versionJsonBackup);
+                }
+            }
+            await this.saveInstallJobs();
+
             // 保存版本JSON
-            await fs.writeFile(
-                path.join(versionDir, `${versionId}.json`),
-                JSON.stringify(versionJson, null, 2)
-            );
-            
-            // 下载客户端JAR
-            await this.downloadManager.downloadClient(versionJson, versionDir);
-            
-            // 下载资源文件
-            await this.downloadManager.downloadAssets(versionJson);
-            
+            await fs.writeFile(versionJsonPath, JSON.stringify(versionJson, null, 2));
+
+            // 加载器版本使用原版的客户端与资源文件
+            if (!job.loader) {
+                // 下载客户端JAR
+                job.step = 'client';
+                this.emitJobUpdate(job);
+                await this.downloadManager.downloadClient(versionJson, versionDir, options);
+
+                // 下载资源文件
+                job.step = 'assets';
+                this.emitJobUpdate(job);
+                await this.downloadManager.downloadAssets(versionJson, options);
+            }
+
             // 下载库文件
-            await this.downloadManager.downloadLibraries(versionJson);
-            
+            job.step = 'libraries';
+            this.emitJobUpdate(job);
+            if (forgeContext) {
+                await this.forgeInstaller.installLibraries(forgeContext, options);
+
+                // 执行安装器处理器（生成补丁后的客户端等文件）
+                job.step = 'processors';
+                this.emitJobUpdate(job);
+                await this.forgeInstaller.runProcessors(forgeContext, options);
+            } else {
+                await this.downloadManager.downloadLibraries(versionJson, options);
+            }
+
+            this.downloadManager.throwIfAborted(controller.signal);
+            await fs.rm(markerPath, { force: true });
+            if (job.versionJsonBackup) {
+                await fs.rm(job.versionJsonBackup, { force: true });
+            }
+
+            job.state = 'completed';
+            this.installJobs.delete(job.id);
+            await this.saveInstallJobs();
+            this.emitJobUpdate(job);
+
             this.installedVersions.add(versionId);
             this.emit('version-install-complete', versionId);
-            
-            return { success: true, version: versionId };
+
+            return { success: true, version: versionId, jobId: job.id };
         } catch (error) {
+            // 暂停导致的中止；已取消的任务无论因何结束都由 cancelInstall 回滚；
+            // 任务已被重新执行时，旧的执行不再修改任务状态
+            if ((error.code === 'ABORTED' && job.state === 'paused') || job.state === 'cancelled' ||
+                job.controller !== controller) {
+                return { success: false, version: versionId, jobId: job.id, state: job.state };
+            }
+
+            job.state = 'failed';
+            job.error = error.message;
+            await this.saveInstallJobs();
+            this.emitJobUpdate(job);
+
             this.emit('version-install-error', { version: versionId, error: error.message });
             throw error;
+        } finally {
+            if (job.controller === controller) {
+                job.controller = null;
+            }
+        }
+    }
+
+    /**
+     * 暂停安装任务（保留已下载的部分文件）
+     */
+    async pauseInstall(jobId) {
+        const job = this.getInstallJob(jobId);
+        if (job.state !== 'running') {
+            return false;
+        }
+
+        job.state = 'paused';
+        if (job.controller) {
+            job.controller.abort();
         }
+        await this.waitForJob(job);
+
+        await this.saveInstallJobs();
+        this.emitJobUpdate(job);
+        return true;
+    }
+
+    /**
+     * 恢复安装任务
+     */
+    async resumeInstall(jobId) {
+        const job = this.getInstallJob(jobId);
+        if (job.state !== 'paused' && job.state !== 'failed') {
+            throw new Error(`安装任务无法恢复: ${job.state}`);
+        }
+
+        // 暂停的执行可能仍在等待进行中的步骤结束，两次执行不能同时写入版本目录
+        await this.waitForJob(job);
+        if (job.state !== 'paused' && job.state !== 'failed') {
+            throw new Error(`安装任务无法恢复: ${job.state}`);
+        }
+
+        return await this.runInstallJob(job);
+    }
+
+    /**
+     * 等待任务当前的执行结束（忽略其错误）
+     */
+    async waitForJob(job) {
+        if (!job.promise) {
+            return;
+        }
+        try {
+            await job.promise;
+        } catch (error) {
+            // 执行结果由 runInstallJob 的调用方处理
+        }
+    }
+
+    /**
+     * 取消安装任务并回滚未完成的版本目录
+     */
+    async cancelInstall(jobId) {
+        const job = this.getInstallJob(jobId);
+
+        job.state = 'cancelled';
+        if (job.controller) {
+            job.controller.abort();
+        }
+
+        // 等待执行中的任务结束，避免其在回滚后继续写入版本目录
+        await this.waitForJob(job);
+
+        const versionDir = path.join(this.configManager.getGameDirectory(), 'versions', job.versionId);
+        try {
+            if (job.createdVersionDir) {
+                await fs.rm(versionDir, { recursive: true, force: true });
+            } else {
+                // 目录原本就存在：恢复原来的版本 JSON，没有原文件时删除本次写入的 JSON
+                const versionJsonPath = path.join(versionDir, `${job.versionId}.json`);
+                if (job.versionJsonBackup) {
+                    await fs.rename(job.versionJsonBackup, versionJsonPath);
+                } else if (job.versionJsonBackup === null) {
+                    await fs.rm(versionJsonPath, { force: true });
+                }
+                await fs.rm(path.join(versionDir, INSTALLING_MARKER), { force: true });
+            }
+        } catch (error) {
+            console.warn('回滚版本目录失败:', error);
+        }
+
+        this.installJobs.delete(job.id);
+        await this.saveInstallJobs();
+        this.emitJobUpdate(job);
+
+        this.emit('version-install-cancelled', job.versionId);
+        return true;
+    }
+
+    getInstallJob(jobId) {
+        const job = this.installJobs.get(jobId);
+        if (!job) {
+            throw new Error(`安装任务不存在: ${jobId}`);
+        }
+        return job;
+    }
+
+    /**
+     * 获取所有安装任务
+     */
+    getInstallJobs() {
+        return Array.from(this.installJobs.values()).map(job => this.serializeJob(job));
+    }
+
+    serializeJob(job) {
+        const { controller, promise, ...data } = job;
+        return data;
+    }
+
+    emitJobUpdate(job) {
+        this.emit('install-job-updated', this.serializeJob(job));
+    }
+
+    getInstallJobsPath() {
+        return path.join(this.configManager.getPaths().appDataPath, 'install-jobs.json');
+    }
+
+    /**
+     * 保存未完成的安装任务（重启后可恢复）
+     */
+    async saveInstallJobs() {
+        try {
+            await fs.writeFile(
+                this.getInstallJobsPath(),
+                JSON.stringify(this.getInstallJobs(), null, 2),
+                'utf8'
+            );
+        } catch (error) {
+            console.warn('保存安装任务失败:', error);
+        }
+    }
+
+    /**
+     * 加载安装任务，上次运行中断的任务视为暂停
+     */
+    async loadInstallJobs() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.getInstallJobsPath(), 'utf8'));
+
+            this.installJobs.clear();
+            for (const job of data) {
+                if (job.state === 'running') {
+                    job.state = 'paused';
+                }
+                this.installJobs.set(job.id, { ...job, controller: null });
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('加载安装任务失败:', error);
+            }
+        }
+
+        return this.getInstallJobs();
     }
 
     async uninstallVersion(versionId) {
@@ -0,0 +1,111 @@
+// src/core/VersionResolver.js
+/**
+ * HCL 版本解析器
+ * 沿 inheritsFrom 链合并版本 JSON（Forge、Fabric、OptiFine 等加载器生成的版本）
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const HCLArgumentResolver = require('./ArgumentResolver');
+
+class HCLVersionResolver {
+    constructor(configManager, argumentResolver = new HCLArgumentResolver()) {
+        this.configManager = configManager;
+        this.argumentResolver = argumentResolver;
+    }
+
+    getVersionsDir() {
+        return path.join(this.configManager.getGameDirectory(), 'versions');
+    }
+
+    /**
+     * 读取单个版本 JSON
+     */
+    async readVersionJson(versionId) {
+        const jsonPath = path.join(this.getVersionsDir(), versionId, `${versionId}.json`);
+        const json = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+        return { ...json, id: json.id || versionId };
+    }
+
+    /**
+     * 解析版本：读取 inheritsFrom 链并从最顶层父版本开始逐级合并
+     * @param {string} versionId - 版本 ID
+     * @returns {Promise<Object>} 合并后的版本 JSON，jar 字段为实际使用的客户端版本
+     */
+    async resolve(versionId) {
+        const chain = [];
+        const visited = new Set();
+        let currentId = versionId;
+
+        while (currentId) {
+            if (visited.has(currentId)) {
+                const cycle = [...chain.map(json => json.id), currentId].join(' -> ');
+                throw new Error(`版本继承存在循环: ${cycle}`);
+            }
+            visited.add(currentId);
+
+            let json;
+            try {
+                json = await this.readVersionJson(currentId);
+            } catch (error) {
+                if (chain.length === 0) {
+                    throw new Error(`游戏版本未安装: ${currentId}`);
+                }
+                throw new Error(`版本 ${chain[chain.length - 1].id} 依赖的父版本 ${currentId} 未安装或已损坏`);
+            }
+
+            chain.push(json);
+            currentId = json.inheritsFrom;
+        }
+
+        const root = chain.pop();
+        let merged = { ...root, jar: root.jar || root.id };
+        while (chain.length > 0) {
+            merged = this.merge(merged, chain.pop());
+        }
+
+        return merged;
+    }
+
+    /**
+     * 合并父版本与子版本
+     * 库文件子版本优先，参数拼接，assets、javaVersion、logging 等未指定时继承父版本
+     */
+    merge(parent, child) {
+        const merged = { ...parent, ...child };
+        delete merged.inheritsFrom;
+
+        merged.jar = child.jar || parent.jar || parent.id;
+
+        // 库文件解析时同一构件保留第一个，子版本放在前面即可覆盖父版本
+        merged.libraries = [...(child.libraries || []), ...(parent.libraries || [])];
+
+        if (child.arguments) {
+            // 父版本为旧格式时先转换为参数模板
+            const base = parent.arguments ||
+                (parent.minecraftArguments ? this.argumentResolver.getArgumentTemplates(parent) : {});
+            const childJvm = child.arguments.jvm;
+
+            merged.arguments = {
+                game: [...(base.game || []), ...(child.arguments.game || [])],
+                // 两者都未提供 jvm 参数时保持为空，由参数解析器使用默认值
+                jvm: base.jvm || childJvm ? [...(base.jvm || []), ...(childJvm || [])] : undefined
+            };
+            delete merged.minecraftArguments;
+        } else if (child.minecraftArguments) {
+            // 旧格式的子版本提供完整的参数字符串
+            delete merged.arguments;
+        }
+
+        return merged;
+    }
+
+    /**
+     * 获取客户端 jar 路径（jar 字段指定时使用对应版本的客户端）
+     */
+    getClientJarPath(versionInfo) {
+        const jarId = versionInfo.jar || versionInfo.id;
+        return path.join(this.getVersionsDir(), jarId, `${jarId}.jar`);
+    }
+}
+
+module.exports = HCLVersionResolver;
@@ -0,0 +1,236 @@
+// src/core/YggdrasilAuthenticator.js
+/**
+ * HCL Yggdrasil 认证器
+ * 支持 authlib-injector 规范的第三方认证服务器（API 地址发现、登录、刷新、验证）
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const HCLAuthError = require('./AuthError');
+
+const { CODES } = HCLAuthError;
+
+const API_LOCATION_HEADER = 'x-authlib-injector-api-location';
+
+class HCLYggdrasilAuthenticator {
+    constructor(configManager) {
+        this.configManager = configManager;
+    }
+
+    getTimeout() {
+        return parseInt(this.configManager.getConfig().downloadTimeout) || 30000;
+    }
+
+    /**
+     * 规范化用户输入的服务器地址
+     */
+    normalizeUrl(url) {
+        let normalized = (url || '').trim();
+        if (!normalized) {
+            throw new HCLAuthError(CODES.SERVER_ERROR, '认证服务器地址不能为空');
+        }
+
+        if (!/^https?:\/\//i.test(normalized)) {
+            normalized = `https://${normalized}`;
+        }
+        return normalized.replace(/\/+$/, '');
+    }
+
+    /**
+     * API 地址发现：读取 X-Authlib-Injector-API-Location 响应头并获取元数据
+     * @param {string} serverUrl - 用户输入的服务器地址
+     * @returns {Promise<{apiRoot: string, metadata: Object}>}
+     */
+    async discover(serverUrl) {
+        let apiRoot = this.normalizeUrl(serverUrl);
+
+        const response = await this.send('get', apiRoot);
+        const location = response.headers[API_LOCATION_HEADER];
+
+        if (location) {
+            const resolved = new URL(location, `${apiRoot}/`).toString().replace(/\/+$/, '');
+            if (resolved !== apiRoot) {
+                apiRoot = resolved;
+                return { apiRoot, metadata: (await this.send('get', apiRoot)).data };
+            }
+        }
+
+        if (!response.data || typeof response.data !== 'object' || !response.data.meta) {
+            throw new HCLAuthError(CODES.SERVER_ERROR, '该地址不是有效的 Yggdrasil 认证服务器');
+        }
+
+        return { apiRoot, metadata: response.data };
+    }
+
+    /**
+     * 使用账号密码登录
+     * @returns {Promise<Object>} 账户数据；服务器返回多个角色且未选择时 needsProfileSelection 为 true
+     */
+    async authenticate(serverUrl, username, password) {
+        const { apiRoot, metadata } = await this.discover(serverUrl);
+        const clientToken = crypto.randomUUID().replace(/-/g, '');
+
+        const data = await this.post(apiRoot, '/authserver/authenticate', {
+            agent: { name: 'Minecraft', version: 1 },
+            username,
+            password,
+            clientToken,
+            requestUser: true
+        });
+
+        const profiles = data.availableProfiles || [];
+        if (profiles.length === 0 && !data.selectedProfile) {
+            throw new HCLAuthError(CODES.NO_MINECRAFT_PROFILE, '该账户在认证服务器上没有可用的角色');
+        }
+
+        const selectedProfile = data.selectedProfile || (profiles.length === 1 ? profiles[0] : null);
+
+        return {
+            type: 'yggdrasil',
+            authServer: apiRoot,
+            serverName: (metadata.meta && metadata.meta.serverName) || apiRoot,
+            loginName: username,
+            username: selectedProfile ? selectedProfile.name : username,
+            uuid: selectedProfile ? this.formatUUID(selectedProfile.id) : null,
+            accessToken: data.accessToken,
+            clientToken: data.clientToken || clientToken,
+            availableProfiles: profiles.map(p => ({ id: this.formatUUID(p.id), name: p.name })),
+            needsProfileSelection: !selectedProfile,
+            metadata: this.encodeMetadata(metadata)
+        };
+    }
+
+    /**
+     * 为多角色账户选择角色（通过 refresh 绑定角色）
+     */
+    async selectProfile(account, profileId) {
+        const profile = (account.availableProfiles || []).find(p => p.id === profileId);
+        if (!profile) {
+            throw new HCLAuthError(CODES.NO_MINECRAFT_PROFILE, `角色不存在: ${profileId}`);
+        }
+
+        const data = await this.post(account.authServer, '/authserver/refresh', {
+            accessToken: account.accessToken,
+            clientToken: account.clientToken,
+            requestUser: true,
+            selectedProfile: { id: profile.id.replace(/-/g, ''), name: profile.name }
+        });
+
+        return {
+            username: profile.name,
+            uuid: profile.id,
+            accessToken: data.accessToken,
+            clientToken: data.clientToken || account.clientToken,
+            needsProfileSelection: false
+        };
+    }
+
+    /**
+     * 验证访问令牌
+     * @returns {Promise<boolean>}
+     */
+    async validate(account) {
+        if (!account.accessToken) return false;
+
+        try {
+            await this.post(account.authServer, '/authserver/validate', {
+                accessToken: account.accessToken,
+                clientToken: account.clientToken
+            });
+            return true;
+        } catch (error) {
+            if (error.status === 403 || error.code === CODES.INVALID_CREDENTIALS) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 刷新访问令牌
+     */
+    async refresh(account) {
+        const data = await this.post(account.authServer, '/authserver/refresh', {
+            accessToken: account.accessToken,
+            clientToken: account.clientToken,
+            requestUser: true
+        });
+
+        const profile = data.selectedProfile;
+        return {
+            username: profile ? profile.name : account.username,
+            uuid: profile ? this.formatUUID(profile.id) : account.uuid,
+            accessToken: data.accessToken,
+            clientToken: data.clientToken || account.clientToken
+        };
+    }
+
+    /**
+     * 获取启动时预取的元数据（Base64），网络不可用时使用登录时保存的副本
+     */
+    async getPrefetchedMetadata(account) {
+        try {
+            const response = await this.send('get', account.authServer);
+            return this.encodeMetadata(response.data);
+        } catch (error) {
+            if (account.metadata) {
+                return account.metadata;
+            }
+            throw error;
+        }
+    }
+
+    encodeMetadata(metadata) {
+        return Buffer.from(JSON.stringify(metadata), 'utf8').toString('base64');
+    }
+
+    formatUUID(id) {
+        if (!id || id.includes('-')) return id;
+        return id.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+    }
+
+    /**
+     * 发送 Yggdrasil POST 请求
+     */
+    async post(apiRoot, endpoint, body) {
+        try {
+            return (await this.send('post', `${apiRoot}${endpoint}`, body)).data;
+        } catch (error) {
+            // Yggdrasil 使用 ForbiddenOperationException 表示凭据或令牌无效
+            if (error.status === 403) {
+                const message = (error.details && error.details.errorMessage) || '用户名或密码错误';
+                const authError = new HCLAuthError(CODES.INVALID_CREDENTIALS, message, error.details);
+                authError.status = 403;
+                throw authError;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 发送请求，统一转换错误
+     */
+    async send(method, url, data = null) {
+        try {
+            return await axios({
+                method,
+                url,
+                data,
+                timeout: this.getTimeout(),
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+            });
+        } catch (error) {
+            if (error.response) {
+                const authError = new HCLAuthError(
+                    CODES.SERVER_ERROR,
+                    `认证服务器返回错误 (${error.response.status})`,
+                    error.response.data
+                );
+                authError.status = error.response.status;
+                throw authError;
+            }
+            throw new HCLAuthError(CODES.NETWORK_ERROR, `网络请求失败: ${error.message}`);
+        }
+    }
+}
+
+module.exports = HCLYggdrasilAuthenticator;
@@ -123,11 +123,14 @@ class HCLConfigManager {
             // 账户设置
             lastUsedAccount: null,
             autoLogin: false,
+            microsoftClientId: '',
+            microsoftAuthEndpoints: {},
             
             // 下载设置
             maxThreads: 2,
             maxRetries: 3,
             downloadTimeout: 30000,
+            autoSwitchMirror: true,
             
             // 启动设置
             closeOnLaunch: false,
@@ -138,7 +141,18 @@ class HCLConfigManager {
             mirrorSites: {
                 official: 'https://launchermeta.mojang.com',
                 bmclapi: 'https://bmclapi2.bangbang93.com'
-            }
+            },
+            // 自定义镜像: { id, name, baseUrl } 或 { id, name, rewrites: { 官方地址前缀: 镜像地址前缀 } }
+            customMirrors: [],
+            
+            // 模组与整合包仓库设置
+            curseforgeApiBase: 'https://api.curseforge.com',
+            curseforgeApiKey: '',
+            modrinthApiBase: 'https://api.modrinth.com',
+            
+            // 存档备份（0 表示不限制）
+            worldBackupMaxCount: 10,
+            worldBackupMaxAgeDays: 0
         };
         
         try {
@@ -286,6 +300,13 @@ hcl-data/             - 用户数据和配置
         return { ...this.config };
     }
     
+    /**
+     * 获取游戏目录
+     */
+    getGameDirectory() {
+        return (this.config && this.config.gameDirectory) || this.gameDirectory;
+    }
+    
     /**
      * 保存配置
      */
@@ -14,7 +14,14 @@ class HCLDataManager {
         this.dataPath = null;
         this.encryptionKey = null;
         this.dataCache = new Map();
-        this.init();
+        this.ready = this.init();
+    }
+    
+    /**
+     * 等待初始化完成
+     */
+    async initialize() {
+        return await this.ready;
     }
     
     async init() {
@@ -68,6 +75,10 @@ class HCLDataManager {
             'quick-launch-profiles': [], // 快速启动配置
             'version-cache': [],         // 版本缓存
             'avatar-cache': {},          // 头像缓存
+            'java-cache': {},            // Java 检测缓存
+            'java-manual': [],           // 手动添加的 Java
+            'mod-metadata-cache': {},    // 模组元数据缓存
+            'mod-file-index': {},        // 模组文件 -> SHA-1 索引
             'download-cache': {},        // 下载缓存
             'game-stats': {},            // 游戏统计
             'user-preferences': {        // 用户偏好
@@ -146,6 +157,9 @@ class HCLDataManager {
                 }
             }
             
+            // 去除元数据，数组数据保存在 items 字段中
+            parsedData = this.stripMetadata(parsedData);
+            
             // 解密敏感数据
             if (this.isSensitiveFile(filename)) {
                 parsedData = this.decryptSensitiveData(parsedData);
@@ -178,7 +192,7 @@ class HCLDataManager {
         const filePath = path.join(this.dataPath, `${filename}.json`);
         
         try {
-            let dataToSave = { ...data };
+            let dataToSave = Array.isArray(data) ? [...data] : { ...data };
             
             // 加密敏感数据
             if (this.isSensitiveFile(filename)) {
@@ -186,14 +200,14 @@ class HCLDataManager {
             }
             
             // 添加元数据
-            const dataWithMeta = {
-                _metadata: {
-                    version: '1.0.0',
-                    saveTime: new Date().toISOString(),
-                    dataVersion: 1
-                },
-                ...dataToSave
+            const metadata = {
+                version: '1.0.0',
+                saveTime: new Date().toISOString(),
+                dataVersion: 1
             };
+            const dataWithMeta = Array.isArray(dataToSave) ?
+                { _metadata: metadata, items: dataToSave } :
+                { _metadata: metadata, ...dataToSave };
             
             const jsonData = JSON.stringify(dataWithMeta, null, 2);
             
@@ -280,6 +294,29 @@ class HCLDataManager {
         }
     }
     
+    /**
+     * 去除保存时添加的元数据
+     */
+    stripMetadata(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || !data._metadata) {
+            return data;
+        }
+        
+        const { _metadata, ...rest } = data;
+        
+        if (Array.isArray(rest.items) && Object.keys(rest).length === 1) {
+            return rest.items;
+        }
+        
+        // 兼容旧格式：数组曾被展开为以数字为键的对象
+        const keys = Object.keys(rest);
+        if (keys.length > 0 && keys.every(key => /^\d+$/.test(key))) {
+            return keys.sort((a, b) => a - b).map(key => rest[key]);
+        }
+        
+        return rest;
+    }
+    
     /**
      * 检查是否为敏感文件
      */
@@ -294,7 +331,7 @@ class HCLDataManager {
     encryptSensitiveData(data) {
         if (!this.encryptionKey) return data;
         
-        const encryptedData = { ...data };
+        const encryptedData = Array.isArray(data) ? [...data] : { ...data };
         
         // 只加密特定字段
         if (Array.isArray(encryptedData)) {
@@ -318,7 +355,7 @@ class HCLDataManager {
     decryptSensitiveData(data) {
         if (!this.encryptionKey) return data;
         
-        const decryptedData = { ...data };
+        const decryptedData = Array.isArray(data) ? [...data] : { ...data };
         
         if (Array.isArray(decryptedData)) {
             decryptedData.forEach((item, index) => {
@@ -399,7 +436,8 @@ class HCLDataManager {
      * 账户管理
      */
     async getAccounts() {
-        return await this.loadData('accounts', []);
+        const accounts = await this.loadData('accounts', []);
+        return Array.isArray(accounts) ? accounts.filter(Boolean) : [];
     }
     
     async saveAccounts(accounts) {
@@ -467,7 +505,14 @@ class HCLDataManager {
     }
     
     generateAccountId(account) {
-        if (account.uuid) {
+        if (account.type === 'yggdrasil') {
+            // 同一认证服务器的同一登录名视为同一账户（角色可切换）
+            const hash = crypto.createHash('md5')
+                .update(`${account.authServer}_${account.loginName}`)
+                .digest('hex')
+                .substring(0, 12);
+            return `ygg_${hash}`;
+        } else if (account.type !== 'offline' && account.uuid) {
             return `msa_${account.uuid.replace(/-/g, '')}`;
         } else {
             const hash = crypto.createHash('md5')
@@ -564,6 +609,44 @@ class HCLDataManager {
         return cleared;
     }
     
+    /**
+     * Java 检测缓存管理（路径 -> { mtime, info }）
+     */
+    async getJavaCache() {
+        return await this.loadData('java-cache', {});
+    }
+    
+    async saveJavaCache(cache) {
+        return await this.saveData('java-cache', cache);
+    }
+    
+    async getModMetadataCache() {
+        return await this.loadData('mod-metadata-cache', {});
+    }
+    
+    async saveModMetadataCache(cache) {
+        return await this.saveData('mod-metadata-cache', cache);
+    }
+    
+    /**
+     * 模组文件索引（路径 -> { size, mtimeMs, sha1 }）
+     */
+    async getModFileIndex() {
+        return await this.loadData('mod-file-index', {});
+    }
+    
+    async saveModFileIndex(index) {
+        return await this.saveData('mod-file-index', index);
+    }
+    
+    async getManualJavaPaths() {
+        return await this.loadData('java-manual', []);
+    }
+    
+    async saveManualJavaPaths(paths) {
+        return await this.saveData('java-manual', paths);
+    }
+    
     /**
      * 用户偏好管理
      */
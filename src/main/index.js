@@ -3,18 +3,51 @@ const path = require('path');
 const HCLConfigManager = require('../core/ConfigManager');
 const HCLDataManager = require('../core/DataManager');
 const HCLAccountManager = require('../core/AccountManager');
+const HCLMicrosoftAuthenticator = require('../core/MicrosoftAuthenticator');
+const HCLYggdrasilAuthenticator = require('../core/YggdrasilAuthenticator');
+const HCLSessionValidator = require('../core/SessionValidator');
 const HCLDownloadManager = require('../core/DownloadManager');
+const HCLVersionManager = require('../core/VersionManager');
 const HCLGameManager = require('../core/GameManager');
+const HCLJavaLauncher = require('../core/JavaLauncher');
+const HCLAvatarFetcher = require('../core/AvatarFetcher');
+const HCLGameSupervisor = require('../core/GameSupervisor');
+const HCLInstanceManager = require('../core/InstanceManager');
+const HCLModManager = require('../core/ModManager');
+const HCLResourcePackManager = require('../core/ResourcePackManager');
+const HCLShaderPackManager = require('../core/ShaderPackManager');
+const HCLDataPackManager = require('../core/DataPackManager');
+const HCLSaveManager = require('../core/SaveManager');
+const HCLModpackImporter = require('../core/ModpackImporter');
+const HCLModpackExporter = require('../core/ModpackExporter');
+const HCLJavaRuntimeManager = require('../core/JavaRuntimeManager');
+const HCLJavaDetector = require('../core/JavaDetector');
 
 class HCLApplication {
     constructor() {
         this.mainWindow = null;
         this.isDev = process.env.NODE_ENV === 'development';
         this.configManager = new HCLConfigManager();
-        this.dataManager = new HCLDataManager();
+        this.dataManager = new HCLDataManager(this.configManager);
         this.accountManager = null;
+        this.microsoftAuthenticator = null;
+        this.yggdrasilAuthenticator = null;
+        this.sessionValidator = null;
         this.downloadManager = null;
+        this.versionManager = null;
         this.gameManager = null;
+        this.javaLauncher = null;
+        this.gameSupervisor = new HCLGameSupervisor();
+        this.instanceManager = null;
+        this.modManager = null;
+        this.resourcePackManager = null;
+        this.shaderPackManager = null;
+        this.dataPackManager = null;
+        this.saveManager = null;
+        this.modpackImporter = null;
+        this.modpackExporter = null;
+        this.javaRuntimeManager = null;
+        this.javaDetector = null;
     }
 
     async initialize() {
@@ -23,11 +56,58 @@ class HCLApplication {
             await this.configManager.initialize();
             await this.dataManager.initialize();
             
-            this.accountManager = new HCLAccountManager(this.dataManager);
+            this.microsoftAuthenticator = new HCLMicrosoftAuthenticator(this.configManager);
+            this.yggdrasilAuthenticator = new HCLYggdrasilAuthenticator(this.configManager);
+            const authenticators = {
+                microsoft: this.microsoftAuthenticator,
+                yggdrasil: this.yggdrasilAuthenticator
+            };
+            this.sessionValidator = new HCLSessionValidator(this.dataManager, { ...authenticators });
+            this.accountManager = new HCLAccountManager(
+                this.dataManager,
+                { ...authenticators },
+                this.sessionValidator,
+                new HCLAvatarFetcher(this.configManager)
+            );
             this.downloadManager = new HCLDownloadManager(this.configManager);
-            this.gameManager = new HCLGameManager(this.configManager, this.downloadManager);
+            this.javaRuntimeManager = new HCLJavaRuntimeManager(this.configManager, this.downloadManager);
+            this.javaDetector = new HCLJavaDetector(this.dataManager, this.javaRuntimeManager);
+            this.versionManager = new HCLVersionManager(this.configManager, this.downloadManager, this.javaDetector);
+            this.instanceManager = new HCLInstanceManager(this.configManager);
+            this.modManager = new HCLModManager(
+                this.configManager,
+                this.instanceManager,
+                this.dataManager,
+                this.downloadManager
+            );
+            this.resourcePackManager = new HCLResourcePackManager(this.configManager, this.instanceManager);
+            this.shaderPackManager = new HCLShaderPackManager(this.configManager, this.instanceManager);
+            this.dataPackManager = new HCLDataPackManager(this.configManager, this.instanceManager);
+            this.saveManager = new HCLSaveManager(this.configManager, this.instanceManager);
+            this.modpackImporter = new HCLModpackImporter(
+                this.configManager,
+                this.downloadManager,
+                this.versionManager,
+                this.instanceManager
+            );
+            this.modpackExporter = new HCLModpackExporter(this.configManager, this.instanceManager);
+            this.gameManager = new HCLGameManager(
+                this.configManager,
+                this.downloadManager,
+                this.versionManager,
+                this.gameSupervisor
+            );
+            this.javaLauncher = new HCLJavaLauncher(
+                this.configManager,
+                this.dataManager,
+                this.sessionValidator,
+                this.gameSupervisor,
+                this.javaDetector
+            );
             
             await this.accountManager.initialize();
+            await this.versionManager.initialize();
+            await this.instanceManager.initialize();
             
             this.createWindow();
             this.setupIPC();
@@ -85,19 +165,85 @@ class HCLApplication {
             return await this.accountManager.removeAccount(accountId);
         });
 
+        ipcMain.handle('login-microsoft', async () => {
+            return await this.accountManager.login('microsoft');
+        });
+
+        ipcMain.handle('cancel-microsoft-login', () => {
+            return this.microsoftAuthenticator.cancel();
+        });
+
+        ipcMain.handle('login-yggdrasil', async (event, credentials) => {
+            return await this.accountManager.login('yggdrasil', credentials);
+        });
+
+        ipcMain.handle('select-yggdrasil-profile', async (event, accountId, profileId) => {
+            return await this.accountManager.selectProfile(accountId, profileId);
+        });
+
+        ipcMain.handle('get-current-account', () => {
+            const account = this.accountManager.getCurrentAccount();
+            return account ? this.accountManager.toPublicAccount(account) : null;
+        });
+
         ipcMain.handle('set-current-account', async (event, accountId) => {
             return await this.accountManager.setCurrentAccount(accountId);
         });
 
+        ipcMain.handle('get-account-avatar', async (event, accountId, forceRefresh) => {
+            return await this.accountManager.getAvatar(accountId, forceRefresh);
+        });
+
         // 下载相关
         ipcMain.handle('get-version-list', async () => {
             return await this.downloadManager.getVersionList();
         });
 
+        ipcMain.handle('get-mirror-status', () => {
+            return this.downloadManager.mirrorManager.getMirrorStatus();
+        });
+
         ipcMain.handle('download-version', async (event, versionId) => {
             return await this.gameManager.installVersion(versionId);
         });
 
+        ipcMain.handle('get-loader-versions', async (event, type, gameVersion) => {
+            return await this.versionManager.getLoaderVersions(type, gameVersion);
+        });
+
+        ipcMain.handle('install-loader', async (event, type, gameVersion, loaderVersion) => {
+            return await this.versionManager.installLoader(type, gameVersion, loaderVersion);
+        });
+
+        ipcMain.handle('get-install-jobs', () => {
+            return this.versionManager.getInstallJobs();
+        });
+
+        ipcMain.handle('pause-install', async (event, jobId) => {
+            return await this.versionManager.pauseInstall(jobId);
+        });
+
+        ipcMain.handle('resume-install', async (event, jobId) => {
+            return await this.versionManager.resumeInstall(jobId);
+        });
+
+        ipcMain.handle('cancel-install', async (event, jobId) => {
+            return await this.versionManager.cancelInstall(jobId);
+        });
+
+        // Java 相关
+        ipcMain.handle('detect-java', async (event, force) => {
+            return await this.javaDetector.detect(force);
+        });
+
+        ipcMain.handle('add-java', async (event, javaPath) => {
+            return await this.javaDetector.addManualJava(javaPath);
+        });
+
+        ipcMain.handle('remove-java', async (event, javaPath) => {
+            return await this.javaDetector.removeManualJava(javaPath);
+        });
+
         // 设置相关
         ipcMain.handle('get-config', () => {
             return this.configManager.getConfig();
@@ -109,21 +255,354 @@ class HCLApplication {
 
         // 游戏启动
         ipcMain.handle('launch-game', async (event, launchConfig) => {
-            return await this.gameManager.launchGame(launchConfig);
+            // 渲染进程只持有账户 ID，令牌从账户管理器获取
+            const accountId = launchConfig.accountId || (launchConfig.account && launchConfig.account.id);
+            const account = accountId ?
+                this.accountManager.getAccount(accountId) :
+                this.accountManager.getCurrentAccount();
+            if (!account) {
+                throw new Error('请先添加账户');
+            }
+
+            if (!launchConfig.instanceId) {
+                return await this.javaLauncher.launchGame({ ...launchConfig, account });
+            }
+
+            // 模组存在错误时先返回检查报告，由用户处理或选择忽略后再次启动
+            if (!launchConfig.ignoreModIssues) {
+                const modReport = await this.modManager.checkMods(launchConfig.instanceId);
+                if (!modReport.ok) {
+                    return { success: false, reason: 'mod-issues', modReport };
+                }
+            }
+
+            // 实例启动：版本、游戏目录、Java 与窗口设置来自实例
+            const instanceConfig = this.instanceManager.getLaunchConfig(launchConfig.instanceId);
+            const result = await this.javaLauncher.launchGame({ ...launchConfig, ...instanceConfig, account });
+            await this.instanceManager.markPlayed(launchConfig.instanceId);
+            return result;
+        });
+
+        // 实例相关
+        ipcMain.handle('get-instances', () => {
+            return this.instanceManager.getInstances();
+        });
+
+        ipcMain.handle('create-instance', async (event, options) => {
+            return await this.instanceManager.createInstance(options);
+        });
+
+        ipcMain.handle('update-instance', async (event, instanceId, updates) => {
+            return await this.instanceManager.updateInstance(instanceId, updates);
+        });
+
+        ipcMain.handle('rename-instance', async (event, instanceId, name) => {
+            return await this.instanceManager.renameInstance(instanceId, name);
+        });
+
+        ipcMain.handle('clone-instance', async (event, instanceId, name) => {
+            return await this.instanceManager.cloneInstance(instanceId, name);
+        });
+
+        ipcMain.handle('delete-instance', async (event, instanceId) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.instanceManager.deleteInstance(instanceId);
+        });
+
+        // 模组相关
+        ipcMain.handle('get-mods', async (event, instanceId) => {
+            return await this.modManager.scanMods(instanceId);
+        });
+
+        ipcMain.handle('toggle-mod', async (event, fileName, instanceId, enable) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.modManager.toggleMod(fileName, instanceId, enable);
+        });
+
+        ipcMain.handle('check-mods', async (event, instanceId) => {
+            return await this.modManager.checkMods(instanceId);
+        });
+
+        ipcMain.handle('disable-duplicate-mods', async (event, instanceId) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.modManager.disableDuplicates(instanceId);
+        });
+
+        ipcMain.handle('fetch-mod-dependency', async (event, instanceId, dependencyId) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.modManager.fetchDependency(instanceId, dependencyId);
+        });
+
+        ipcMain.handle('search-mods', async (event, options) => {
+            return await this.modManager.searchMods(options);
+        });
+
+        ipcMain.handle('get-mod-project', async (event, projectId, instanceId) => {
+            return await this.modManager.getProjectDetails(projectId, instanceId);
+        });
+
+        ipcMain.handle('install-mod-project', async (event, instanceId, projectId, options) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.modManager.installProject(instanceId, projectId, options);
+        });
+
+        ipcMain.handle('check-mod-updates', async (event, instanceId) => {
+            return await this.modManager.checkUpdates(instanceId);
+        });
+
+        ipcMain.handle('update-mods', async (event, instanceId, fileNames) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.modManager.updateMods(instanceId, fileNames);
+        });
+
+        ipcMain.handle('get-mod-rollbacks', async (event, instanceId) => {
+            return await this.modManager.getRollbacks(instanceId);
+        });
+
+        ipcMain.handle('rollback-mod-update', async (event, instanceId, rollbackId) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.modManager.rollbackUpdate(instanceId, rollbackId);
+        });
+
+        ipcMain.handle('get-mod-icon', async (event, modPath, iconPath) => {
+            return await this.modManager.getModIcon(modPath, iconPath);
+        });
+
+        // 资源包、光影包与数据包
+        ipcMain.handle('get-resource-packs', async (event, instanceId) => {
+            return await this.resourcePackManager.getPacks(instanceId);
+        });
+
+        ipcMain.handle('set-resource-pack-enabled', async (event, instanceId, fileName, enabled) => {
+            // 游戏退出时会覆盖 options.txt
+            this.assertInstanceStopped(instanceId);
+            return await this.resourcePackManager.setPackEnabled(instanceId, fileName, enabled);
+        });
+
+        ipcMain.handle('set-resource-pack-order', async (event, instanceId, fileNames) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.resourcePackManager.setPackOrder(instanceId, fileNames);
+        });
+
+        ipcMain.handle('get-resource-pack-icon', async (event, instanceId, fileName) => {
+            return await this.resourcePackManager.getPackIcon(instanceId, fileName);
+        });
+
+        ipcMain.handle('get-shader-packs', async (event, instanceId) => {
+            return await this.shaderPackManager.getPacks(instanceId);
+        });
+
+        ipcMain.handle('set-active-shader', async (event, instanceId, fileName) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.shaderPackManager.setActiveShader(instanceId, fileName);
+        });
+
+        ipcMain.handle('get-data-packs', async (event, instanceId, worldName) => {
+            return await this.dataPackManager.getPacks(instanceId, worldName);
+        });
+
+        ipcMain.handle('set-data-pack-enabled', async (event, instanceId, worldName, fileName, enabled) => {
+            // 游戏加载的存档正在使用 datapacks 目录
+            this.assertInstanceStopped(instanceId);
+            return await this.dataPackManager.setPackEnabled(instanceId, worldName, fileName, enabled);
+        });
+
+        ipcMain.handle('get-data-pack-icon', async (event, instanceId, worldName, fileName) => {
+            return await this.dataPackManager.getPackIcon(instanceId, worldName, fileName);
+        });
+
+        // 存档
+        ipcMain.handle('get-worlds', async (event, instanceId) => {
+            return await this.saveManager.getWorlds(instanceId);
+        });
+
+        ipcMain.handle('get-world-icon', async (event, instanceId, worldName) => {
+            return await this.saveManager.getWorldIcon(instanceId, worldName);
+        });
+
+        ipcMain.handle('backup-world', async (event, instanceId, worldName) => {
+            return await this.saveManager.backupWorld(instanceId, worldName);
+        });
+
+        ipcMain.handle('get-world-backups', async (event, instanceId, worldName) => {
+            return await this.saveManager.getBackups(instanceId, worldName);
+        });
+
+        ipcMain.handle('restore-world-backup', async (event, instanceId, worldName, backupFileName) => {
+            this.assertInstanceStopped(instanceId);
+            return await this.saveManager.restoreBackup(instanceId, worldName, backupFileName);
+        });
+
+        ipcMain.handle('duplicate-world', async (event, instanceId, worldName, newName) => {
+            return await this.saveManager.duplicateWorld(instanceId, worldName, newName);
+        });
+
+        ipcMain.handle('import-world', async (event, instanceId, zipPath) => {
+            return await this.saveManager.importWorld(instanceId, zipPath);
+        });
+
+        ipcMain.handle('export-world', async (event, instanceId, worldName) => {
+            const world = await this.saveManager.getWorld(instanceId, worldName);
+            const window = BrowserWindow.fromWebContents(event.sender);
+
+            const { canceled, filePath } = await dialog.showSaveDialog(window, {
+                title: '导出存档',
+                defaultPath: `${world.folderName}.zip`,
+                filters: [{ name: '存档压缩包', extensions: ['zip'] }]
+            });
+            if (canceled || !filePath) {
+                return null;
+            }
+
+            return await this.saveManager.exportWorld(instanceId, world.folderName, filePath);
+        });
+
+        ipcMain.handle('import-modpack', async (event, packPath, options) => {
+            return await this.modpackImporter.importModpack(packPath, options);
         });
 
+        ipcMain.handle('export-modpack', async (event, instanceId, options = {}) => {
+            const instance = this.instanceManager.requireInstance(instanceId);
+            const window = BrowserWindow.fromWebContents(event.sender);
+
+            const { canceled, filePath } = await dialog.showSaveDialog(window, {
+                title: '导出整合包',
+                defaultPath: `${options.name || instance.name}.mrpack`,
+                filters: [{ name: 'Modrinth 整合包', extensions: ['mrpack'] }]
+            });
+            if (canceled || !filePath) {
+                return null;
+            }
+
+            const summary = await this.modpackExporter.exportModpack(instanceId, filePath, options);
+
+            const details = [
+                `从 Modrinth 引用: ${summary.referenced.length} 个文件`,
+                `打包到整合包: ${summary.embedded.length} 个文件`,
+                `已排除: ${summary.excluded} 个文件`
+            ];
+            const embeddedMods = summary.embedded.filter(file => file.startsWith('mods/'));
+            if (embeddedMods.length > 0) {
+                details.push('', '以下模组未在 Modrinth 找到，已直接打包:', ...embeddedMods.map(file => file.substring(5)));
+            }
+            if (summary.lookupFailed) {
+                details.push('', '无法连接 Modrinth，所有文件均已直接打包');
+            }
+
+            await dialog.showMessageBox(window, {
+                type: 'info',
+                title: '导出完成',
+                message: `整合包已导出到 ${summary.outputPath}`,
+                detail: details.join('\n')
+            });
+            return summary;
+        });
+
+        // 游戏会话
+        ipcMain.handle('get-game-sessions', () => {
+            return this.gameSupervisor.getSessions();
+        });
+
+        ipcMain.handle('get-game-output', (event, sessionId, limit) => {
+            return this.gameSupervisor.getOutput(sessionId, limit);
+        });
+
+        ipcMain.handle('stop-game', (event, sessionId) => {
+            return this.gameSupervisor.stop(sessionId);
+        });
+
+        ipcMain.handle('kill-game', (event, sessionId) => {
+            return this.gameSupervisor.kill(sessionId);
+        });
+
+        ipcMain.handle('send-game-command', (event, sessionId, command) => {
+            return this.gameSupervisor.sendCommand(sessionId, command);
+        });
+
+        ipcMain.handle('remove-game-session', (event, sessionId) => {
+            return this.gameSupervisor.removeSession(sessionId);
+        });
+
+        // 会话状态
+        this.sessionValidator.on('relogin-required', (info) => {
+            if (this.mainWindow) {
+                this.mainWindow.webContents.send('account-relogin-required', info);
+            }
+        });
+
+        // 账户事件（事件名 -> 渲染进程频道）
+        const accountChannels = {
+            'account-added': 'account-added',
+            'account-removed': 'account-removed',
+            'current-changed': 'current-account-changed',
+            'token-refreshed': 'account-token-refreshed'
+        };
+        for (const [eventName, channel] of Object.entries(accountChannels)) {
+            this.accountManager.on(eventName, (data) => {
+                if (this.mainWindow) {
+                    this.mainWindow.webContents.send(channel, data);
+                }
+            });
+        }
+
         // 进度监听
+        this.microsoftAuthenticator.on('device-code', (deviceCode) => {
+            if (this.mainWindow) {
+                this.mainWindow.webContents.send('microsoft-device-code', deviceCode);
+            }
+        });
+
         this.downloadManager.on('download-progress', (progress) => {
             if (this.mainWindow) {
                 this.mainWindow.webContents.send('download-progress', progress);
             }
         });
 
-        this.gameManager.on('game-output', (output) => {
+        this.versionManager.on('install-job-updated', (job) => {
             if (this.mainWindow) {
-                this.mainWindow.webContents.send('game-output', output);
+                this.mainWindow.webContents.send('install-job-updated', job);
             }
         });
+
+        // 游戏会话事件广播到所有窗口（事件名 -> 渲染进程频道）
+        const sessionChannels = {
+            'session-started': 'game-session-started',
+            'session-output': 'game-session-output',
+            'session-stopping': 'game-session-stopping',
+            'session-exited': 'game-session-exited'
+        };
+        for (const [eventName, channel] of Object.entries(sessionChannels)) {
+            this.gameSupervisor.on(eventName, (data) => this.broadcast(channel, data));
+        }
+
+        for (const eventName of ['instance-created', 'instance-updated', 'instance-deleted']) {
+            this.instanceManager.on(eventName, (data) => this.broadcast(eventName, data));
+        }
+
+        this.modpackImporter.on('import-step', (data) => this.broadcast('modpack-import-step', data));
+        this.modpackExporter.on('export-step', (data) => this.broadcast('modpack-export-step', data));
+    }
+
+    /**
+     * 实例有正在运行的游戏时抛出错误
+     */
+    assertInstanceStopped(instanceId) {
+        const running = this.gameSupervisor.getRunningSessions()
+            .some(session => session.instanceId === (instanceId || null));
+        if (running) {
+            throw new Error('实例正在运行，请先关闭游戏');
+        }
+    }
+
+    /**
+     * 向所有窗口发送消息
+     */
+    broadcast(channel, data) {
+        for (const window of BrowserWindow.getAllWindows()) {
+            if (!window.isDestroyed()) {
+                window.webContents.send(channel, data);
+            }
+        }
     }
 
     setupMenu() {
@@ -222,8 +222,8 @@ class SettingsManager {
     
     async loadJavaSettings() {
         // 如果有 Java 检测功能
-        if (typeof window.javaLauncher !== 'undefined') {
-            const javaVersions = await window.javaLauncher.detectJavaVersions();
+        if (window.electronAPI && window.electronAPI.detectJava) {
+            const javaVersions = await window.electronAPI.detectJava();
             this.populateJavaSelect(javaVersions);
         } else {
             this.populateJavaSelect([]);
@@ -0,0 +1,169 @@
+// test/ArgumentResolver.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const HCLArgumentResolver = require('../src/core/ArgumentResolver');
+const HCLRuleEvaluator = require('../src/core/RuleEvaluator');
+const HCLVersionResolver = require('../src/core/VersionResolver');
+
+const modern = require('./fixtures/versions/1.20.1.json');
+const legacy = require('./fixtures/versions/1.7.10.json');
+const fabric = require('./fixtures/versions/fabric-loader-0.15.0-1.20.1.json');
+const legacyForge = require('./fixtures/versions/forge-1.7.10-10.13.4.1614.json');
+
+const CONTEXT = {
+    auth_player_name: 'Steve',
+    auth_uuid: '8667ba71b85a4004af54457a9734eed7',
+    auth_access_token: 'token',
+    auth_xuid: '0',
+    clientid: '0',
+    user_type: 'msa',
+    user_properties: '{}',
+    version_name: '1.20.1',
+    version_type: 'release',
+    game_directory: '/games/instance',
+    assets_root: '/games/assets',
+    assets_index_name: '5',
+    natives_directory: '/games/natives',
+    classpath: '/a.jar:/b.jar',
+    launcher_name: 'hcl',
+    launcher_version: '1.0.0',
+    resolution_width: 854,
+    resolution_height: 480,
+    quickPlayPath: '/games/instance/quickPlay/log.json',
+    quickPlaySingleplayer: 'New World'
+};
+
+function createResolver(platform = 'linux', arch = 'x64') {
+    return new HCLArgumentResolver(new HCLRuleEvaluator({ platform, arch, osVersion: '10.0' }));
+}
+
+function valueAfter(args, flag) {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+}
+
+describe('HCLArgumentResolver 新格式 arguments', () => {
+    it('替换占位符并保留参数顺序', () => {
+        const { jvmArguments, gameArguments, mainClass } = createResolver().resolve(modern, CONTEXT);
+
+        assert.equal(mainClass, 'net.minecraft.client.main.Main');
+        assert.deepEqual(gameArguments.slice(0, 4), ['--username', 'Steve', '--version', '1.20.1']);
+        assert.equal(valueAfter(gameArguments, '--gameDir'), '/games/instance');
+        assert.equal(valueAfter(gameArguments, '--assetIndex'), '5');
+        assert.ok(jvmArguments.includes('-Djava.library.path=/games/natives'));
+        assert.equal(valueAfter(jvmArguments, '-cp'), '/a.jar:/b.jar');
+        assert.ok([...jvmArguments, ...gameArguments].every(arg => !arg.includes('${')));
+    });
+
+    it('按操作系统与架构过滤 JVM 参数', () => {
+        const linux = createResolver('linux', 'x64').resolve(modern, CONTEXT).jvmArguments;
+        const mac = createResolver('darwin', 'arm64').resolve(modern, CONTEXT).jvmArguments;
+        const windows32 = createResolver('win32', 'ia32').resolve(modern, CONTEXT).jvmArguments;
+
+        assert.ok(!linux.includes('-XstartOnFirstThread'));
+        assert.ok(!linux.includes('-Xss1M'));
+        assert.equal(mac[0], '-XstartOnFirstThread');
+        assert.ok(windows32.includes('-Xss1M'));
+        assert.ok(windows32.some(arg => arg.startsWith('-XX:HeapDumpPath=')));
+    });
+
+    it('未开启特性时不添加条件参数', () => {
+        const { gameArguments } = createResolver().resolve(modern, CONTEXT, {});
+
+        assert.ok(!gameArguments.includes('--demo'));
+        assert.ok(!gameArguments.includes('--width'));
+        assert.ok(!gameArguments.includes('--quickPlayPath'));
+    });
+
+    it('按特性开关添加试玩、分辨率与快速游戏参数', () => {
+        const { gameArguments } = createResolver().resolve(modern, CONTEXT, {
+            is_demo_user: true,
+            has_custom_resolution: true,
+            has_quick_plays_support: true,
+            is_quick_play_singleplayer: true
+        });
+
+        assert.ok(gameArguments.includes('--demo'));
+        assert.equal(valueAfter(gameArguments, '--width'), '854');
+        assert.equal(valueAfter(gameArguments, '--height'), '480');
+        assert.equal(valueAfter(gameArguments, '--quickPlayPath'), '/games/instance/quickPlay/log.json');
+        assert.equal(valueAfter(gameArguments, '--quickPlaySingleplayer'), 'New World');
+    });
+});
+
+describe('HCLArgumentResolver 旧格式 minecraftArguments', () => {
+    it('拆分参数字符串并使用默认 JVM 参数', () => {
+        const context = { ...CONTEXT, version_name: '1.7.10', assets_index_name: '1.7.10' };
+        const { jvmArguments, gameArguments } = createResolver().resolve(legacy, context);
+
+        assert.deepEqual(gameArguments.slice(0, 4), ['--username', 'Steve', '--version', '1.7.10']);
+        assert.equal(valueAfter(gameArguments, '--userProperties'), '{}');
+        assert.ok(jvmArguments.includes('-Djava.library.path=/games/natives'));
+        assert.ok(jvmArguments.includes('-Dminecraft.launcher.brand=hcl'));
+        assert.equal(valueAfter(jvmArguments, '-cp'), '/a.jar:/b.jar');
+        assert.ok(!gameArguments.includes('--width'));
+    });
+
+    it('自定义分辨率追加在参数末尾', () => {
+        const { gameArguments } = createResolver().resolve(legacy, CONTEXT, { has_custom_resolution: true });
+
+        assert.deepEqual(gameArguments.slice(-4), ['--width', '854', '--height', '480']);
+    });
+
+    it('macOS 上添加 -XstartOnFirstThread', () => {
+        const { jvmArguments } = createResolver('darwin', 'x64').resolve(legacy, CONTEXT);
+
+        assert.equal(jvmArguments[0], '-XstartOnFirstThread');
+    });
+});
+
+describe('HCLArgumentResolver 占位符', () => {
+    it('未知的占位符保持原样', () => {
+        const resolver = createResolver();
+
+        assert.equal(resolver.substitute('--foo=${unknown_key}', CONTEXT), '--foo=${unknown_key}');
+        assert.equal(resolver.substitute('${auth_player_name}-${nope}', CONTEXT), 'Steve-${nope}');
+    });
+
+    it('值为 null 或 undefined 的占位符保持原样', () => {
+        const resolver = createResolver();
+        const context = { resolution_width: undefined, resolution_height: null };
+
+        assert.equal(resolver.substitute('${resolution_width}x${resolution_height}', context), '${resolution_width}x${resolution_height}');
+    });
+
+    it('不会读取原型链上的属性', () => {
+        assert.equal(createResolver().substitute('${toString}', {}), '${toString}');
+    });
+
+    it('缺少 mainClass 时使用原版主类', () => {
+        const { mainClass } = createResolver().resolve({ minecraftArguments: '' }, CONTEXT);
+
+        assert.equal(mainClass, 'net.minecraft.client.main.Main');
+    });
+});
+
+describe('继承版本的参数', () => {
+    const versionResolver = new HCLVersionResolver(null, createResolver());
+
+    it('新格式子版本追加到父版本参数之后', () => {
+        const merged = versionResolver.merge({ ...modern, jar: modern.id }, fabric);
+        const { jvmArguments, gameArguments, mainClass } = createResolver().resolve(merged, CONTEXT);
+
+        assert.equal(mainClass, 'net.fabricmc.loader.impl.launch.knot.KnotClient');
+        assert.equal(merged.jar, '1.20.1');
+        assert.equal(jvmArguments[jvmArguments.length - 1], '-DFabricMcEmu= net.minecraft.client.main.Main ');
+        assert.equal(valueAfter(gameArguments, '--username'), 'Steve');
+        assert.equal(merged.libraries[0].name, 'net.fabricmc:fabric-loader:0.15.0');
+    });
+
+    it('旧格式子版本使用自己的完整参数字符串', () => {
+        const merged = versionResolver.merge({ ...legacy, jar: legacy.id }, legacyForge);
+        const { gameArguments, mainClass } = createResolver().resolve(merged, CONTEXT);
+
+        assert.equal(mainClass, 'net.minecraft.launchwrapper.Launch');
+        assert.equal(merged.jar, '1.7.10');
+        assert.equal(valueAfter(gameArguments, '--tweakClass'), 'cpw.mods.fml.common.launcher.FMLTweaker');
+        assert.equal(gameArguments.filter(arg => arg === '--username').length, 1);
+    });
+});
@@ -0,0 +1,242 @@
+// test/DownloadManager.test.js
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const HCLDownloadManager = require('../src/core/DownloadManager');
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz'.repeat(100));
+const CONTENT_SHA1 = crypto.createHash('sha1').update(CONTENT).digest('hex');
+
+/**
+ * 按 Range 请求头返回内容（支持续传）
+ */
+function sendContent(req, res, content, options = {}) {
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    if (range && options.range !== false) {
+        const start = parseInt(range[1]);
+        if (start >= content.length) {
+            res.writeHead(416);
+            res.end();
+            return;
+        }
+        res.writeHead(206, { 'Content-Length': content.length - start });
+        res.end(content.subarray(start));
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Length': content.length });
+    res.end(content);
+}
+
+describe('HCLDownloadManager', () => {
+    let httpServer;
+    let server;
+    let routes;
+    let requests;
+    let workDir;
+    let config;
+    let downloadManager;
+
+    before(async () => {
+        httpServer = http.createServer((req, res) => {
+            requests.push({ url: req.url, range: req.headers.range || null });
+            const route = routes[req.url];
+            if (route) {
+                route(req, res);
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+        server = `http://127.0.0.1:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        httpServer.closeAllConnections();
+        await new Promise(resolve => httpServer.close(resolve));
+    });
+
+    beforeEach(async () => {
+        routes = {};
+        requests = [];
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hcl-download-'));
+        config = { downloadSource: 'official', maxThreads: 4, maxRetries: 1, downloadTimeout: 5000 };
+        downloadManager = new HCLDownloadManager({ getConfig: () => config, getGameDirectory: () => workDir });
+        // 重试之间不等待
+        downloadManager.delay = async () => {};
+    });
+
+    afterEach(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    it('下载并校验文件，已存在且校验通过的文件不再请求', async () => {
+        routes['/file.bin'] = (req, res) => sendContent(req, res, CONTENT);
+        const task = { url: `${server}/file.bin`, path: path.join(workDir, 'a', 'file.bin'), sha1: CONTENT_SHA1, size: CONTENT.length };
+
+        assert.deepEqual(await downloadManager.downloadFile(task), { path: task.path, skipped: false });
+        assert.ok((await fs.readFile(task.path)).equals(CONTENT));
+        assert.ok(!(await downloadManager.verifyFile(`${task.path}.part`)));
+
+        assert.deepEqual(await downloadManager.downloadFile({ ...task }), { path: task.path, skipped: true });
+        assert.equal(requests.length, 1);
+    });
+
+    it('从 .part 文件续传', async () => {
+        routes['/file.bin'] = (req, res) => sendContent(req, res, CONTENT);
+        const target = path.join(workDir, 'file.bin');
+        await fs.writeFile(`${target}.part`, CONTENT.subarray(0, 1000));
+
+        await downloadManager.downloadFile({ url: `${server}/file.bin`, path: target, sha1: CONTENT_SHA1, size: CONTENT.length });
+
+        assert.deepEqual(requests.map(request => request.range), ['bytes=1000-']);
+        assert.ok((await fs.readFile(target)).equals(CONTENT));
+    });
+
+    it('服务器不支持续传时从头下载', async () => {
+        routes['/file.bin'] = (req, res) => sendContent(req, res, CONTENT, { range: false });
+        const target = path.join(workDir, 'file.bin');
+        await fs.writeFile(`${target}.part`, Buffer.from('stale data'));
+
+        await downloadManager.downloadFile({ url: `${server}/file.bin`, path: target, sha1: CONTENT_SHA1 });
+
+        assert.deepEqual(requests.map(request => request.range), ['bytes=10-']);
+        assert.ok((await fs.readFile(target)).equals(CONTENT));
+    });
+
+    it('续传范围无效（416）时删除 .part 并重新下载', async () => {
+        routes['/file.bin'] = (req, res) => sendContent(req, res, CONTENT);
+        const target = path.join(workDir, 'file.bin');
+        await fs.writeFile(`${target}.part`, Buffer.concat([CONTENT, Buffer.from('extra')]));
+
+        await downloadManager.downloadFile({ url: `${server}/file.bin`, path: target, sha1: CONTENT_SHA1 });
+
+        assert.deepEqual(requests.map(request => request.range), [`bytes=${CONTENT.length + 5}-`, null]);
+        assert.ok((await fs.readFile(target)).equals(CONTENT));
+    });
+
+    it('SHA-1 不匹配时丢弃文件并重试', async () => {
+        let count = 0;
+        routes['/file.bin'] = (req, res) => {
+            count++;
+            sendContent(req, res, count === 1 ? Buffer.from('corrupted') : CONTENT);
+        };
+        const target = path.join(workDir, 'file.bin');
+
+        await downloadManager.downloadFile({ url: `${server}/file.bin`, path: target, sha1: CONTENT_SHA1 });
+
+        assert.equal(count, 2);
+        assert.deepEqual(requests.map(request => request.range), [null, null]);
+        assert.ok((await fs.readFile(target)).equals(CONTENT));
+    });
+
+    it('重试次数用尽后报告校验失败且不留下文件', async () => {
+        routes['/file.bin'] = (req, res) => sendContent(req, res, Buffer.from('corrupted'));
+        const target = path.join(workDir, 'file.bin');
+
+        await assert.rejects(
+            downloadManager.downloadFile({ url: `${server}/file.bin`, path: target, sha1: CONTENT_SHA1 }),
+            /文件校验失败/
+        );
+
+        assert.equal(requests.length, 2);
+        assert.deepEqual(await fs.readdir(workDir), []);
+    });
+
+    it('同时下载的文件数不超过 maxThreads', async () => {
+        config.maxThreads = 2;
+        let active = 0;
+        let maxActive = 0;
+        const tasks = [];
+        for (let i = 0; i < 6; i++) {
+            routes[`/file-${i}.bin`] = (req, res) => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                setTimeout(() => {
+                    active--;
+                    sendContent(req, res, CONTENT);
+                }, 50);
+            };
+            tasks.push({ url: `${server}/file-${i}.bin`, path: path.join(workDir, `file-${i}.bin`), sha1: CONTENT_SHA1 });
+        }
+
+        const progress = [];
+        downloadManager.on('download-progress', event => progress.push(event));
+        const result = await downloadManager.downloadFiles(tasks, { name: 'test' });
+
+        assert.deepEqual(result, { total: 6, completed: 6 });
+        assert.equal(maxActive, 2);
+        assert.equal(progress[progress.length - 1].completedFiles, 6);
+    });
+
+    it('批量下载时汇总失败的文件', async () => {
+        routes['/ok.bin'] = (req, res) => sendContent(req, res, CONTENT);
+        const tasks = [
+            { url: `${server}/ok.bin`, path: path.join(workDir, 'ok.bin'), sha1: CONTENT_SHA1 },
+            { url: `${server}/missing.bin`, path: path.join(workDir, 'missing.bin') }
+        ];
+
+        const error = await downloadManager.downloadFiles(tasks).catch(caught => caught);
+
+        assert.match(error.message, /1 个文件下载失败/);
+        assert.deepEqual(error.failures.map(failure => failure.path), [tasks[1].path]);
+        assert.match(error.failures[0].error, /404/);
+        assert.ok((await fs.readFile(tasks[0].path)).equals(CONTENT));
+    });
+
+    it('官方源失败时切换到镜像，官方源不健康后优先使用镜像', async () => {
+        config.customMirrors = [{
+            id: 'local',
+            name: '本地镜像',
+            rewrites: { [`${server}/official`]: `${server}/mirror` }
+        }];
+        for (let i = 0; i < 4; i++) {
+            routes[`/official/file-${i}.bin`] = (req, res) => {
+                res.writeHead(500);
+                res.end();
+            };
+            routes[`/mirror/file-${i}.bin`] = (req, res) => sendContent(req, res, CONTENT);
+        }
+        const download = (i) => downloadManager.downloadFile({
+            url: `${server}/official/file-${i}.bin`,
+            path: path.join(workDir, `file-${i}.bin`),
+            sha1: CONTENT_SHA1
+        });
+
+        await download(0);
+        assert.deepEqual(requests.map(request => request.url), ['/official/file-0.bin', '/mirror/file-0.bin']);
+        assert.ok((await fs.readFile(path.join(workDir, 'file-0.bin'))).equals(CONTENT));
+
+        await download(1);
+        await download(2);
+        requests.length = 0;
+        await download(3);
+
+        const mirrorManager = downloadManager.mirrorManager;
+        assert.ok(mirrorManager.getScore('official') < mirrorManager.getScore('local'));
+        assert.deepEqual(requests.map(request => request.url), ['/mirror/file-3.bin']);
+    });
+
+    it('中止时保留 .part 文件且不再重试', async () => {
+        routes['/slow.bin'] = (req, res) => {
+            res.writeHead(200, { 'Content-Length': CONTENT.length });
+            res.write(CONTENT.subarray(0, 100));
+        };
+        const target = path.join(workDir, 'slow.bin');
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+
+        await assert.rejects(
+            downloadManager.downloadFile({ url: `${server}/slow.bin`, path: target, sha1: CONTENT_SHA1 }, null, { signal: controller.signal }),
+            error => error.code === 'ABORTED'
+        );
+
+        assert.equal(requests.length, 1);
+        assert.equal((await fs.stat(`${target}.part`)).size, 100);
+    });
+});
@@ -0,0 +1,243 @@
+// test/MicrosoftAuthenticator.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const HCLMicrosoftAuthenticator = require('../src/core/MicrosoftAuthenticator');
+const HCLAuthError = require('../src/core/AuthError');
+
+const { CODES } = HCLAuthError;
+
+// Minecraft 访问令牌为 JWT，xuid 位于载荷中
+const MC_ACCESS_TOKEN = `header.${Buffer.from(JSON.stringify({ xuid: '2535400000000000' })).toString('base64')}.signature`;
+
+/**
+ * 模拟 Microsoft / Xbox Live / Minecraft 服务的本地服务器
+ * context.state 控制各接口的响应，context.requests 记录收到的请求
+ */
+function createServer(context) {
+    const json = (res, status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    };
+
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { state, requests } = context;
+            requests.push({ url: req.url, headers: req.headers, body });
+
+            switch (req.url) {
+                case '/devicecode':
+                    return json(res, 200, {
+                        device_code: 'device-123',
+                        user_code: 'ABCD-EFGH',
+                        verification_uri: 'https://microsoft.com/link',
+                        expires_in: 900,
+                        interval: 0.01,
+                        message: 'Enter ABCD-EFGH'
+                    });
+                case '/token': {
+                    const params = new URLSearchParams(body);
+                    if (params.get('grant_type') === 'refresh_token') {
+                        return state.refreshError ?
+                            json(res, 400, { error: state.refreshError }) :
+                            json(res, 200, { access_token: 'ms-access-2' });
+                    }
+                    const error = state.tokenErrors.shift();
+                    return error ?
+                        json(res, 400, { error }) :
+                        json(res, 200, { access_token: 'ms-access', refresh_token: 'ms-refresh' });
+                }
+                case '/xbl':
+                    return json(res, 200, { Token: 'xbl-token', DisplayClaims: { xui: [{ uhs: 'user-hash' }] } });
+                case '/xsts':
+                    return state.xErr ?
+                        json(res, 401, { XErr: state.xErr, Message: '' }) :
+                        json(res, 200, { Token: 'xsts-token', DisplayClaims: { xui: [{ uhs: 'user-hash' }] } });
+                case '/login':
+                    return json(res, 200, { access_token: MC_ACCESS_TOKEN, expires_in: 86400 });
+                case '/entitlements':
+                    return json(res, 200, { items: state.entitlements });
+                case '/profile':
+                    if (state.profileStatus !== 200) {
+                        return json(res, state.profileStatus, { error: 'NOT_FOUND' });
+                    }
+                    return json(res, 200, {
+                        id: '8667ba71b85a4004af54457a9734eed7',
+                        name: 'Steve',
+                        skins: [{ id: 'skin', state: 'ACTIVE', url: 'http://textures/skin' }],
+                        capes: []
+                    });
+                default:
+                    return json(res, 404, {});
+            }
+        });
+    });
+}
+
+describe('HCLMicrosoftAuthenticator', () => {
+    const context = {};
+    let httpServer;
+    let state;
+    let requests;
+    let authenticator;
+
+    before(async () => {
+        httpServer = createServer(context);
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(async () => {
+        await new Promise(resolve => httpServer.close(resolve));
+    });
+
+    beforeEach(() => {
+        state = {
+            tokenErrors: [],
+            refreshError: null,
+            xErr: null,
+            entitlements: [{ name: 'product_minecraft' }, { name: 'game_minecraft' }],
+            profileStatus: 200
+        };
+        requests = [];
+        Object.assign(context, { state, requests });
+
+        const server = `http://127.0.0.1:${httpServer.address().port}`;
+        authenticator = new HCLMicrosoftAuthenticator({ getConfig: () => ({ downloadTimeout: 5000 }) }, {
+            clientId: 'test-client',
+            endpoints: {
+                deviceCode: `${server}/devicecode`,
+                token: `${server}/token`,
+                xboxLive: `${server}/xbl`,
+                xsts: `${server}/xsts`,
+                minecraftLogin: `${server}/login`,
+                entitlements: `${server}/entitlements`,
+                profile: `${server}/profile`
+            }
+        });
+    });
+
+    it('轮询设备代码直到授权完成并走完认证链', async () => {
+        state.tokenErrors = ['authorization_pending', 'authorization_pending'];
+        const deviceCodes = [];
+        authenticator.on('device-code', event => deviceCodes.push(event));
+
+        const account = await authenticator.login();
+
+        assert.deepEqual(deviceCodes, [{
+            userCode: 'ABCD-EFGH',
+            verificationUri: 'https://microsoft.com/link',
+            expiresIn: 900,
+            message: 'Enter ABCD-EFGH'
+        }]);
+
+        const tokenRequests = requests.filter(request => request.url === '/token');
+        assert.equal(tokenRequests.length, 3);
+        const params = new URLSearchParams(tokenRequests[0].body);
+        assert.equal(params.get('client_id'), 'test-client');
+        assert.equal(params.get('device_code'), 'device-123');
+
+        const xbl = JSON.parse(requests.find(request => request.url === '/xbl').body);
+        assert.equal(xbl.Properties.RpsTicket, 'd=ms-access');
+        const login = JSON.parse(requests.find(request => request.url === '/login').body);
+        assert.equal(login.identityToken, 'XBL3.0 x=user-hash;xsts-token');
+        assert.equal(requests.find(request => request.url === '/profile').headers.authorization, `Bearer ${MC_ACCESS_TOKEN}`);
+
+        assert.equal(account.type, 'microsoft');
+        assert.equal(account.username, 'Steve');
+        assert.equal(account.uuid, '8667ba71-b85a-4004-af54-457a9734eed7');
+        assert.equal(account.accessToken, MC_ACCESS_TOKEN);
+        assert.equal(account.refreshToken, 'ms-refresh');
+        assert.equal(account.xuid, '2535400000000000');
+        assert.equal(account.skins.length, 1);
+        assert.ok(account.expiresAt > Date.now());
+    });
+
+    it('用户拒绝授权', async () => {
+        state.tokenErrors = ['authorization_pending', 'authorization_declined'];
+
+        await assert.rejects(authenticator.login(), { code: CODES.AUTHORIZATION_DECLINED });
+    });
+
+    it('设备代码过期', async () => {
+        state.tokenErrors = ['expired_token'];
+
+        await assert.rejects(authenticator.login(), { code: CODES.DEVICE_CODE_EXPIRED });
+    });
+
+    it('轮询期间可以取消登录', async () => {
+        state.tokenErrors = new Array(1000).fill('authorization_pending');
+        authenticator.on('device-code', () => setTimeout(() => authenticator.cancel(), 50));
+
+        await assert.rejects(authenticator.login(), { code: CODES.CANCELLED });
+        assert.equal(authenticator.cancel(), false);
+    });
+
+    it('没有 Xbox 档案', async () => {
+        state.xErr = 2148916233;
+
+        await assert.rejects(authenticator.login(), error => {
+            assert.ok(error instanceof HCLAuthError);
+            assert.equal(error.code, CODES.NO_XBOX_PROFILE);
+            assert.equal(error.details.XErr, 2148916233);
+            return true;
+        });
+    });
+
+    it('儿童账户', async () => {
+        state.xErr = 2148916238;
+
+        await assert.rejects(authenticator.login(), { code: CODES.CHILD_ACCOUNT });
+    });
+
+    it('未购买游戏', async () => {
+        state.entitlements = [];
+
+        await assert.rejects(authenticator.login(), { code: CODES.NO_GAME_OWNERSHIP });
+        assert.ok(!requests.some(request => request.url === '/profile'));
+    });
+
+    it('没有 Minecraft 档案', async () => {
+        state.profileStatus = 404;
+
+        await assert.rejects(authenticator.login(), { code: CODES.NO_MINECRAFT_PROFILE });
+    });
+
+    it('刷新令牌：微软未轮换刷新令牌时沿用旧令牌', async () => {
+        const account = await authenticator.refresh({ refreshToken: 'old-refresh' });
+
+        const params = new URLSearchParams(requests.find(request => request.url === '/token').body);
+        assert.equal(params.get('grant_type'), 'refresh_token');
+        assert.equal(params.get('refresh_token'), 'old-refresh');
+        assert.equal(account.refreshToken, 'old-refresh');
+        assert.equal(account.accessToken, MC_ACCESS_TOKEN);
+    });
+
+    it('刷新令牌失效时要求重新登录', async () => {
+        state.refreshError = 'invalid_grant';
+
+        await assert.rejects(authenticator.refresh({ refreshToken: 'old-refresh' }), { code: CODES.TOKEN_EXPIRED });
+        await assert.rejects(authenticator.refresh({}), { code: CODES.TOKEN_EXPIRED });
+    });
+
+    it('访问令牌失效时 validate 返回 false', async () => {
+        assert.equal(await authenticator.validate({ accessToken: MC_ACCESS_TOKEN }), true);
+
+        state.profileStatus = 401;
+        assert.equal(await authenticator.validate({ accessToken: MC_ACCESS_TOKEN }), false);
+        assert.equal(await authenticator.validate({}), false);
+    });
+
+    it('服务器无法连接时报告网络错误', async () => {
+        authenticator.options.endpoints.deviceCode = 'http://127.0.0.1:1/devicecode';
+
+        await assert.rejects(authenticator.login(), { code: CODES.NETWORK_ERROR });
+    });
+
+    it('未配置客户端 ID', async () => {
+        const unconfigured = new HCLMicrosoftAuthenticator({ getConfig: () => ({}) });
+
+        await assert.rejects(unconfigured.login(), { code: CODES.CLIENT_ID_MISSING });
+    });
+});
@@ -0,0 +1,47 @@
+// test/ModDependencyResolver.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const HCLModDependencyResolver = require('../src/core/ModDependencyResolver');
+
+function mod(id, options = {}) {
+    return {
+        id,
+        name: id,
+        fileName: `${id}.jar`,
+        version: '1.0.0',
+        loader: 'fabric',
+        loaders: ['fabric'],
+        dependencies: [],
+        provides: [],
+        gameVersionRange: null,
+        loaderVersionRange: null,
+        enabled: true,
+        ...options
+    };
+}
+
+describe('HCLModDependencyResolver 游戏版本范围', () => {
+    const resolver = new HCLModDependencyResolver();
+    const loader = { type: 'fabric', version: '0.15.0', gameVersion: '1.20.1' };
+
+    it('正式版按版本范围检查', () => {
+        const mods = [mod('a', { gameVersionRange: '>=1.20 <1.21' }), mod('b', { gameVersionRange: '~1.19.2' })];
+        const report = resolver.check(mods, { gameVersion: '1.20.1', loader });
+
+        assert.equal(report.ok, false);
+        assert.deepEqual(report.issues.map(issue => [issue.type, issue.modId]), [['wrong-game-version', 'b']]);
+    });
+
+    it('快照与预发布版只给出警告，不阻止启动', () => {
+        const mods = [mod('a', { gameVersionRange: '>=1.20 <1.21' }), mod('b', { gameVersionRange: '*' })];
+
+        for (const gameVersion of ['23w31a', '1.21-pre1', '1.20.2-rc1']) {
+            const report = resolver.check(mods, { gameVersion, loader });
+
+            assert.equal(report.ok, true, gameVersion);
+            assert.equal(report.warnings, 1, gameVersion);
+            assert.equal(report.issues[0].type, 'unchecked-game-version');
+            assert.equal(report.issues[0].current, gameVersion);
+        }
+    });
+});
@@ -0,0 +1,272 @@
+// test/ModpackImporter.test.js
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+const HCLModpackImporter = require('../src/core/ModpackImporter');
+const HCLInstanceManager = require('../src/core/InstanceManager');
+const HCLDownloadManager = require('../src/core/DownloadManager');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'modpacks');
+
+// 本地文件服务器提供的文件
+const SERVED_FILES = {
+    '/files/alpha.jar': 'alpha mod',
+    '/files/beta.jar': 'beta mod',
+    '/files/pack.zip': 'resource pack'
+};
+
+// 本地 CurseForge API 返回的文件与项目信息
+function curseForgeFiles(server) {
+    return [
+        {
+            id: 1000,
+            fileName: 'beta.jar',
+            downloadUrl: `${server}/files/beta.jar`,
+            fileLength: 8,
+            hashes: [{ algo: 2, value: 'ignored' }, { algo: 1, value: '5f6d953010497ce14be93064bdcdceb7b6981d8d' }]
+        },
+        { id: 2000, fileName: 'pack.zip', downloadUrl: `${server}/files/pack.zip`, fileLength: 13 },
+        { id: 3000, fileName: 'restricted.jar', downloadUrl: null, fileLength: 5 }
+    ];
+}
+
+const CURSEFORGE_PROJECTS = [
+    { id: 100, classId: 6 },
+    { id: 200, classId: 12 },
+    { id: 300, classId: 6 }
+];
+
+function createServer(requests) {
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+            const server = `http://127.0.0.1:${req.socket.localPort}`;
+
+            if (req.method === 'POST' && (req.url === '/v1/mods/files' || req.url === '/v1/mods')) {
+                const data = req.url === '/v1/mods' ? CURSEFORGE_PROJECTS : curseForgeFiles(server);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ data }));
+                return;
+            }
+
+            if (req.method === 'GET' && SERVED_FILES[req.url]) {
+                res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+                res.end(SERVED_FILES[req.url]);
+                return;
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+}
+
+async function readFixture(name, server) {
+    const text = await fs.readFile(path.join(FIXTURES, name), 'utf8');
+    return text.replace(/\{\{server\}\}/g, server);
+}
+
+/**
+ * 生成整合包文件
+ * @param {Object} entries - 条目名 -> 内容；条目名原样写入，不做规范化
+ */
+async function writePack(packPath, entries) {
+    const zip = new AdmZip();
+    Object.entries(entries).forEach(([entryName, content], index) => {
+        zip.addFile(`entry-${index}`, Buffer.from(content));
+        zip.getEntry(`entry-${index}`).entryName = entryName;
+    });
+    await fs.writeFile(packPath, zip.toBuffer());
+}
+
+async function readInstanceFile(instanceManager, instance, relativePath) {
+    return await fs.readFile(path.join(instanceManager.getInstanceDirectory(instance.id), relativePath), 'utf8');
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+describe('HCLModpackImporter', () => {
+    let httpServer;
+    let server;
+    let requests;
+    let workDir;
+    let instanceManager;
+    let versionManager;
+    let importer;
+
+    before(async () => {
+        requests = [];
+        httpServer = createServer(requests);
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+        server = `http://127.0.0.1:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => httpServer.close(resolve));
+    });
+
+    beforeEach(async () => {
+        requests.length = 0;
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hcl-modpack-'));
+        const gameDir = path.join(workDir, '.minecraft');
+        const config = {
+            gameDirectory: gameDir,
+            downloadSource: 'official',
+            maxThreads: 2,
+            maxRetries: 1,
+            downloadTimeout: 5000,
+            curseforgeApiBase: server
+        };
+        const configManager = { getConfig: () => config, getGameDirectory: () => gameDir };
+
+        instanceManager = new HCLInstanceManager(configManager);
+        await instanceManager.initialize();
+
+        versionManager = {
+            installedVersions: new Set(['fabric-loader-0.15.0-1.20.1']),
+            installCalls: [],
+            getLoaderVersionId: (type, gameVersion, loaderVersion) => type === 'forge' ?
+                `${gameVersion}-forge-${loaderVersion.replace(`${gameVersion}-`, '')}` :
+                `${type}-loader-${loaderVersion}-${gameVersion}`,
+            getLoaderVersions: async () => [{ version: '1.20.1-47.1.0' }, { version: '1.20.1-47.2.0' }],
+            installLoader: async (type, gameVersion, version) => {
+                versionManager.installCalls.push({ type, gameVersion, version });
+                return { success: true, state: 'completed' };
+            },
+            installVersion: async () => {
+                throw new Error('不应安装原版');
+            }
+        };
+
+        importer = new HCLModpackImporter(configManager, new HCLDownloadManager(configManager), versionManager, instanceManager);
+    });
+
+    afterEach(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    describe('Modrinth (.mrpack)', () => {
+        it('解析清单中的游戏版本、加载器与文件', async () => {
+            const packPath = path.join(workDir, 'pack.mrpack');
+            await writePack(packPath, { 'modrinth.index.json': await readFixture('modrinth.index.json', server) });
+
+            const pack = importer.readModpack(packPath);
+
+            assert.equal(pack.format, 'mrpack');
+            assert.equal(pack.name, 'Fixture Pack');
+            assert.equal(pack.gameVersion, '1.20.1');
+            assert.deepEqual(pack.loader, { type: 'fabric', version: '0.15.0' });
+            assert.equal(pack.files.length, 4);
+            assert.deepEqual(pack.files[0].urls, [`${server}/missing/alpha.jar`, `${server}/files/alpha.jar`]);
+            assert.equal(pack.files[1].skip, true);
+            assert.deepEqual(pack.overrides, ['overrides', 'client-overrides']);
+        });
+
+        it('依次尝试下载地址，跳过服务端文件并报告失败的文件', async () => {
+            const packPath = path.join(workDir, 'pack.mrpack');
+            await writePack(packPath, {
+                'modrinth.index.json': await readFixture('modrinth.index.json', server),
+                'overrides/config/alpha.toml': 'base',
+                'overrides/options.txt': 'base',
+                'client-overrides/options.txt': 'client'
+            });
+
+            const { instance, downloaded, failed } = await importer.importModpack(packPath, { name: 'Fabric Pack' });
+
+            assert.equal(instance.version, 'fabric-loader-0.15.0-1.20.1');
+            assert.deepEqual(instance.loader, { type: 'fabric', version: '0.15.0', gameVersion: '1.20.1' });
+            assert.equal(versionManager.installCalls.length, 0);
+
+            assert.equal(downloaded, 1);
+            assert.equal(await readInstanceFile(instanceManager, instance, 'mods/alpha.jar'), 'alpha mod');
+            assert.ok(requests.some(request => request.url === '/missing/alpha.jar'));
+            assert.ok(!(await exists(path.join(instanceManager.getInstanceDirectory(instance.id), 'mods', 'server-only.jar'))));
+
+            assert.deepEqual(failed.map(file => file.path).sort(), ['../escape.jar', 'mods/gone.jar']);
+            assert.match(failed.find(file => file.path === '../escape.jar').error, /非法的文件路径/);
+            assert.deepEqual(failed.find(file => file.path === 'mods/gone.jar').urls, [
+                `${server}/missing/gone-1.jar`,
+                `${server}/missing/gone-2.jar`
+            ]);
+            assert.ok(!(await exists(path.join(instanceManager.getInstancesDir(), 'escape.jar'))));
+
+            assert.equal(await readInstanceFile(instanceManager, instance, 'config/alpha.toml'), 'base');
+            assert.equal(await readInstanceFile(instanceManager, instance, 'options.txt'), 'client');
+        });
+
+        it('overrides 中的路径穿越会中止导入并删除实例', async () => {
+            const packPath = path.join(workDir, 'evil.mrpack');
+            const index = JSON.parse(await readFixture('modrinth.index.json', server));
+            index.files = [];
+            await writePack(packPath, {
+                'modrinth.index.json': JSON.stringify(index),
+                'overrides/../../evil.txt': 'evil'
+            });
+
+            await assert.rejects(importer.importModpack(packPath, { name: 'Evil Pack' }), /非法的文件路径/);
+
+            assert.equal(instanceManager.getInstances().length, 0);
+            assert.deepEqual(await fs.readdir(instanceManager.getInstancesDir()), []);
+            assert.ok(!(await exists(path.join(workDir, '.minecraft', 'evil.txt'))));
+        });
+    });
+
+    describe('CurseForge (manifest.json)', () => {
+        it('解析 Forge 版本并按项目分类放置文件', async () => {
+            const packPath = path.join(workDir, 'pack.zip');
+            await writePack(packPath, {
+                'manifest.json': await readFixture('manifest.json', server),
+                'overrides/config/forge.toml': 'config'
+            });
+
+            const { instance, downloaded, failed } = await importer.importModpack(packPath);
+
+            assert.equal(instance.name, 'Fixture Forge Pack');
+            assert.equal(instance.version, '1.20.1-forge-47.2.0');
+            assert.deepEqual(versionManager.installCalls, [{ type: 'forge', gameVersion: '1.20.1', version: '1.20.1-47.2.0' }]);
+
+            const filesRequest = requests.find(request => request.url === '/v1/mods/files');
+            assert.deepEqual(filesRequest.body, { fileIds: [1000, 2000, 3000] });
+
+            assert.equal(downloaded, 2);
+            assert.equal(await readInstanceFile(instanceManager, instance, 'mods/beta.jar'), 'beta mod');
+            assert.equal(await readInstanceFile(instanceManager, instance, 'resourcepacks/pack.zip'), 'resource pack');
+            assert.equal(await readInstanceFile(instanceManager, instance, 'config/forge.toml'), 'config');
+
+            assert.equal(failed.length, 1);
+            assert.equal(failed[0].path, 'restricted.jar');
+            assert.equal(failed[0].projectId, 300);
+            assert.match(failed[0].error, /作者禁止第三方下载/);
+        });
+
+        it('找不到加载器版本时不创建实例', async () => {
+            const packPath = path.join(workDir, 'pack.zip');
+            const manifest = JSON.parse(await readFixture('manifest.json', server));
+            manifest.minecraft.modLoaders = [{ id: 'forge-1.0.0', primary: true }];
+            await writePack(packPath, { 'manifest.json': JSON.stringify(manifest) });
+
+            await assert.rejects(importer.importModpack(packPath), /找不到 forge 1\.0\.0/);
+            assert.equal(instanceManager.getInstances().length, 0);
+        });
+    });
+
+    it('拒绝不支持的压缩包', async () => {
+        const packPath = path.join(workDir, 'empty.zip');
+        await writePack(packPath, { 'readme.txt': 'hello' });
+
+        assert.throws(() => importer.readModpack(packPath), /不支持的整合包格式/);
+    });
+});
@@ -0,0 +1,400 @@
+// test/ModrinthClient.test.js
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const HCLModrinthClient = require('../src/core/ModrinthClient');
+const HCLModManager = require('../src/core/ModManager');
+const HCLInstanceManager = require('../src/core/InstanceManager');
+const HCLDownloadManager = require('../src/core/DownloadManager');
+
+const sha1 = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+// 本地文件服务器提供的模组文件
+const SERVED_FILES = {
+    '/files/alpha-2.0.jar': 'alpha 2.0',
+    '/files/gamma-1.0.jar': 'gamma 1.0',
+    '/files/delta-1.0.jar': 'delta 1.0'
+};
+
+// 已安装在实例中的旧文件（内容与 Modrinth 上的文件哈希对应）
+const INSTALLED_FILES = {
+    'alpha-1.0.jar': 'alpha 1.0',
+    'beta-1.0.jar': 'beta 1.0'
+};
+
+function version(id, projectId, options = {}) {
+    return {
+        id,
+        project_id: projectId,
+        version_number: options.number || '1.0',
+        version_type: options.type || 'release',
+        date_published: options.date || '2024-01-01T00:00:00Z',
+        dependencies: options.dependencies || [],
+        files: options.files || []
+    };
+}
+
+function file(server, name) {
+    const content = SERVED_FILES[`/files/${name}`];
+    return {
+        url: `${server}/files/${name}`,
+        filename: name,
+        primary: true,
+        size: Buffer.byteLength(content),
+        hashes: { sha1: sha1(content) }
+    };
+}
+
+/**
+ * 项目 -> 版本列表：alpha 依赖 beta（已安装）、gamma（指定版本）与仅有文件名的前置，
+ * gamma 又依赖 beta 与 delta，可选前置不安装
+ */
+function projectVersions(server) {
+    return {
+        alpha: [
+            version('alpha-beta', 'alpha', { number: '2.1-beta', type: 'beta', date: '2024-03-01T00:00:00Z' }),
+            version('alpha-2', 'alpha', {
+                number: '2.0',
+                date: '2024-02-01T00:00:00Z',
+                files: [file(server, 'alpha-2.0.jar')],
+                dependencies: [
+                    { project_id: 'beta', dependency_type: 'required' },
+                    { project_id: 'gamma', version_id: 'gamma-1', dependency_type: 'required' },
+                    { file_name: 'legacy-lib.jar', dependency_type: 'required' },
+                    { project_id: 'optional-mod', dependency_type: 'optional' },
+                    { project_id: 'missing', dependency_type: 'required' }
+                ]
+            }),
+            version('alpha-1', 'alpha', { number: '1.0', date: '2024-01-01T00:00:00Z' })
+        ],
+        beta: [version('beta-1', 'beta')],
+        delta: [version('delta-1', 'delta', { files: [file(server, 'delta-1.0.jar')] })],
+        'pre-only': [
+            version('pre-2', 'pre-only', { type: 'alpha', date: '2024-02-01T00:00:00Z' }),
+            version('pre-1', 'pre-only', { type: 'beta', date: '2024-01-01T00:00:00Z' })
+        ]
+    };
+}
+
+function versionById(server, versionId) {
+    if (versionId === 'gamma-1') {
+        return version('gamma-1', 'gamma', {
+            files: [file(server, 'gamma-1.0.jar')],
+            dependencies: [
+                { project_id: 'beta', dependency_type: 'required' },
+                { project_id: 'delta', dependency_type: 'required' }
+            ]
+        });
+    }
+    return null;
+}
+
+// 项目详情（按 ID 或 slug 查找）与按名称搜索到的项目
+const PROJECTS = [
+    { id: 'delta', slug: 'delta-lib', title: 'Delta Lib', project_type: 'mod' },
+    { id: 'pack', slug: 'delta_pack', title: 'Delta Pack', project_type: 'resourcepack' }
+];
+
+function createServer(requests) {
+    const json = (res, status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    };
+
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const server = `http://127.0.0.1:${req.socket.localPort}`;
+            const url = new URL(req.url, server);
+            requests.push({ method: req.method, path: url.pathname, query: url.searchParams, body: body ? JSON.parse(body) : null });
+
+            if (SERVED_FILES[url.pathname]) {
+                res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+                res.end(SERVED_FILES[url.pathname]);
+                return;
+            }
+
+            if (url.pathname === '/v2/search' && url.searchParams.get('query')) {
+                const query = url.searchParams.get('query').toLowerCase();
+                const hits = PROJECTS
+                    .filter(project => project.project_type === 'mod' && project.title.toLowerCase().replace(/ /g, '').includes(query))
+                    .map(project => ({ project_id: project.id, slug: project.slug, title: project.title, project_type: 'mod' }));
+                return json(res, 200, { hits, offset: 0, limit: 10, total_hits: hits.length });
+            }
+
+            if (url.pathname === '/v2/search') {
+                const offset = parseInt(url.searchParams.get('offset'));
+                const limit = parseInt(url.searchParams.get('limit'));
+                const hits = [];
+                for (let i = offset; i < Math.min(offset + limit, 45); i++) {
+                    hits.push({ project_id: `id-${i}`, slug: `mod-${i}`, title: `Mod ${i}`, project_type: 'mod', categories: ['fabric'] });
+                }
+                return json(res, 200, { hits, offset, limit, total_hits: 45 });
+            }
+
+            if (req.method === 'POST' && url.pathname === '/v2/version_files') {
+                const installed = {
+                    [sha1(INSTALLED_FILES['alpha-1.0.jar'])]: version('alpha-1', 'alpha'),
+                    [sha1(INSTALLED_FILES['beta-1.0.jar'])]: version('beta-1', 'beta')
+                };
+                const result = {};
+                for (const hash of JSON.parse(body).hashes) {
+                    if (installed[hash]) result[hash] = installed[hash];
+                }
+                return json(res, 200, result);
+            }
+
+            const projectMatch = /^\/v2\/project\/([^/]+)\/version$/.exec(url.pathname);
+            if (projectMatch) {
+                const versions = projectVersions(server)[decodeURIComponent(projectMatch[1])];
+                return versions ? json(res, 200, versions) : json(res, 404, { error: 'not_found' });
+            }
+
+            const detailMatch = /^\/v2\/project\/([^/]+)$/.exec(url.pathname);
+            if (detailMatch) {
+                const key = decodeURIComponent(detailMatch[1]);
+                const project = PROJECTS.find(item => item.id === key || item.slug === key);
+                return project ? json(res, 200, project) : json(res, 404, { error: 'not_found' });
+            }
+
+            const versionMatch = /^\/v2\/version\/([^/]+)$/.exec(url.pathname);
+            if (versionMatch) {
+                const found = versionById(server, decodeURIComponent(versionMatch[1]));
+                return found ? json(res, 200, found) : json(res, 404, { error: 'not_found' });
+            }
+
+            if (url.pathname === '/v2/broken') {
+                return json(res, 500, { error: 'internal' });
+            }
+
+            json(res, 404, { error: 'not_found' });
+        });
+    });
+}
+
+describe('HCLModrinthClient', () => {
+    let httpServer;
+    let server;
+    let requests;
+    let client;
+
+    before(async () => {
+        requests = [];
+        httpServer = createServer(requests);
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+        server = `http://127.0.0.1:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        httpServer.closeAllConnections();
+        await new Promise(resolve => httpServer.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests.length = 0;
+        client = new HCLModrinthClient({ getConfig: () => ({ modrinthApiBase: `${server}/`, downloadTimeout: 5000 }) });
+    });
+
+    it('按筛选条件生成 facets', async () => {
+        await client.search({
+            query: 'sodium',
+            projectType: 'mod',
+            categories: ['optimization', 'utility'],
+            loaders: ['quilt', 'fabric'],
+            gameVersions: ['1.20.1', '1.20'],
+            side: 'client',
+            sort: 'downloads'
+        });
+
+        const { query } = requests[0];
+        assert.equal(query.get('query'), 'sodium');
+        assert.equal(query.get('index'), 'downloads');
+        assert.deepEqual(JSON.parse(query.get('facets')), [
+            ['project_type:mod'],
+            ['categories:optimization'],
+            ['categories:utility'],
+            ['categories:quilt', 'categories:fabric'],
+            ['versions:1.20.1', 'versions:1.20'],
+            ['client_side:required', 'client_side:optional']
+        ]);
+    });
+
+    it('省略空的筛选条件与无效的 side', async () => {
+        await client.search({ projectType: 'shader', loaders: [], gameVersions: [], side: 'both' });
+
+        const { query } = requests[0];
+        assert.equal(query.get('query'), '');
+        assert.equal(query.get('index'), 'relevance');
+        assert.deepEqual(JSON.parse(query.get('facets')), [['project_type:shader']]);
+    });
+
+    it('按页码计算 offset 并返回分页信息', async () => {
+        const result = await client.search({ page: 2, pageSize: 20 });
+
+        assert.equal(requests[0].query.get('offset'), '40');
+        assert.equal(requests[0].query.get('limit'), '20');
+        assert.equal(result.page, 2);
+        assert.equal(result.total, 45);
+        assert.equal(result.totalPages, 3);
+        assert.deepEqual(result.hits.map(hit => hit.id), ['id-40', 'id-41', 'id-42', 'id-43', 'id-44']);
+        assert.equal(result.hits[0].url, 'https://modrinth.com/mod/mod-40');
+    });
+
+    it('每页条数不超过 100，页码不小于 0', async () => {
+        const result = await client.search({ page: -1, pageSize: 500 });
+
+        assert.equal(requests[0].query.get('offset'), '0');
+        assert.equal(requests[0].query.get('limit'), '100');
+        assert.equal(result.pageSize, 100);
+        assert.equal(result.totalPages, 1);
+        assert.equal(result.hits.length, 45);
+    });
+
+    it('按加载器与游戏版本查询版本列表', async () => {
+        await client.getProjectVersions('alpha', { loaders: ['fabric'], gameVersions: ['1.20.1'] });
+        await client.getProjectVersions('alpha');
+
+        assert.equal(requests[0].path, '/v2/project/alpha/version');
+        assert.deepEqual(JSON.parse(requests[0].query.get('loaders')), ['fabric']);
+        assert.deepEqual(JSON.parse(requests[0].query.get('game_versions')), ['1.20.1']);
+        assert.equal(requests[1].query.has('loaders'), false);
+        assert.equal(requests[1].query.has('game_versions'), false);
+    });
+
+    it('兼容版本优先选择最新的正式版', async () => {
+        const found = await client.findCompatibleVersion('alpha', { loaders: ['fabric'] });
+        const preRelease = await client.findCompatibleVersion('pre-only');
+
+        assert.equal(found.id, 'alpha-2');
+        assert.equal(preRelease.id, 'pre-2');
+        assert.equal(await client.findCompatibleVersion('missing'), null);
+    });
+
+    it('404 返回 null，其他错误抛出', async () => {
+        assert.equal(await client.getProject('missing'), null);
+        assert.equal(await client.getVersion('missing'), null);
+        await assert.rejects(client.request('get', '/broken'), /Modrinth 请求失败 \(500\)/);
+    });
+});
+
+describe('HCLModManager.installProject', () => {
+    let httpServer;
+    let server;
+    let requests;
+    let workDir;
+    let instanceManager;
+    let modManager;
+    let instance;
+
+    before(async () => {
+        requests = [];
+        httpServer = createServer(requests);
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+        server = `http://127.0.0.1:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        httpServer.closeAllConnections();
+        await new Promise(resolve => httpServer.close(resolve));
+    });
+
+    beforeEach(async () => {
+        requests.length = 0;
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hcl-modrinth-'));
+        const gameDir = path.join(workDir, '.minecraft');
+        const config = {
+            gameDirectory: gameDir,
+            downloadSource: 'official',
+            maxThreads: 2,
+            maxRetries: 1,
+            downloadTimeout: 5000,
+            modrinthApiBase: server
+        };
+        const configManager = { getConfig: () => config, getGameDirectory: () => gameDir };
+
+        instanceManager = new HCLInstanceManager(configManager);
+        await instanceManager.initialize();
+        instance = await instanceManager.createInstance({
+            name: 'Quilt',
+            version: 'quilt-loader-0.21.0-1.20.1',
+            loader: { type: 'quilt', version: '0.21.0', gameVersion: '1.20.1' }
+        });
+
+        const modsDir = path.join(instanceManager.getInstanceDirectory(instance.id), 'mods');
+        await fs.mkdir(modsDir, { recursive: true });
+        for (const [name, content] of Object.entries(INSTALLED_FILES)) {
+            await fs.writeFile(path.join(modsDir, name), content);
+        }
+
+        modManager = new HCLModManager(configManager, instanceManager, null, new HCLDownloadManager(configManager));
+    });
+
+    afterEach(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    it('安装项目与必需前置，跳过已安装的前置并禁用旧文件', async () => {
+        const result = await modManager.installProject(instance.id, 'alpha');
+
+        assert.deepEqual(result.installed.map(item => [item.projectId, item.versionId, item.fileName]), [
+            ['alpha', 'alpha-2', 'alpha-2.0.jar'],
+            ['gamma', 'gamma-1', 'gamma-1.0.jar'],
+            ['delta', 'delta-1', 'delta-1.0.jar']
+        ]);
+        assert.deepEqual(result.skipped, ['beta']);
+        assert.deepEqual(result.unresolved.sort(), ['legacy-lib.jar', 'missing']);
+
+        // Quilt 实例同时查询 Fabric 模组
+        const versionRequest = requests.find(request => request.path === '/v2/project/alpha/version');
+        assert.deepEqual(JSON.parse(versionRequest.query.get('loaders')), ['quilt', 'fabric']);
+        assert.deepEqual(JSON.parse(versionRequest.query.get('game_versions')), ['1.20.1']);
+        // 指定了版本的前置直接按版本 ID 查询
+        assert.ok(requests.some(request => request.path === '/v2/version/gamma-1'));
+        assert.ok(!requests.some(request => request.path === '/v2/project/optional-mod/version'));
+        // 多个模组依赖的 beta 只查询一次
+        assert.equal(requests.filter(request => request.path === '/v2/project/beta/version').length, 1);
+
+        const files = (await fs.readdir(modManager.getModsDirectory(instance.id))).sort();
+        assert.deepEqual(files, ['alpha-1.0.jar.disabled', 'alpha-2.0.jar', 'beta-1.0.jar', 'delta-1.0.jar', 'gamma-1.0.jar']);
+        assert.equal(await fs.readFile(result.installed[0].filePath, 'utf8'), 'alpha 2.0');
+    });
+
+    it('项目本身没有兼容版本时报错且不下载', async () => {
+        await assert.rejects(modManager.installProject(instance.id, 'missing'), /missing 没有适用于 quilt 1\.20\.1 的版本/);
+
+        assert.ok(!requests.some(request => request.path.startsWith('/files/')));
+    });
+
+    it('前置模组 ID 按 slug 或搜索结果对应到 Modrinth 项目', async () => {
+        const bySlug = await modManager.fetchDependency(instance.id, 'delta_lib');
+
+        assert.equal(bySlug.projectId, 'delta');
+        assert.deepEqual(bySlug.installed.map(item => item.fileName), ['delta-1.0.jar']);
+        assert.deepEqual(requests.filter(request => /^\/v2\/project\/[^/]+$/.test(request.path)).map(request => request.path),
+            ['/v2/project/delta_lib', '/v2/project/delta-lib']);
+
+        requests.length = 0;
+        const bySearch = await modManager.fetchDependency(instance.id, 'deltalib');
+
+        assert.equal(bySearch.projectId, 'delta');
+        assert.equal(requests.find(request => request.path === '/v2/search').query.get('query'), 'deltalib');
+    });
+
+    it('找不到前置模组对应的项目时报错', async () => {
+        // delta_pack 是资源包，不是模组
+        await assert.rejects(modManager.fetchDependency(instance.id, 'delta_pack'), /找不到前置模组 delta_pack 对应的 Modrinth 项目/);
+
+        assert.ok(!requests.some(request => request.path.includes('/version')));
+    });
+
+    it('未安装加载器的实例不能安装模组', async () => {
+        const vanilla = await instanceManager.createInstance({ name: 'Vanilla', version: '1.20.1' });
+
+        await assert.rejects(modManager.installProject(vanilla.id, 'alpha'), /实例未安装模组加载器/);
+    });
+});
@@ -0,0 +1,232 @@
+// test/SaveManager.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const HCLNBT = require('../src/core/NBT');
+const HCLSaveManager = require('../src/core/SaveManager');
+
+// 手工按字节写出的 gzip 压缩 level.dat（不依赖 HCLNBT 的写出逻辑），
+// LevelName 含基本平面以外的字符，Note 含 NUL，均为 Modified UTF-8 编码
+const LEVEL_DAT = path.join(__dirname, 'fixtures', 'saves', 'level.dat');
+
+describe('HCLNBT', () => {
+    const nbt = new HCLNBT();
+
+    it('解析 gzip 压缩的 level.dat 并保留标签类型', async () => {
+        const root = nbt.parse(await fs.readFile(LEVEL_DAT));
+        const data = nbt.toPlain(root).Data;
+
+        assert.equal(root.name, '');
+        assert.equal(root.value.Data.value.LastPlayed.type, 4);
+        assert.equal(data.LevelName, '新的世界 🌍');
+        assert.equal(data.Note, 'a\u0000b');
+        assert.equal(data.GameType, 1);
+        assert.equal(data.allowCommands, 1);
+        assert.equal(data.LastPlayed, 1700000000000n);
+        assert.equal(data.WorldGenSettings.seed, -4172144997902289642n);
+        assert.deepEqual(data.Version, { Name: '1.20.1', Id: 3465, Snapshot: 0 });
+        assert.equal(data.SpawnY, 64);
+        assert.equal(data.BorderSize, 0.5);
+        assert.equal(data.BorderCenterX, -12.25);
+        assert.equal(data.Difficulty, -2);
+        assert.deepEqual(data.ServerBrands, ['vanilla', 'fabric']);
+        assert.deepEqual(data.ScheduledEvents, []);
+        assert.deepEqual(data.Bytes, [1, -128, -1]);
+        assert.deepEqual(data.Ints, [-1, 2147483647]);
+        assert.deepEqual(data.Longs, [-9223372036854775808n]);
+    });
+
+    it('写回的数据与原文件逐字节相同', async () => {
+        const raw = zlib.gunzipSync(await fs.readFile(LEVEL_DAT));
+        const root = nbt.parse(await fs.readFile(LEVEL_DAT));
+
+        assert.ok(nbt.serialize(root).equals(raw));
+
+        const compressed = nbt.serialize(root, { gzip: true });
+        assert.ok(nbt.isGzip(compressed));
+        assert.ok(zlib.gunzipSync(compressed).equals(raw));
+    });
+
+    it('修改后的值可以写回并重新读取', async () => {
+        const root = nbt.parse(await fs.readFile(LEVEL_DAT));
+        root.value.Data.value.LevelName.value = 'Renamed';
+        root.value.Data.value.LastPlayed.value = 42n;
+
+        const data = nbt.toPlain(nbt.parse(nbt.serialize(root, { gzip: true }))).Data;
+
+        assert.equal(data.LevelName, 'Renamed');
+        assert.equal(data.LastPlayed, 42n);
+        assert.equal(data.GameType, 1);
+    });
+
+    it('按 Modified UTF-8 写出 NUL 与基本平面以外的字符', () => {
+        const bytes = nbt.writeString('a\u0000😀');
+
+        assert.deepEqual([...bytes], [0, 9, 0x61, 0xc0, 0x80, 0xed, 0xa0, 0xbd, 0xed, 0xb8, 0x80]);
+        assert.equal(nbt.readString({ data: bytes, offset: 0 }), 'a\u0000😀');
+    });
+
+    it('拒绝超过 65535 字节的字符串与无效的编码', () => {
+        assert.equal(nbt.writeString('中'.repeat(21845)).length, 65537);
+        assert.throws(() => nbt.writeString('中'.repeat(21846)), /字符串过长/);
+        assert.throws(() => nbt.readString({ data: Buffer.from([0, 2, 0xe4, 0xb8]), offset: 0 }), /字符串编码错误/);
+        assert.throws(() => nbt.readString({ data: Buffer.from([0, 1, 0x80]), offset: 0 }), /字符串编码错误/);
+    });
+
+    it('截断的数据报告意外的结尾', async () => {
+        const raw = zlib.gunzipSync(await fs.readFile(LEVEL_DAT));
+
+        for (let length = 0; length < raw.length; length++) {
+            assert.throws(() => nbt.parse(raw.subarray(0, length)), /意外的结尾/, `截断到 ${length} 字节`);
+        }
+    });
+
+    it('拒绝长度为负数的数组与根标签不是复合标签的数据', () => {
+        const negativeArray = Buffer.from([10, 0, 0, 7, 0, 1, 66, 0xff, 0xff, 0xff, 0xff, 0]);
+
+        assert.throws(() => nbt.parse(negativeArray), /意外的结尾/);
+        assert.throws(() => nbt.parse(Buffer.from([8, 0, 0])), /根标签不是复合标签/);
+        assert.throws(() => nbt.parse(Buffer.from([10, 0, 0, 13, 0, 0])), /未知的标签类型 13/);
+    });
+});
+
+describe('HCLSaveManager', () => {
+    let workDir;
+    let savesDir;
+    let config;
+    let saveManager;
+
+    async function createWorld(folderName, levelDat) {
+        const worldDir = path.join(savesDir, folderName);
+        await fs.mkdir(path.join(worldDir, 'region'), { recursive: true });
+        await fs.writeFile(path.join(worldDir, 'level.dat'), levelDat || await fs.readFile(LEVEL_DAT));
+        await fs.writeFile(path.join(worldDir, 'region', 'r.0.0.mca'), 'region');
+        await fs.writeFile(path.join(worldDir, 'session.lock'), 'lock');
+        return worldDir;
+    }
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hcl-saves-'));
+        const gameDir = path.join(workDir, '.minecraft');
+        savesDir = path.join(gameDir, 'saves');
+        config = { worldBackupMaxCount: 2 };
+        saveManager = new HCLSaveManager({ getConfig: () => config, getGameDirectory: () => gameDir });
+    });
+
+    afterEach(async () => {
+        await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    it('读取存档列表，损坏的 level.dat 返回错误信息', async () => {
+        await createWorld('world');
+        const truncated = zlib.gzipSync(zlib.gunzipSync(await fs.readFile(LEVEL_DAT)).subarray(0, 40));
+        await createWorld('broken', truncated);
+
+        const worlds = await saveManager.getWorlds();
+        const world = worlds.find(item => item.folderName === 'world');
+        const broken = worlds.find(item => item.folderName === 'broken');
+
+        assert.equal(worlds.length, 2);
+        assert.equal(worlds[0], world);
+        assert.equal(world.name, '新的世界 🌍');
+        assert.equal(world.gameMode, 'creative');
+        assert.equal(world.cheats, true);
+        assert.equal(world.hardcore, false);
+        assert.equal(world.lastPlayed, new Date(1700000000000).toISOString());
+        assert.equal(world.version, '1.20.1');
+        assert.equal(world.dataVersion, 3465);
+        assert.equal(world.seed, '-4172144997902289642');
+        assert.match(broken.error, /意外的结尾/);
+        assert.equal(broken.name, 'broken');
+    });
+
+    it('拒绝包含路径穿越的存档名称', async () => {
+        await assert.rejects(saveManager.getWorld(null, '../world'), /非法的存档名称/);
+        await assert.rejects(saveManager.backupWorld(null, 'a/../../b'), /非法的存档名称/);
+    });
+
+    it('备份时排除 session.lock 并按数量清理旧备份', async () => {
+        await createWorld('world');
+
+        const first = await saveManager.backupWorld(null, 'world');
+        const zip = new AdmZip(first.path);
+        const names = zip.getEntries().map(entry => entry.entryName.replace(/\\/g, '/'));
+        assert.ok(names.includes('world/level.dat'));
+        assert.ok(names.includes('world/region/r.0.0.mca'));
+        assert.ok(!names.some(name => name.endsWith('session.lock')));
+
+        for (let i = 0; i < 2; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await saveManager.backupWorld(null, 'world');
+        }
+
+        const backups = await saveManager.getBackups(null, 'world');
+        assert.equal(backups.length, 2);
+        assert.ok(!backups.some(backup => backup.fileName === first.fileName));
+    });
+
+    it('从备份恢复存档', async () => {
+        const worldDir = await createWorld('world');
+        const backup = await saveManager.backupWorld(null, 'world');
+
+        await fs.writeFile(path.join(worldDir, 'region', 'r.0.0.mca'), 'changed');
+        await fs.writeFile(path.join(worldDir, 'extra.dat'), 'extra');
+
+        const world = await saveManager.restoreBackup(null, 'world', backup.fileName);
+
+        assert.equal(world.name, '新的世界 🌍');
+        assert.equal(await fs.readFile(path.join(worldDir, 'region', 'r.0.0.mca'), 'utf8'), 'region');
+        assert.ok(!(await saveManager.fileExists(path.join(worldDir, 'extra.dat'))));
+        assert.deepEqual((await fs.readdir(savesDir)).sort(), ['world']);
+    });
+
+    it('复制存档并修改副本的存档名称', async () => {
+        await createWorld('world');
+
+        const copy = await saveManager.duplicateWorld(null, 'world');
+        const again = await saveManager.duplicateWorld(null, 'world', 'Copy');
+        const another = await saveManager.duplicateWorld(null, 'world', 'Copy');
+
+        assert.equal(copy.folderName, '新的世界 🌍 - 副本');
+        assert.equal(copy.name, '新的世界 🌍 - 副本');
+        assert.equal(again.folderName, 'Copy');
+        assert.equal(another.folderName, 'Copy (2)');
+        assert.equal(another.name, 'Copy');
+        assert.ok(!(await saveManager.fileExists(path.join(savesDir, 'Copy', 'session.lock'))));
+
+        // 写回 level.dat 时其他字符串保持不变
+        const level = await fs.readFile(path.join(savesDir, 'Copy', 'level.dat'));
+        assert.ok(saveManager.nbt.isGzip(level));
+        assert.equal(saveManager.nbt.toPlain(saveManager.nbt.parse(level)).Data.Note, 'a\u0000b');
+    });
+
+    it('导出后可以重新导入', async () => {
+        await createWorld('world');
+        const outputPath = path.join(workDir, 'export', 'world.zip');
+
+        await saveManager.exportWorld(null, 'world', outputPath);
+        const imported = await saveManager.importWorld(null, outputPath);
+
+        assert.equal(imported.folderName, 'world (2)');
+        assert.equal(imported.name, '新的世界 🌍');
+        assert.equal(await fs.readFile(path.join(savesDir, 'world (2)', 'region', 'r.0.0.mca'), 'utf8'), 'region');
+    });
+
+    it('导入时拒绝路径穿越并清理已解压的文件', async () => {
+        const zip = new AdmZip();
+        zip.addFile('level.dat', await fs.readFile(LEVEL_DAT));
+        zip.addFile('evil.txt', Buffer.from('evil'));
+        zip.getEntry('evil.txt').entryName = '../../evil.txt';
+        const zipPath = path.join(workDir, 'evil.zip');
+        await fs.writeFile(zipPath, zip.toBuffer());
+
+        await assert.rejects(saveManager.importWorld(null, zipPath), /非法的文件路径/);
+
+        assert.deepEqual(await fs.readdir(savesDir), []);
+        assert.ok(!(await saveManager.fileExists(path.join(workDir, 'evil.txt'))));
+    });
+});